@@ -0,0 +1,121 @@
+// chesschat-backend/analysis.js - Post-game analysis: evaluations, best moves and move labels
+const { Chess } = require('chess.js');
+
+// Centipawns lost by a move (from the mover's side) that earn each label, worst first
+const LABEL_THRESHOLDS = [
+  ['blunder', 300],
+  ['mistake', 100],
+  ['inaccuracy', 50]
+];
+
+// Forced mates count as this many centipawns, minus one per move until mate
+const MATE_CP = 10000;
+
+// Positions beyond this are simply won or lost; a swing from +15 to +9 is not a mistake
+const LOSS_CAP = 1000;
+
+function classifyMove(loss) {
+  const label = LABEL_THRESHOLDS.find(([, threshold]) => loss >= threshold);
+  return label ? label[0] : null;
+}
+
+// Engine score for the side to move -> { cp, mate? } from white's point of view.
+// mate is the signed number of moves to mate (positive when white mates), 0 once mated.
+function toWhiteEval(score, turn) {
+  const sign = turn === 'w' ? 1 : -1;
+  if (score.mate === undefined) {
+    return { cp: score.cp * sign };
+  }
+  // mate 0 means the side to move has been mated
+  const moverCp = score.mate > 0 ? MATE_CP - score.mate : -MATE_CP - score.mate;
+  return { cp: moverCp * sign, mate: score.mate * sign };
+}
+
+function capped(cp) {
+  return Math.max(-LOSS_CAP, Math.min(LOSS_CAP, cp));
+}
+
+// UCI move ('e7e8q') -> SAN in the given position, or null
+function uciToSan(chess, uci) {
+  if (!uci) return null;
+  try {
+    const move = chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+    chess.undo();
+    return move.san;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Positions where the game is already over are scored here rather than by the engine
+async function evaluatePosition(chess, engine) {
+  if (chess.isCheckmate()) return { score: { mate: 0 }, bestMove: null };
+  if (chess.isDraw()) return { score: { cp: 0 }, bestMove: null };
+  return engine.evaluate(chess.fen());
+}
+
+// game: { startFen, moves } with moves in SAN. engine: anything with evaluate(fen) -> { score, bestMove }.
+// Each move gets the evaluation after it, the engine's choice in the position before it,
+// the centipawns it gave away and a label when that is enough to matter.
+async function analyseGame({ startFen, moves }, engine) {
+  const chess = new Chess(startFen);
+  const start = await evaluatePosition(chess, engine);
+  const initial = { eval: toWhiteEval(start.score, chess.turn()), bestMove: uciToSan(chess, start.bestMove) };
+  let before = initial;
+
+  const analysed = [];
+  const summary = {
+    white: { inaccuracy: 0, mistake: 0, blunder: 0, averageLoss: 0 },
+    black: { inaccuracy: 0, mistake: 0, blunder: 0, averageLoss: 0 }
+  };
+  const totalLoss = { white: 0, black: 0 };
+  const moveCount = { white: 0, black: 0 };
+
+  for (const san of moves) {
+    const color = chess.turn() === 'w' ? 'white' : 'black';
+    const played = chess.move(san);
+
+    const result = await evaluatePosition(chess, engine);
+    const after = { eval: toWhiteEval(result.score, chess.turn()), bestMove: uciToSan(chess, result.bestMove) };
+
+    // Playing the engine's move loses nothing, whatever its search noise says
+    const sign = color === 'white' ? 1 : -1;
+    const loss = played.san === before.bestMove
+      ? 0
+      : Math.max(0, capped(before.eval.cp * sign) - capped(after.eval.cp * sign));
+    const label = classifyMove(loss);
+
+    analysed.push({
+      ply: analysed.length,
+      san: played.san,
+      color,
+      eval: after.eval,
+      bestMove: before.bestMove,
+      loss,
+      label
+    });
+
+    totalLoss[color] += loss;
+    moveCount[color]++;
+    if (label) summary[color][label]++;
+    before = after;
+  }
+
+  for (const color of ['white', 'black']) {
+    summary[color].averageLoss = moveCount[color] ? Math.round(totalLoss[color] / moveCount[color]) : 0;
+  }
+
+  return {
+    initialEval: initial.eval,
+    initialBestMove: initial.bestMove,
+    moves: analysed,
+    summary
+  };
+}
+
+module.exports = {
+  LABEL_THRESHOLDS,
+  classifyMove,
+  toWhiteEval,
+  analyseGame
+};
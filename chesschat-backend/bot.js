@@ -0,0 +1,75 @@
+// chesschat-backend/bot.js - Computer opponent: strength levels, move choice and think time
+//
+// Moves come from an alpha-beta search over the built-in evaluation. Weaker levels
+// search less deeply and pick at random among moves within a few centipawns of the
+// best one, so they make the kind of slips people make rather than random moves.
+const { Chess } = require('chess.js');
+const BuiltinEngine = require('./builtinEngine');
+
+// depth      = full-width plies before the capture search
+// quiescence = plies of captures searched after that
+// margin     = centipawns a move may trail the best one and still be played
+const BOT_LEVELS = {
+  beginner: { name: 'Beginner', depth: 1, quiescence: 0, margin: 200 },
+  casual: { name: 'Casual', depth: 1, quiescence: 4, margin: 60 },
+  club: { name: 'Club', depth: 2, quiescence: 2, margin: 20 },
+  strong: { name: 'Strong', depth: 3, quiescence: 2, margin: 0 }
+};
+
+const DEFAULT_BOT_LEVEL = 'casual';
+
+// Below this much clock the bot searches one ply less (ms)
+const LOW_TIME_MS = 20000;
+
+// Pause before each bot move (ms), never more than a small share of its clock
+const MIN_THINK_TIME = 800;
+const MAX_THINK_TIME = 2500;
+const THINK_TIME_SHARE = 1 / 30;
+
+const engine = new BuiltinEngine();
+
+function parseBotLevel(id) {
+  if (id === undefined || id === null) return DEFAULT_BOT_LEVEL;
+  return Object.prototype.hasOwnProperty.call(BOT_LEVELS, id) ? id : null;
+}
+
+function getThinkTime(remainingMs, random = Math.random) {
+  const wanted = MIN_THINK_TIME + random() * (MAX_THINK_TIME - MIN_THINK_TIME);
+  return Math.round(Math.min(wanted, remainingMs * THINK_TIME_SHARE));
+}
+
+// SAN move for the side to move, or null when there is none (or the signal aborted).
+// The search yields between root moves so a single-threaded server keeps serving sockets.
+async function chooseMove(fen, levelId, { remainingMs = Infinity, random = Math.random, signal } = {}) {
+  const level = BOT_LEVELS[levelId];
+  const chess = new Chess(fen);
+  const depth = remainingMs < LOW_TIME_MS ? Math.max(1, level.depth - 1) : level.depth;
+
+  const scored = [];
+  let best = -Infinity;
+
+  for (const san of engine.orderedMoves(chess)) {
+    await new Promise(resolve => setImmediate(resolve));
+    if (signal && signal.aborted) return null;
+
+    // Moves outside the margin only need to be proven worse, not scored exactly
+    chess.move(san);
+    const score = -engine.search(chess, depth - 1, -Infinity, -(best - level.margin - 1), 1, level.quiescence);
+    chess.undo();
+
+    scored.push({ san, score });
+    best = Math.max(best, score);
+  }
+
+  const candidates = scored.filter(move => move.score >= best - level.margin);
+  if (candidates.length === 0) return null;
+  return candidates[Math.floor(random() * candidates.length)].san;
+}
+
+module.exports = {
+  BOT_LEVELS,
+  DEFAULT_BOT_LEVEL,
+  parseBotLevel,
+  getThinkTime,
+  chooseMove
+};
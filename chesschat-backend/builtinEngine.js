@@ -0,0 +1,183 @@
+// chesschat-backend/builtinEngine.js - Small search used when no UCI engine binary is installed
+//
+// Material plus a few piece-square bonuses and a capture-only quiescence search,
+// with one ply of search on top to pick a move. Far weaker than a real engine,
+// but good enough to catch hung pieces and missed mates in one. The computer
+// opponent (bot.js) runs a deeper alpha-beta search on the same evaluation.
+const { Chess } = require('chess.js');
+
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+
+// Bonuses from white's point of view, a8 first; black reads them mirrored
+const PAWN_TABLE = [
+  0, 0, 0, 0, 0, 0, 0, 0,
+  50, 50, 50, 50, 50, 50, 50, 50,
+  10, 10, 20, 30, 30, 20, 10, 10,
+  5, 5, 10, 25, 25, 10, 5, 5,
+  0, 0, 0, 20, 20, 0, 0, 0,
+  5, -5, -10, 0, 0, -10, -5, 5,
+  5, 10, 10, -20, -20, 10, 10, 5,
+  0, 0, 0, 0, 0, 0, 0, 0
+];
+
+const KNIGHT_TABLE = [
+  -50, -40, -30, -30, -30, -30, -40, -50,
+  -40, -20, 0, 0, 0, 0, -20, -40,
+  -30, 0, 10, 15, 15, 10, 0, -30,
+  -30, 5, 15, 20, 20, 15, 5, -30,
+  -30, 0, 15, 20, 20, 15, 0, -30,
+  -30, 5, 10, 15, 15, 10, 5, -30,
+  -40, -20, 0, 5, 5, 0, -20, -40,
+  -50, -40, -30, -30, -30, -30, -40, -50
+];
+
+// Bishops and queens like the centre too, just less than knights
+const CENTRE_TABLE = KNIGHT_TABLE.map(bonus => Math.round(bonus / 3));
+
+const PIECE_TABLES = { p: PAWN_TABLE, n: KNIGHT_TABLE, b: CENTRE_TABLE, q: CENTRE_TABLE };
+
+// Above any material score; a mate found sooner scores higher
+const MATE_SCORE = 100000;
+
+const QUIESCENCE_DEPTH = 4;
+
+// Static score from white's point of view
+function evaluateBoard(chess) {
+  let score = 0;
+  chess.board().forEach((row, rank) => {
+    row.forEach((piece, file) => {
+      if (!piece) return;
+      const table = PIECE_TABLES[piece.type];
+      const index = piece.color === 'w' ? rank * 8 + file : (7 - rank) * 8 + file;
+      const value = PIECE_VALUES[piece.type] + (table ? table[index] : 0);
+      score += piece.color === 'w' ? value : -value;
+    });
+  });
+  return score;
+}
+
+// Moves are handled as SAN strings - chess.js builds its verbose move objects far
+// too slowly for a search. Captures are ordered most valuable victim first so
+// alpha-beta cuts off early.
+function captureGain(chess, san) {
+  const target = /([a-h][1-8])(=[QRBN])?[+#]?$/.exec(san);
+  if (!target) return 0; // castling
+
+  let gain = target[2] ? PIECE_VALUES[target[2][1].toLowerCase()] : 0;
+  if (san.includes('x')) {
+    const victim = chess.get(target[1]);
+    const attacker = /^[NBRQK]/.test(san) ? san[0].toLowerCase() : 'p';
+    // An empty target square is an en passant capture
+    gain += (victim ? PIECE_VALUES[victim.type] : PIECE_VALUES.p) * 10 - PIECE_VALUES[attacker];
+  }
+  return gain;
+}
+
+function orderMoves(chess, moves) {
+  return moves
+    .map(san => ({ san, gain: captureGain(chess, san) }))
+    .sort((a, b) => b.gain - a.gain)
+    .map(move => move.san);
+}
+
+function isCapture(san) {
+  return san.includes('x');
+}
+
+class BuiltinEngine {
+  constructor() {
+    this.name = 'ChessChat built-in';
+  }
+
+  // Score for the side to move
+  staticScore(chess) {
+    const score = evaluateBoard(chess);
+    return chess.turn() === 'w' ? score : -score;
+  }
+
+  // Only captures from here on, so a position is not scored in the middle of an exchange
+  quiescence(chess, alpha, beta, depth, ply) {
+    const moves = chess.moves();
+    if (moves.length === 0) {
+      return chess.isCheck() ? -(MATE_SCORE - ply) : 0;
+    }
+
+    const standPat = this.staticScore(chess);
+    if (depth === 0 || standPat >= beta) return standPat;
+    alpha = Math.max(alpha, standPat);
+
+    for (const move of orderMoves(chess, moves.filter(isCapture))) {
+      chess.move(move);
+      const score = -this.quiescence(chess, -beta, -alpha, depth - 1, ply + 1);
+      chess.undo();
+      if (score >= beta) return score;
+      alpha = Math.max(alpha, score);
+    }
+    return alpha;
+  }
+
+  // Moves for the side to move, likeliest to cause a cutoff first
+  orderedMoves(chess) {
+    return orderMoves(chess, chess.moves());
+  }
+
+  // Alpha-beta search `depth` plies deep, then quiescence. Score for the side to move.
+  search(chess, depth, alpha, beta, ply, quiescenceDepth = QUIESCENCE_DEPTH) {
+    if (depth === 0) return this.quiescence(chess, alpha, beta, quiescenceDepth, ply);
+
+    const moves = this.orderedMoves(chess);
+    if (moves.length === 0) {
+      return chess.isCheck() ? -(MATE_SCORE - ply) : 0;
+    }
+    if (chess.isInsufficientMaterial() || chess.isThreefoldRepetition()) return 0;
+
+    for (const move of moves) {
+      chess.move(move);
+      const score = -this.search(chess, depth - 1, -beta, -alpha, ply + 1, quiescenceDepth);
+      chess.undo();
+      if (score >= beta) return score;
+      alpha = Math.max(alpha, score);
+    }
+    return alpha;
+  }
+
+  // Same shape as UciEngine.evaluate: score for the side to move and the best move in UCI notation
+  async evaluate(fen) {
+    // The search is synchronous - let pending socket traffic through before each position
+    await new Promise(resolve => setImmediate(resolve));
+
+    const chess = new Chess(fen);
+    let bestMove = null;
+    let bestScore = -Infinity;
+
+    for (const san of orderMoves(chess, chess.moves())) {
+      const move = chess.move(san);
+      const score = -this.quiescence(chess, -Infinity, -bestScore, QUIESCENCE_DEPTH, 1);
+      chess.undo();
+      if (score > bestScore) {
+        bestScore = score;
+        bestMove = move.from + move.to + (move.promotion || '');
+      }
+    }
+
+    if (!bestMove) {
+      return { score: chess.isCheck() ? { mate: 0 } : { cp: 0 }, bestMove: null };
+    }
+
+    if (Math.abs(bestScore) > MATE_SCORE - 1000) {
+      const plies = MATE_SCORE - Math.abs(bestScore);
+      const moves = Math.ceil(plies / 2);
+      return { score: { mate: bestScore > 0 ? moves : -moves }, bestMove };
+    }
+
+    // Scoring the position by its best move would hand the side to move a free tempo,
+    // which makes every quiet move look like an inaccuracy
+    const score = chess.isCheck() ? bestScore : this.quiescence(chess, -Infinity, Infinity, QUIESCENCE_DEPTH, 0);
+    return { score: { cp: score }, bestMove };
+  }
+
+  async close() {}
+}
+
+module.exports = BuiltinEngine;
+module.exports.MATE_SCORE = MATE_SCORE;
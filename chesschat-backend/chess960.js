@@ -0,0 +1,371 @@
+// chesschat-backend/chess960.js - Chess960 (Fischer Random) start positions and castling
+//
+// chess.js only knows standard castling, so Chess960 wraps it: chess.js generates and
+// plays every other move from a FEN with the castling field stripped, while this class
+// tracks castling rights itself and plays castling by moving king and rook directly.
+// It answers the subset of the chess.js API the server uses, so a game room can hold
+// either one. The web client plays by this same file, copied into chesschat-web/src/rules.
+//
+// Castling is entered king-takes-rook ({ from: 'b1', to: 'a1' }), as 'O-O' / 'O-O-O',
+// or as the king's move to its g/c-file square when that is not also an ordinary move.
+// FENs use X-FEN castling: KQkq for the outermost rooks, the rook's file otherwise.
+const { Chess } = require('chess.js');
+
+const FILES = 'abcdefgh';
+
+// Knight pairs among the five squares left after bishops and queen (Scharnagl numbering)
+const KNIGHT_PLACEMENTS = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]];
+
+const SIDES = ['k', 'q'];
+
+// White's back rank for a Chess960 position number 0-959; 518 is the standard position
+function chess960BackRank(id) {
+  const rank = new Array(8).fill(null);
+  let n = id;
+
+  rank[(n % 4) * 2 + 1] = 'B'; // light-squared bishop: b, d, f or h
+  n = Math.floor(n / 4);
+  rank[(n % 4) * 2] = 'B'; // dark-squared bishop: a, c, e or g
+  n = Math.floor(n / 4);
+
+  const empty = () => rank.map((piece, index) => (piece ? -1 : index)).filter(index => index >= 0);
+  rank[empty()[n % 6]] = 'Q';
+  n = Math.floor(n / 6);
+
+  const knights = empty();
+  for (const slot of KNIGHT_PLACEMENTS[n]) rank[knights[slot]] = 'N';
+
+  // Rook, king, rook in the three squares left, so the king always sits between the rooks
+  const [queenRook, king, kingRook] = empty();
+  rank[queenRook] = 'R';
+  rank[king] = 'K';
+  rank[kingRook] = 'R';
+  return rank.join('');
+}
+
+function chess960Fen(id) {
+  const rank = chess960BackRank(id);
+  return `${rank.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${rank} w KQkq - 0 1`;
+}
+
+function randomChess960Position(random = Math.random) {
+  const id = Math.floor(random() * 960);
+  return { id, fen: chess960Fen(id) };
+}
+
+function backRank(color) {
+  return color === 'w' ? '1' : '8';
+}
+
+function opponent(color) {
+  return color === 'w' ? 'b' : 'w';
+}
+
+function castlingSan(side) {
+  return side === 'k' ? 'O-O' : 'O-O-O';
+}
+
+class Chess960 {
+  constructor(fen) {
+    const fields = fen.split(' ');
+    this.chess = new Chess([fields[0], fields[1], '-', ...fields.slice(3)].join(' '));
+    this.castling = this.parseCastling(fields[2]);
+    this.moveHistory = [];
+    this.states = []; // position and castling rights before each move, for undo
+    this.positionCounts = new Map([[this.positionKey(), 1]]);
+  }
+
+  // { w: { k: 'h', q: 'a' }, b: { ... } } - the castling rook's file on each side, or null
+  parseCastling(field) {
+    const castling = { w: { k: null, q: null }, b: { k: null, q: null } };
+    if (!field || field === '-') return castling;
+
+    for (const char of field) {
+      const color = char === char.toUpperCase() ? 'w' : 'b';
+      const kingFile = this.kingFile(color);
+      if (kingFile === null) continue;
+
+      const lower = char.toLowerCase();
+      let file = null;
+      if (lower === 'k') file = this.outermostRook(color, 'k');
+      else if (lower === 'q') file = this.outermostRook(color, 'q');
+      else if (FILES.includes(lower) && this.isRook(lower + backRank(color), color)) file = lower;
+
+      if (file !== null && FILES.indexOf(file) !== kingFile) {
+        castling[color][FILES.indexOf(file) > kingFile ? 'k' : 'q'] = file;
+      }
+    }
+    return castling;
+  }
+
+  castlingField() {
+    let field = '';
+    for (const color of ['w', 'b']) {
+      for (const side of SIDES) {
+        const file = this.castling[color][side];
+        if (!file) continue;
+        const char = file === this.outermostRook(color, side) ? side : file;
+        field += color === 'w' ? char.toUpperCase() : char;
+      }
+    }
+    return field || '-';
+  }
+
+  isRook(square, color) {
+    const piece = this.chess.get(square);
+    return !!piece && piece.type === 'r' && piece.color === color;
+  }
+
+  // File index of the king on its back rank, or null once it has left it
+  kingFile(color) {
+    for (let file = 0; file < 8; file++) {
+      const piece = this.chess.get(FILES[file] + backRank(color));
+      if (piece && piece.type === 'k' && piece.color === color) return file;
+    }
+    return null;
+  }
+
+  outermostRook(color, side) {
+    const kingFile = this.kingFile(color);
+    if (kingFile === null) return null;
+    const files = side === 'k' ? [7, 6, 5, 4, 3, 2, 1] : [0, 1, 2, 3, 4, 5, 6];
+    const file = files.find(f => (side === 'k' ? f > kingFile : f < kingFile) && this.isRook(FILES[f] + backRank(color), color));
+    return file === undefined ? null : FILES[file];
+  }
+
+  positionKey() {
+    return this.fen().split(' ').slice(0, 4).join(' ');
+  }
+
+  // Squares for castling on `side` if it is legal right now, otherwise null.
+  // Everything between the king, the rook and their destinations must be empty apart from
+  // those two, and the king may not be in check or cross or land on an attacked square.
+  castlingMove(side) {
+    const color = this.chess.turn();
+    const rookFile = this.castling[color][side];
+    const kingFile = this.kingFile(color);
+    if (!rookFile || kingFile === null || this.chess.isCheck()) return null;
+
+    const rank = backRank(color);
+    const kingSquare = FILES[kingFile] + rank;
+    const rookSquare = rookFile + rank;
+    const kingTo = (side === 'k' ? 'g' : 'c') + rank;
+    const rookTo = (side === 'k' ? 'f' : 'd') + rank;
+
+    const files = [kingFile, FILES.indexOf(rookFile), FILES.indexOf(kingTo[0]), FILES.indexOf(rookTo[0])];
+    for (let file = Math.min(...files); file <= Math.max(...files); file++) {
+      const square = FILES[file] + rank;
+      if (square !== kingSquare && square !== rookSquare && this.chess.get(square)) return null;
+    }
+
+    // Test the king's path with king and rook lifted off, so the rook cannot shield a
+    // square it is about to leave, then the king on its square with the rook beside it
+    const board = new Chess(this.chess.fen());
+    board.remove(kingSquare);
+    board.remove(rookSquare);
+
+    const kingToFile = FILES.indexOf(kingTo[0]);
+    const step = kingToFile >= kingFile ? 1 : -1;
+    for (let file = kingFile; file !== kingToFile; file += step) {
+      if (board.isAttacked(FILES[file] + rank, opponent(color))) return null;
+    }
+
+    board.put({ type: 'k', color }, kingTo);
+    board.put({ type: 'r', color }, rookTo);
+    if (board.isAttacked(kingTo, opponent(color))) return null;
+
+    return { color, kingSquare, rookSquare, kingTo, rookTo };
+  }
+
+  // Which side a move asks to castle on, or null for an ordinary move
+  castlingSide(move) {
+    if (typeof move === 'string') {
+      const san = move.replace(/[+#]+$/, '').replace(/0/g, 'O');
+      if (san === 'O-O') return 'k';
+      if (san === 'O-O-O') return 'q';
+      return null;
+    }
+    if (!move || typeof move !== 'object') return null;
+
+    const color = this.chess.turn();
+    const king = this.chess.get(move.from);
+    if (!king || king.type !== 'k' || king.color !== color) return null;
+
+    // King takes rook
+    const rank = backRank(color);
+    for (const side of SIDES) {
+      const file = this.castling[color][side];
+      if (file && move.to === file + rank) return side;
+    }
+
+    // King to its castled square, unless that is an ordinary king move too
+    const side = move.to === `g${rank}` ? 'k' : move.to === `c${rank}` ? 'q' : null;
+    if (!side || !this.castling[color][side]) return null;
+    const ordinary = this.chess.moves({ square: move.from, verbose: true }).some(m => m.to === move.to);
+    return ordinary ? null : side;
+  }
+
+  castle(side) {
+    const squares = this.castlingMove(side);
+    if (!squares) return null;
+
+    const { color, kingSquare, rookSquare, kingTo, rookTo } = squares;
+    const before = this.fen();
+    const [, , , , halfmoves, fullmoves] = before.split(' ');
+
+    this.chess.remove(kingSquare);
+    this.chess.remove(rookSquare);
+    this.chess.put({ type: 'k', color }, kingTo);
+    this.chess.put({ type: 'r', color }, rookTo);
+
+    const placement = this.chess.fen().split(' ')[0];
+    const nextFullmoves = color === 'b' ? Number(fullmoves) + 1 : Number(fullmoves);
+    this.chess.load(`${placement} ${opponent(color)} - - ${Number(halfmoves) + 1} ${nextFullmoves}`);
+    this.castling[color] = { k: null, q: null };
+
+    let san = castlingSan(side);
+    if (this.chess.isCheckmate()) san += '#';
+    else if (this.chess.isCheck()) san += '+';
+
+    return {
+      color,
+      from: kingSquare,
+      to: rookSquare,
+      piece: 'k',
+      san,
+      lan: kingSquare + rookSquare,
+      flags: side,
+      before,
+      after: this.fen()
+    };
+  }
+
+  // A king move or a rook leaving (or captured on) its castling square ends that right
+  updateCastlingRights(result) {
+    if (result.piece === 'k') {
+      this.castling[result.color] = { k: null, q: null };
+    }
+    for (const color of ['w', 'b']) {
+      for (const side of SIDES) {
+        const file = this.castling[color][side];
+        const square = file && file + backRank(color);
+        if (square && (result.from === square || result.to === square)) {
+          this.castling[color][side] = null;
+        }
+      }
+    }
+  }
+
+  // Throws on an illegal move, like chess.js
+  move(move) {
+    const state = { fen: this.fen(), castling: JSON.parse(JSON.stringify(this.castling)) };
+    const side = this.castlingSide(move);
+
+    let result;
+    if (side) {
+      result = this.castle(side);
+      if (!result) throw new Error(`Invalid move: ${JSON.stringify(move)}`);
+    } else {
+      result = this.chess.move(move);
+      this.updateCastlingRights(result);
+      result = { ...result, before: state.fen, after: this.fen() };
+    }
+
+    this.states.push(state);
+    this.moveHistory.push(result);
+    const key = this.positionKey();
+    this.positionCounts.set(key, (this.positionCounts.get(key) || 0) + 1);
+    return result;
+  }
+
+  undo() {
+    const state = this.states.pop();
+    if (!state) return null;
+
+    const key = this.positionKey();
+    this.positionCounts.set(key, this.positionCounts.get(key) - 1);
+
+    const fields = state.fen.split(' ');
+    this.chess.load([fields[0], fields[1], '-', ...fields.slice(3)].join(' '));
+    this.castling = state.castling;
+    return this.moveHistory.pop();
+  }
+
+  // chess.js moves() plus whichever castling moves are legal
+  moves({ square, verbose = false } = {}) {
+    const moves = this.chess.moves({ square, verbose });
+    const color = this.chess.turn();
+    const kingFile = this.kingFile(color);
+    if (kingFile === null || (square && square !== FILES[kingFile] + backRank(color))) return moves;
+
+    for (const side of SIDES) {
+      if (!this.castlingMove(side)) continue;
+      const copy = new Chess960(this.fen());
+      const castled = copy.move(castlingSan(side));
+      moves.push(verbose ? castled : castled.san);
+    }
+    return moves;
+  }
+
+  fen() {
+    const fields = this.chess.fen().split(' ');
+    fields[2] = this.castlingField();
+    return fields.join(' ');
+  }
+
+  history({ verbose = false } = {}) {
+    return verbose ? this.moveHistory.slice() : this.moveHistory.map(move => move.san);
+  }
+
+  turn() {
+    return this.chess.turn();
+  }
+
+  get(square) {
+    return this.chess.get(square);
+  }
+
+  board() {
+    return this.chess.board();
+  }
+
+  isCheck() {
+    return this.chess.isCheck();
+  }
+
+  // Castling is never legal in check, so chess.js already knows about every mate
+  isCheckmate() {
+    return this.chess.isCheckmate();
+  }
+
+  isStalemate() {
+    return !this.chess.isCheck() && this.moves().length === 0;
+  }
+
+  isInsufficientMaterial() {
+    return this.chess.isInsufficientMaterial();
+  }
+
+  isThreefoldRepetition() {
+    return this.positionCounts.get(this.positionKey()) >= 3;
+  }
+
+  isDrawByFiftyMoves() {
+    return this.chess.isDrawByFiftyMoves();
+  }
+
+  isDraw() {
+    return this.isDrawByFiftyMoves() || this.isStalemate() || this.isInsufficientMaterial() || this.isThreefoldRepetition();
+  }
+
+  isGameOver() {
+    return this.isCheckmate() || this.isDraw();
+  }
+}
+
+module.exports = {
+  Chess960,
+  chess960BackRank,
+  chess960Fen,
+  randomChess960Position
+};
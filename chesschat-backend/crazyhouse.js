@@ -0,0 +1,307 @@
+// chesschat-backend/crazyhouse.js - Crazyhouse pockets and drop moves
+//
+// A captured piece changes sides and goes into the captor's pocket, and instead of moving
+// a player may drop a piece from their pocket onto any empty square. Pawns cannot be
+// dropped on the first or last rank, and a promoted piece turns back into a pawn when it
+// is captured. chess.js plays the ordinary moves while this class keeps the pockets and
+// plays drops by placing the piece and handing over the turn, so like Chess960 it keeps
+// its own history. It answers the subset of the chess.js API the server uses. The web
+// client plays by this same file, copied into chesschat-web/src/rules.
+//
+// Drops are entered as { drop: 'n', to: 'f3' } or in SAN as 'N@f3' ('P@e4' or '@e4' for
+// a pawn). FENs list the pockets in brackets after the placement and mark promoted
+// pieces with ~, e.g. 'r1bqk2r/.../R1BQ~K2R[NPnp] w Qkq - 0 12'.
+const { Chess } = require('chess.js');
+
+const FILES = 'abcdefgh';
+
+// Pocket pieces in the order FENs and the board list them
+const POCKET_PIECES = ['q', 'r', 'b', 'n', 'p'];
+
+const DROP_SAN = /^([PNBRQ]?)@([a-h][1-8])[+#]*$/;
+
+function opponent(color) {
+  return color === 'w' ? 'b' : 'w';
+}
+
+function emptyPockets() {
+  return {
+    w: { q: 0, r: 0, b: 0, n: 0, p: 0 },
+    b: { q: 0, r: 0, b: 0, n: 0, p: 0 }
+  };
+}
+
+class Crazyhouse {
+  constructor(fen) {
+    this.load(fen);
+    this.moveHistory = [];
+    this.states = []; // FEN before each move, for undo
+    this.positionCounts = new Map([[this.positionKey(), 1]]);
+  }
+
+  // Takes the pockets and promotion marks off the placement and gives chess.js the rest
+  load(fen) {
+    const fields = fen.split(' ');
+    const match = fields[0].match(/^([^[]*)(?:\[([A-Za-z]*)\])?$/);
+    if (!match) throw new Error(`Invalid FEN: ${fen}`);
+    const [, placement, pocketField = ''] = match;
+
+    this.pockets = emptyPockets();
+    for (const char of pocketField) {
+      const type = char.toLowerCase();
+      if (!POCKET_PIECES.includes(type)) throw new Error(`Invalid pocket piece: ${char}`);
+      this.pockets[char === type ? 'b' : 'w'][type]++;
+    }
+
+    this.promoted = new Set();
+    let rank = 8;
+    let file = 0;
+    for (const char of placement) {
+      if (char === '/') {
+        rank--;
+        file = 0;
+      } else if (char === '~') {
+        this.promoted.add(FILES[file - 1] + rank);
+      } else {
+        file += /\d/.test(char) ? Number(char) : 1;
+      }
+    }
+
+    this.chess = new Chess([placement.replace(/~/g, ''), ...fields.slice(1)].join(' '));
+  }
+
+  pocketField() {
+    let field = '';
+    for (const color of ['w', 'b']) {
+      for (const type of POCKET_PIECES) {
+        const char = color === 'w' ? type.toUpperCase() : type;
+        field += char.repeat(this.pockets[color][type]);
+      }
+    }
+    return field;
+  }
+
+  // chess.js placement with ~ after each promoted piece
+  markPromotions(placement) {
+    let rank = 8;
+    let file = 0;
+    let marked = '';
+    for (const char of placement) {
+      marked += char;
+      if (char === '/') {
+        rank--;
+        file = 0;
+      } else if (/\d/.test(char)) {
+        file += Number(char);
+      } else {
+        if (this.promoted.has(FILES[file] + rank)) marked += '~';
+        file++;
+      }
+    }
+    return marked;
+  }
+
+  positionKey() {
+    return this.fen().split(' ').slice(0, 4).join(' ');
+  }
+
+  kingSquare(color) {
+    return this.chess.findPiece({ type: 'k', color })[0];
+  }
+
+  // Which piece and square a move drops, or null for an ordinary move
+  parseDrop(move) {
+    if (typeof move === 'string') {
+      const match = move.match(DROP_SAN);
+      return match ? { type: (match[1] || 'p').toLowerCase(), to: match[2] } : null;
+    }
+    if (move && typeof move === 'object' && move.drop !== undefined) {
+      return { type: move.drop, to: move.to };
+    }
+    return null;
+  }
+
+  // The side to move needs the piece in its pocket and an empty square, a pawn may not go
+  // to the first or last rank, and in check the drop has to block it. A drop never
+  // uncovers an attack, so out of check every other drop is legal.
+  canDrop(type, to) {
+    const color = this.chess.turn();
+    if (!POCKET_PIECES.includes(type) || !this.pockets[color][type]) return false;
+    if (typeof to !== 'string' || !/^[a-h][1-8]$/.test(to) || this.chess.get(to)) return false;
+    if (type === 'p' && (to[1] === '1' || to[1] === '8')) return false;
+    if (!this.chess.isCheck()) return true;
+
+    const board = new Chess(this.chess.fen());
+    board.put({ type, color }, to);
+    return !board.isAttacked(this.kingSquare(color), opponent(color));
+  }
+
+  // Every legal drop for the side to move, as SAN without check marks
+  drops() {
+    const color = this.chess.turn();
+    const types = POCKET_PIECES.filter(type => this.pockets[color][type] > 0);
+    if (types.length === 0) return [];
+
+    const drops = [];
+    for (let rank = 1; rank <= 8; rank++) {
+      for (const file of FILES) {
+        for (const type of types) {
+          if (this.canDrop(type, file + rank)) drops.push(`${type.toUpperCase()}@${file}${rank}`);
+        }
+      }
+    }
+    return drops;
+  }
+
+  // + or # for the side now to move - chess.js cannot tell mate from check when a drop could block
+  checkSuffix() {
+    if (!this.chess.isCheck()) return '';
+    return this.isCheckmate() ? '#' : '+';
+  }
+
+  playDrop({ type, to }, before) {
+    const color = this.chess.turn();
+    const [, , castling, , halfmoves, fullmoves] = this.chess.fen().split(' ');
+
+    this.chess.put({ type, color }, to);
+    const placement = this.chess.fen().split(' ')[0];
+    // Pawn drops reset the fifty-move count like pawn moves do
+    const nextHalfmoves = type === 'p' ? 0 : Number(halfmoves) + 1;
+    const nextFullmoves = color === 'b' ? Number(fullmoves) + 1 : Number(fullmoves);
+    this.chess.load(`${placement} ${opponent(color)} ${castling} - ${nextHalfmoves} ${nextFullmoves}`);
+    this.pockets[color][type]--;
+
+    const lan = `${type.toUpperCase()}@${to}`;
+    return {
+      color,
+      piece: type,
+      to,
+      drop: true,
+      san: lan + this.checkSuffix(),
+      lan,
+      before,
+      after: this.fen()
+    };
+  }
+
+  // Captures fill the captor's pocket; promoted pieces keep their mark as they move
+  updatePockets(result) {
+    if (result.captured) {
+      const type = this.promoted.has(result.to) ? 'p' : result.captured;
+      this.pockets[result.color][type]++;
+    }
+    this.promoted.delete(result.to);
+    if (this.promoted.delete(result.from) || result.promotion) {
+      this.promoted.add(result.to);
+    }
+  }
+
+  // Throws on an illegal move, like chess.js
+  move(move) {
+    const before = this.fen();
+    const drop = this.parseDrop(move);
+
+    let result;
+    if (drop) {
+      if (!this.canDrop(drop.type, drop.to)) throw new Error(`Invalid move: ${JSON.stringify(move)}`);
+      result = this.playDrop(drop, before);
+    } else {
+      result = this.chess.move(move);
+      this.updatePockets(result);
+      const san = result.san.replace(/[+#]$/, '') + this.checkSuffix();
+      result = { ...result, san, before, after: this.fen() };
+    }
+
+    this.states.push(before);
+    this.moveHistory.push(result);
+    const key = this.positionKey();
+    this.positionCounts.set(key, (this.positionCounts.get(key) || 0) + 1);
+    return result;
+  }
+
+  undo() {
+    const before = this.states.pop();
+    if (!before) return null;
+
+    const key = this.positionKey();
+    this.positionCounts.set(key, this.positionCounts.get(key) - 1);
+    this.load(before);
+    return this.moveHistory.pop();
+  }
+
+  // chess.js moves() plus the legal drops. Drops have no from-square, so asking about
+  // one square only gives the moves of the piece on it.
+  moves({ square, verbose = false } = {}) {
+    const moves = this.chess.moves({ square, verbose });
+    if (square) return moves;
+
+    const color = this.chess.turn();
+    for (const san of this.drops()) {
+      const [piece, to] = san.split('@');
+      moves.push(verbose ? { color, piece: piece.toLowerCase(), to, drop: true, san, lan: san } : san);
+    }
+    return moves;
+  }
+
+  fen() {
+    const fields = this.chess.fen().split(' ');
+    fields[0] = `${this.markPromotions(fields[0])}[${this.pocketField()}]`;
+    return fields.join(' ');
+  }
+
+  history({ verbose = false } = {}) {
+    return verbose ? this.moveHistory.slice() : this.moveHistory.map(move => move.san);
+  }
+
+  turn() {
+    return this.chess.turn();
+  }
+
+  get(square) {
+    return this.chess.get(square);
+  }
+
+  board() {
+    return this.chess.board();
+  }
+
+  isCheck() {
+    return this.chess.isCheck();
+  }
+
+  isCheckmate() {
+    return this.chess.isCheckmate() && this.drops().length === 0;
+  }
+
+  // With anything in the pocket there is always somewhere to drop it
+  isStalemate() {
+    return !this.chess.isCheck() && this.chess.moves().length === 0 && this.drops().length === 0;
+  }
+
+  // Captured pieces come back, so only bare kings with empty pockets cannot mate
+  isInsufficientMaterial() {
+    const pieces = this.chess.board().flat().filter(Boolean);
+    return pieces.length === 2 && this.pocketField() === '';
+  }
+
+  isThreefoldRepetition() {
+    return this.positionCounts.get(this.positionKey()) >= 3;
+  }
+
+  isDrawByFiftyMoves() {
+    return this.chess.isDrawByFiftyMoves();
+  }
+
+  isDraw() {
+    return this.isDrawByFiftyMoves() || this.isStalemate() || this.isInsufficientMaterial() || this.isThreefoldRepetition();
+  }
+
+  isGameOver() {
+    return this.isCheckmate() || this.isDraw();
+  }
+}
+
+module.exports = {
+  Crazyhouse,
+  POCKET_PIECES
+};
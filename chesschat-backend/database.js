@@ -1,5 +1,12 @@
 // database.js - Fixed PostgreSQL persistence layer for Railway
+const crypto = require('crypto');
 const { Pool } = require('pg');
+const Migrator = require('./migrator');
+const { DEFAULT_RATING, rateGame, isProvisional } = require('./glicko2');
+
+// Times createUser draws a friend code before giving up - each draw clashes with an
+// existing code about once in four billion
+const FRIEND_CODE_ATTEMPTS = 5;
 
 class Database {
   constructor() {
@@ -37,102 +44,58 @@ class Database {
       console.log('🕐 Database time:', result.rows[0].now);
       
       client.release();
-      await this.initTables();
+      await this.migrate();
     } catch (error) {
       console.error('❌ Database connection failed:', error);
       throw error;
     }
   }
 
-  async initTables() {
-    const client = await this.pool.connect();
-    try {
-      // Drop and recreate tables to ensure clean state
-      await client.query(`
-        -- Drop existing tables if they exist (for clean deployment)
-        DROP TABLE IF EXISTS game_history CASCADE;
-        DROP TABLE IF EXISTS friend_requests CASCADE;
-        DROP TABLE IF EXISTS friendships CASCADE;
-        DROP TABLE IF EXISTS users CASCADE;
-
-        -- Users table
-        CREATE TABLE users (
-          username VARCHAR(50) PRIMARY KEY,
-          display_name VARCHAR(100) NOT NULL,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          games_played INTEGER DEFAULT 0,
-          games_won INTEGER DEFAULT 0,
-          games_lost INTEGER DEFAULT 0,
-          games_drawn INTEGER DEFAULT 0
-        );
-
-        -- Friendships table (bidirectional relationships)
-        CREATE TABLE friendships (
-          id SERIAL PRIMARY KEY,
-          user1 VARCHAR(50) REFERENCES users(username) ON DELETE CASCADE,
-          user2 VARCHAR(50) REFERENCES users(username) ON DELETE CASCADE,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          UNIQUE(user1, user2),
-          CHECK (user1 < user2) -- Ensures consistent ordering
-        );
-
-        -- Friend requests table
-        CREATE TABLE friend_requests (
-          id SERIAL PRIMARY KEY,
-          from_user VARCHAR(50) REFERENCES users(username) ON DELETE CASCADE,
-          to_user VARCHAR(50) REFERENCES users(username) ON DELETE CASCADE,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          UNIQUE(from_user, to_user),
-          CHECK (from_user != to_user)
-        );
-
-        -- Game history table
-        CREATE TABLE game_history (
-          id SERIAL PRIMARY KEY,
-          white_player VARCHAR(50) REFERENCES users(username),
-          black_player VARCHAR(50) REFERENCES users(username),
-          winner VARCHAR(10), -- 'white', 'black', or 'draw'
-          end_reason VARCHAR(20), -- 'checkmate', 'timeout', 'resignation', etc.
-          game_duration INTEGER, -- seconds
-          moves_count INTEGER,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-
-        -- Create indexes for better performance
-        CREATE INDEX IF NOT EXISTS idx_friendships_user1 ON friendships(user1);
-        CREATE INDEX IF NOT EXISTS idx_friendships_user2 ON friendships(user2);
-        CREATE INDEX IF NOT EXISTS idx_friend_requests_to_user ON friend_requests(to_user);
-        CREATE INDEX IF NOT EXISTS idx_friend_requests_from_user ON friend_requests(from_user);
-        CREATE INDEX IF NOT EXISTS idx_game_history_players ON game_history(white_player, black_player);
-        CREATE INDEX IF NOT EXISTS idx_users_last_seen ON users(last_seen);
-      `);
-      console.log('✅ Database tables initialized');
-    } catch (error) {
-      console.error('❌ Failed to initialize tables:', error);
-      throw error;
-    } finally {
-      client.release();
+  // Bring the schema up to date. Data is never dropped - see migrations/
+  async migrate() {
+    const applied = await new Migrator(this.pool).migrate();
+    if (applied.length > 0) {
+      console.log(`✅ Applied ${applied.length} database migration(s)`);
+    } else {
+      console.log('✅ Database schema up to date');
     }
   }
 
   // User management
-  async createUser(username, displayName) {
-    const client = await this.pool.connect();
+  // Pass a client to run inside a caller's transaction. A new user gets a random friend
+  // code; ON CONFLICT DO NOTHING skips the insert rather than failing (and aborting the
+  // caller's transaction) when the code is taken or the user was added meanwhile, and the
+  // next attempt updates that user or draws another code.
+  async createUser(username, displayName, client = null) {
+    const conn = client || await this.pool.connect();
     try {
-      const result = await client.query(
-        'INSERT INTO users (username, display_name) VALUES ($1, $2) ON CONFLICT (username) DO UPDATE SET last_seen = CURRENT_TIMESTAMP, display_name = EXCLUDED.display_name RETURNING *',
-        [username, displayName]
-      );
-      return result.rows[0];
+      for (let attempt = 0; attempt < FRIEND_CODE_ATTEMPTS; attempt++) {
+        const updated = await conn.query(
+          'UPDATE users SET last_seen = CURRENT_TIMESTAMP, display_name = $2 WHERE username = $1 RETURNING *',
+          [username, displayName]
+        );
+        if (updated.rows[0]) return updated.rows[0];
+
+        const inserted = await conn.query(
+          'INSERT INTO users (username, display_name, friend_code) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING RETURNING *',
+          [username, displayName, this.drawFriendCode()]
+        );
+        if (inserted.rows[0]) return inserted.rows[0];
+      }
+      throw new Error(`No free friend code for ${username} after ${FRIEND_CODE_ATTEMPTS} attempts`);
     } catch (error) {
       console.error('Error creating user:', error);
       throw error;
     } finally {
-      client.release();
+      if (!client) conn.release();
     }
   }
 
+  // Eight hex digits, like the codes players already have
+  drawFriendCode() {
+    return crypto.randomBytes(4).toString('hex').toUpperCase();
+  }
+
   async getUser(username) {
     const client = await this.pool.connect();
     try {
@@ -328,14 +291,68 @@ class Database {
     }
   }
 
+  async removeFriend(user1, user2) {
+    const client = await this.pool.connect();
+    try {
+      const [sortedUser1, sortedUser2] = [user1, user2].sort();
+      const result = await client.query(
+        'DELETE FROM friendships WHERE user1 = $1 AND user2 = $2 RETURNING *',
+        [sortedUser1, sortedUser2]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      console.error('Error removing friend:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getUserByFriendCode(friendCode) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM users WHERE friend_code = $1',
+        [friendCode.toUpperCase()]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting user by friend code:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   // Game history
+  // Upserts both players, records the game and updates stats in one transaction.
+  // A bot's seat has no player (null) - its name goes in botName and it gets no users row.
   async saveGameResult(gameData) {
     const client = await this.pool.connect();
     try {
+      await client.query('BEGIN');
+
+      if (gameData.whitePlayer) {
+        await this.createUser(gameData.whitePlayer, gameData.whiteDisplayName || gameData.whitePlayer, client);
+      }
+      if (gameData.blackPlayer) {
+        await this.createUser(gameData.blackPlayer, gameData.blackDisplayName || gameData.blackPlayer, client);
+      }
+
+      // Rated games update both players' ratings in the same transaction
+      const ratingChanges = gameData.rated && ['white', 'black', 'draw'].includes(gameData.winner)
+        ? await this.updateRatings(gameData, client)
+        : null;
+
       const result = await client.query(`
         INSERT INTO game_history 
-        (white_player, black_player, winner, end_reason, game_duration, moves_count)
-        VALUES ($1, $2, $3, $4, $5, $6)
+        (white_player, black_player, winner, end_reason, game_duration, moves_count,
+         moves, pgn, start_fen, end_fen, white_time_left, black_time_left,
+         time_control, room_code, started_at, ended_at,
+         rated, category, white_rating, black_rating, white_rating_change, black_rating_change,
+         move_clocks, variant, bot_name)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+                $17, $18, $19, $20, $21, $22, $23, $24, $25)
         RETURNING *
       `, [
         gameData.whitePlayer,
@@ -343,14 +360,35 @@ class Database {
         gameData.winner,
         gameData.endReason,
         gameData.duration,
-        gameData.movesCount
+        gameData.movesCount,
+        gameData.moves,
+        gameData.pgn,
+        gameData.startFen,
+        gameData.endFen,
+        gameData.whiteTimeLeft,
+        gameData.blackTimeLeft,
+        gameData.timeControl,
+        gameData.roomCode,
+        gameData.startedAt,
+        gameData.endedAt,
+        !!gameData.rated,
+        gameData.category,
+        ratingChanges ? ratingChanges.white.before : null,
+        ratingChanges ? ratingChanges.black.before : null,
+        ratingChanges ? ratingChanges.white.change : null,
+        ratingChanges ? ratingChanges.black.change : null,
+        gameData.moveClocks,
+        gameData.variant || 'standard',
+        gameData.botName || null
       ]);
 
       // Update user stats
-      await this.updateUserStats(gameData);
-      
-      return result.rows[0];
+      await this.updateUserStats(gameData, client);
+
+      await client.query('COMMIT');
+      return { ...result.rows[0], ratingChanges };
     } catch (error) {
+      await client.query('ROLLBACK');
       console.error('Error saving game result:', error);
       throw error;
     } finally {
@@ -358,30 +396,242 @@ class Database {
     }
   }
 
-  async updateUserStats(gameData) {
+  async getGame(gameId) {
     const client = await this.pool.connect();
     try {
-      // Update both players' stats
-      await client.query(`
-        UPDATE users 
-        SET games_played = games_played + 1,
-            games_won = games_won + CASE WHEN $2 = 'white' THEN 1 ELSE 0 END,
-            games_lost = games_lost + CASE WHEN $2 = 'black' THEN 1 ELSE 0 END,
-            games_drawn = games_drawn + CASE WHEN $2 = 'draw' THEN 1 ELSE 0 END
-        WHERE username = $1
-      `, [gameData.whitePlayer, gameData.winner]);
+      const result = await client.query(`
+        SELECT g.*,
+          COALESCE(w.display_name, g.bot_name) AS white_display_name,
+          COALESCE(b.display_name, g.bot_name) AS black_display_name
+        FROM game_history g
+        LEFT JOIN users w ON w.username = g.white_player
+        LEFT JOIN users b ON b.username = g.black_player
+        WHERE g.id = $1
+      `, [gameId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting game:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
 
-      await client.query(`
-        UPDATE users 
-        SET games_played = games_played + 1,
-            games_won = games_won + CASE WHEN $2 = 'black' THEN 1 ELSE 0 END,
-            games_lost = games_lost + CASE WHEN $2 = 'white' THEN 1 ELSE 0 END,
-            games_drawn = games_drawn + CASE WHEN $2 = 'draw' THEN 1 ELSE 0 END
-        WHERE username = $1
-      `, [gameData.blackPlayer, gameData.winner]);
+  async updateUserStats(gameData, client = null) {
+    const conn = client || await this.pool.connect();
+    try {
+      // Update both players' stats - a bot's seat has no player to update
+      if (gameData.whitePlayer) {
+        await conn.query(`
+          UPDATE users 
+          SET games_played = games_played + 1,
+              games_won = games_won + CASE WHEN $2 = 'white' THEN 1 ELSE 0 END,
+              games_lost = games_lost + CASE WHEN $2 = 'black' THEN 1 ELSE 0 END,
+              games_drawn = games_drawn + CASE WHEN $2 = 'draw' THEN 1 ELSE 0 END
+          WHERE username = $1
+        `, [gameData.whitePlayer, gameData.winner]);
+      }
+
+      if (gameData.blackPlayer) {
+        await conn.query(`
+          UPDATE users 
+          SET games_played = games_played + 1,
+              games_won = games_won + CASE WHEN $2 = 'black' THEN 1 ELSE 0 END,
+              games_lost = games_lost + CASE WHEN $2 = 'white' THEN 1 ELSE 0 END,
+              games_drawn = games_drawn + CASE WHEN $2 = 'draw' THEN 1 ELSE 0 END
+          WHERE username = $1
+        `, [gameData.blackPlayer, gameData.winner]);
+      }
     } catch (error) {
       console.error('Error updating user stats:', error);
       throw error;
+    } finally {
+      if (!client) conn.release();
+    }
+  }
+
+  // Rating management
+  // A player's rating in one category, or the starting rating if they have not played it yet.
+  // Inside a transaction (client given) the row is locked until commit.
+  async getRating(username, category, client = null) {
+    const conn = client || await this.pool.connect();
+    try {
+      const result = await conn.query(
+        `SELECT rating, rd, volatility, games FROM user_ratings
+         WHERE username = $1 AND category = $2${client ? ' FOR UPDATE' : ''}`,
+        [username, category]
+      );
+      return result.rows[0] || { ...DEFAULT_RATING, games: 0 };
+    } catch (error) {
+      console.error('Error getting rating:', error);
+      throw error;
+    } finally {
+      if (!client) conn.release();
+    }
+  }
+
+  // All of a player's ratings keyed by category (only categories they have played)
+  async getRatings(username) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT category, rating, rd, volatility, games FROM user_ratings WHERE username = $1',
+        [username]
+      );
+      const ratings = {};
+      for (const row of result.rows) {
+        ratings[row.category] = {
+          rating: Math.round(row.rating),
+          rd: Math.round(row.rd),
+          games: row.games,
+          provisional: isProvisional(row)
+        };
+      }
+      return ratings;
+    } catch (error) {
+      console.error('Error getting ratings:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Apply a game's result to both players' ratings. Must run inside saveGameResult's transaction.
+  // Returns { white, black } each with the rounded rating before and after and the change.
+  async updateRatings(gameData, client) {
+    const { whitePlayer, blackPlayer, category, winner } = gameData;
+
+    // Lock rows in a fixed order so two games saving at once cannot deadlock
+    const current = {};
+    for (const username of [whitePlayer, blackPlayer].sort()) {
+      current[username] = await this.getRating(username, category, client);
+    }
+
+    const updated = rateGame(current[whitePlayer], current[blackPlayer], winner);
+
+    const changes = {};
+    for (const [color, username] of [['white', whitePlayer], ['black', blackPlayer]]) {
+      const rating = updated[color];
+      await client.query(`
+        INSERT INTO user_ratings (username, category, rating, rd, volatility, games, updated_at)
+        VALUES ($1, $2, $3, $4, $5, 1, CURRENT_TIMESTAMP)
+        ON CONFLICT (username, category) DO UPDATE
+        SET rating = EXCLUDED.rating,
+            rd = EXCLUDED.rd,
+            volatility = EXCLUDED.volatility,
+            games = user_ratings.games + 1,
+            updated_at = CURRENT_TIMESTAMP
+      `, [username, category, rating.rating, rating.rd, rating.volatility]);
+
+      const before = Math.round(current[username].rating);
+      const after = Math.round(rating.rating);
+      changes[color] = { before, after, change: after - before, provisional: isProvisional(rating) };
+    }
+
+    return changes;
+  }
+
+  // Leaderboards
+  // Everyone with a rating in the category, ranked by it. With `since`, only players with
+  // at least minGames rated games in the category since then; otherwise minGames all-time.
+  // Parameters: $1 category, $2 minGames, $3 since (only when given)
+  rankedPlayersSql(since) {
+    const activity = since
+      ? `
+        SELECT username, COUNT(*) AS games
+        FROM (
+          SELECT white_player AS username FROM game_history
+          WHERE rated AND category = $1 AND ended_at >= $3
+          UNION ALL
+          SELECT black_player AS username FROM game_history
+          WHERE rated AND category = $1 AND ended_at >= $3
+        ) played
+        GROUP BY username`
+      : `
+        SELECT username, games
+        FROM user_ratings
+        WHERE category = $1`;
+
+    return `
+      WITH activity AS (${activity}
+      ),
+      ranked AS (
+        SELECT
+          r.username,
+          u.display_name,
+          r.rating,
+          r.rd,
+          a.games,
+          RANK() OVER (ORDER BY r.rating DESC) AS rank,
+          COUNT(*) OVER () AS total
+        FROM user_ratings r
+        JOIN activity a ON a.username = r.username
+        JOIN users u ON u.username = r.username
+        WHERE r.category = $1 AND a.games >= $2
+      )`;
+  }
+
+  formatLeaderboardRow(row) {
+    return {
+      rank: Number(row.rank),
+      username: row.username,
+      displayName: row.display_name,
+      rating: Math.round(row.rating),
+      provisional: isProvisional(row),
+      games: Number(row.games)
+    };
+  }
+
+  async getLeaderboard({ category, since = null, minGames = 1, limit = 20, offset = 0 }) {
+    const client = await this.pool.connect();
+    try {
+      const params = since ? [category, minGames, since, limit, offset] : [category, minGames, limit, offset];
+      const limitParam = since ? '$4' : '$3';
+      const offsetParam = since ? '$5' : '$4';
+
+      const result = await client.query(`
+        ${this.rankedPlayersSql(since)}
+        SELECT * FROM ranked
+        ORDER BY rank, username
+        LIMIT ${limitParam} OFFSET ${offsetParam}
+      `, params);
+
+      return {
+        total: result.rows.length ? Number(result.rows[0].total) : await this.countLeaderboard(client, category, since, minGames),
+        players: result.rows.map(row => this.formatLeaderboardRow(row))
+      };
+    } catch (error) {
+      console.error('Error getting leaderboard:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Total for a page past the end, where no row carries it
+  async countLeaderboard(client, category, since, minGames) {
+    const params = since ? [category, minGames, since] : [category, minGames];
+    const result = await client.query(`
+      ${this.rankedPlayersSql(since)}
+      SELECT COUNT(*) AS total FROM ranked
+    `, params);
+    return Number(result.rows[0].total);
+  }
+
+  // One player's position on the same leaderboard, or null if they are not on it
+  async getLeaderboardRank(username, { category, since = null, minGames = 1 }) {
+    const client = await this.pool.connect();
+    try {
+      const params = since ? [category, minGames, since, username] : [category, minGames, username];
+      const result = await client.query(`
+        ${this.rankedPlayersSql(since)}
+        SELECT * FROM ranked WHERE username = ${since ? '$4' : '$3'}
+      `, params);
+
+      return result.rows.length ? this.formatLeaderboardRow(result.rows[0]) : null;
+    } catch (error) {
+      console.error('Error getting leaderboard rank:', error);
+      throw error;
     } finally {
       client.release();
     }
@@ -413,6 +663,168 @@ class Database {
     }
   }
 
+  // Profiles
+  // Game counts and averages grouped by the player's colour, the end reason and the outcome for them
+  async getResultBreakdown(username) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(`
+        SELECT
+          color,
+          end_reason,
+          outcome,
+          COUNT(*) AS games,
+          AVG(game_duration) AS average_duration,
+          AVG(moves_count) AS average_moves
+        FROM (
+          SELECT
+            CASE WHEN white_player = $1 THEN 'white' ELSE 'black' END AS color,
+            CASE
+              WHEN winner = 'draw' THEN 'draw'
+              WHEN winner = CASE WHEN white_player = $1 THEN 'white' ELSE 'black' END THEN 'win'
+              ELSE 'loss'
+            END AS outcome,
+            end_reason,
+            game_duration,
+            moves_count
+          FROM game_history
+          WHERE white_player = $1 OR black_player = $1
+        ) games
+        GROUP BY color, end_reason, outcome
+      `, [username]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting result breakdown:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // The player's rating after each rated game, oldest first
+  async getRatingHistory(username) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(`
+        SELECT
+          id,
+          category,
+          ended_at,
+          CASE
+            WHEN white_player = $1 THEN white_rating + white_rating_change
+            ELSE black_rating + black_rating_change
+          END AS rating
+        FROM game_history
+        WHERE rated
+          AND (white_player = $1 OR black_player = $1)
+          AND white_rating_change IS NOT NULL
+        ORDER BY ended_at, id
+      `, [username]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting rating history:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // WHERE clause for a player's games, optionally narrowed by opponent name, result
+  // ('win', 'draw', 'loss' from the player's side) and time control.
+  // params starts as [username] and gets the filter values appended.
+  userGamesWhereSql({ opponent = null, result = null, timeControl = null }, params) {
+    const conditions = ['(g.white_player = $1 OR g.black_player = $1)'];
+    const playerColor = "CASE WHEN g.white_player = $1 THEN 'white' ELSE 'black' END";
+
+    if (opponent) {
+      params.push(`%${opponent.replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`COALESCE(CASE WHEN g.white_player = $1 THEN b.display_name ELSE w.display_name END, g.bot_name) ILIKE $${params.length}`);
+    }
+    if (result === 'win') {
+      conditions.push(`g.winner = ${playerColor}`);
+    } else if (result === 'draw') {
+      conditions.push("g.winner = 'draw'");
+    } else if (result === 'loss') {
+      conditions.push(`g.winner IN ('white', 'black') AND g.winner <> ${playerColor}`);
+    }
+    if (timeControl) {
+      params.push(timeControl);
+      conditions.push(`g.time_control = $${params.length}`);
+    }
+
+    return `WHERE ${conditions.join(' AND ')}`;
+  }
+
+  // The player's games with both players' names, newest first
+  async getUserGames(username, { limit = 20, offset = 0, ...filters } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const params = [username];
+      const where = this.userGamesWhereSql(filters, params);
+      params.push(limit, offset);
+
+      const result = await client.query(`
+        SELECT
+          g.id,
+          g.white_player,
+          g.black_player,
+          COALESCE(w.display_name, g.bot_name) AS white_display_name,
+          COALESCE(b.display_name, g.bot_name) AS black_display_name,
+          g.winner,
+          g.end_reason,
+          g.game_duration,
+          g.moves_count,
+          g.moves,
+          g.start_fen,
+          g.variant,
+          g.time_control,
+          g.category,
+          g.rated,
+          g.white_rating,
+          g.black_rating,
+          g.white_rating_change,
+          g.black_rating_change,
+          g.ended_at
+        FROM game_history g
+        LEFT JOIN users w ON w.username = g.white_player
+        LEFT JOIN users b ON b.username = g.black_player
+        ${where}
+        ORDER BY g.ended_at DESC, g.id DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+      `, params);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting user games:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async countUserGames(username, filters = {}) {
+    const client = await this.pool.connect();
+    try {
+      const params = [username];
+      const result = await client.query(`
+        SELECT COUNT(*) AS total
+        FROM game_history g
+        LEFT JOIN users w ON w.username = g.white_player
+        LEFT JOIN users b ON b.username = g.black_player
+        ${this.userGamesWhereSql(filters, params)}
+      `, params);
+
+      return Number(result.rows[0].total);
+    } catch (error) {
+      console.error('Error counting user games:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   // Cleanup methods
   async cleanupOldFriendRequests(daysOld = 30) {
     const client = await this.pool.connect();
@@ -0,0 +1,194 @@
+// chesschat-backend/engine.js - Position evaluation for post-game analysis
+//
+// Talks UCI to a local engine binary (Stockfish or anything compatible) set by
+// ENGINE_PATH. Without one, or once it fails to start or crashes, evaluations
+// come from the much weaker BuiltinEngine instead.
+const { spawn } = require('child_process');
+const readline = require('readline');
+const BuiltinEngine = require('./builtinEngine');
+
+const DEFAULT_DEPTH = 12;
+
+// Handshake and per-position limits (ms)
+const STARTUP_TIMEOUT = 5000;
+const SEARCH_TIMEOUT = 10000;
+
+// "info depth 12 ... score cp -35 ... pv e2e4" -> { cp: -35 } / { mate: 3 }
+function parseScore(line) {
+  const match = /\bscore (cp|mate) (-?\d+)/.exec(line);
+  if (!match) return null;
+  return match[1] === 'cp' ? { cp: parseInt(match[2], 10) } : { mate: parseInt(match[2], 10) };
+}
+
+class UciEngine {
+  constructor(path, { args = [], depth = DEFAULT_DEPTH } = {}) {
+    this.path = path;
+    this.args = args;
+    this.depth = depth;
+    this.name = path;
+    this.process = null;
+    this.lineHandler = null;
+    this.pending = null;
+    this.queue = Promise.resolve();
+  }
+
+  send(command) {
+    if (this.process) this.process.stdin.write(`${command}\n`);
+  }
+
+  // Resolves with the first output line matching `done`, feeding every line to `onLine`.
+  // Rejects on timeout or if the engine goes away first.
+  waitFor(done, timeout, onLine = () => {}) {
+    return new Promise((resolve, reject) => {
+      const finish = (error, line) => {
+        clearTimeout(timer);
+        this.lineHandler = null;
+        this.pending = null;
+        if (error) reject(error);
+        else resolve(line);
+      };
+      const timer = setTimeout(() => finish(new Error(`Engine did not answer within ${timeout}ms`)), timeout);
+
+      this.pending = { fail: finish };
+      this.lineHandler = (line) => {
+        onLine(line);
+        if (done(line)) finish(null, line);
+      };
+    });
+  }
+
+  // Fail whatever is waiting on the engine's output
+  handleExit(error) {
+    this.process = null;
+    if (this.pending) this.pending.fail(error);
+  }
+
+  async start() {
+    this.process = spawn(this.path, this.args, { stdio: ['pipe', 'pipe', 'ignore'] });
+
+    this.process.once('error', error => this.handleExit(error));
+    this.process.once('exit', code => this.handleExit(new Error(`Engine exited with code ${code}`)));
+    // Writes to a dead engine fail here too; 'error' / 'exit' above already report it
+    this.process.stdin.on('error', () => {});
+    readline.createInterface({ input: this.process.stdout }).on('line', (line) => {
+      if (this.lineHandler) this.lineHandler(line.trim());
+    });
+
+    this.send('uci');
+    await this.waitFor(line => line === 'uciok', STARTUP_TIMEOUT, (line) => {
+      if (line.startsWith('id name ')) this.name = line.slice('id name '.length);
+    });
+    this.send('isready');
+    await this.waitFor(line => line === 'readyok', STARTUP_TIMEOUT);
+  }
+
+  // Score for the side to move and the best move in UCI notation (e.g. 'e7e8q').
+  // Positions are searched one at a time.
+  evaluate(fen) {
+    const result = this.queue.then(() => this.search(fen));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async search(fen) {
+    if (!this.process) throw new Error('Engine is not running');
+
+    let score = null;
+    this.send(`position fen ${fen}`);
+    this.send(`go depth ${this.depth}`);
+
+    let line;
+    try {
+      line = await this.waitFor(line => line.startsWith('bestmove'), SEARCH_TIMEOUT, (line) => {
+        if (line.startsWith('info')) score = parseScore(line) || score;
+      });
+    } catch (error) {
+      this.close();
+      throw error;
+    }
+
+    const bestMove = line.split(' ')[1];
+    return {
+      score: score || { cp: 0 },
+      bestMove: bestMove && bestMove !== '(none)' ? bestMove : null
+    };
+  }
+
+  async close() {
+    if (!this.process) return;
+    const engineProcess = this.process;
+    this.send('quit');
+    this.process = null;
+    engineProcess.kill();
+  }
+}
+
+// Hands out the configured UCI engine, or the built-in one when it is unavailable
+class EngineService {
+  constructor({ path = process.env.ENGINE_PATH, args = [], depth = Number(process.env.ENGINE_DEPTH) || DEFAULT_DEPTH } = {}) {
+    this.path = path;
+    this.args = args;
+    this.depth = depth;
+    this.fallback = new BuiltinEngine();
+    this.engine = null;
+    this.starting = null;
+
+    if (!path) {
+      console.warn('⚠️  ENGINE_PATH not configured - analysis will use the built-in evaluator');
+    }
+  }
+
+  async getEngine() {
+    if (!this.path) return this.fallback;
+    if (this.engine) return this.engine;
+
+    if (!this.starting) {
+      this.starting = (async () => {
+        const engine = new UciEngine(this.path, { args: this.args, depth: this.depth });
+        try {
+          await engine.start();
+          console.log(`♟️  Analysis engine ready: ${engine.name}`);
+          this.engine = engine;
+        } catch (error) {
+          console.error(`❌ Could not start engine at ${this.path}, using the built-in evaluator:`, error.message);
+          engine.close();
+          this.path = null;
+        } finally {
+          this.starting = null;
+        }
+      })();
+    }
+    await this.starting;
+    return this.engine || this.fallback;
+  }
+
+  // Name of the engine answering evaluate()
+  async getName() {
+    return (await this.getEngine()).name;
+  }
+
+  async evaluate(fen) {
+    const engine = await this.getEngine();
+    try {
+      return await engine.evaluate(fen);
+    } catch (error) {
+      if (engine === this.fallback) throw error;
+      // A broken engine is not retried until the server restarts
+      console.error('❌ Engine failed, switching to the built-in evaluator:', error.message);
+      engine.close();
+      this.engine = null;
+      this.path = null;
+      return this.fallback.evaluate(fen);
+    }
+  }
+
+  async close() {
+    if (this.engine) await this.engine.close();
+  }
+}
+
+module.exports = {
+  UciEngine,
+  EngineService,
+  parseScore
+};
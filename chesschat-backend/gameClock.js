@@ -0,0 +1,107 @@
+// chesschat-backend/gameClock.js - Server-authoritative chess clock
+const { performance } = require('perf_hooks');
+
+// Tracks both players' remaining time in milliseconds using monotonic timestamps.
+// Time is only charged when a turn ends (or when asked for the current value),
+// so nothing drifts no matter how often the clock is read.
+class GameClock {
+  constructor(timeControl, now = () => performance.now()) {
+    this.timeControl = timeControl;
+    this.now = now;
+    this.remainingMs = {
+      white: timeControl.initial * 1000,
+      black: timeControl.initial * 1000
+    };
+    this.turn = 'white';
+    this.turnStartedAt = null;
+    this.running = false;
+  }
+
+  start(turn = this.turn) {
+    this.turn = turn;
+    this.turnStartedAt = this.now();
+    this.running = true;
+  }
+
+  // Time spent on the current turn so far
+  elapsed(at = this.now()) {
+    if (!this.running || this.turnStartedAt === null) return 0;
+    return Math.max(0, at - this.turnStartedAt);
+  }
+
+  remaining(color, at = this.now()) {
+    const base = this.remainingMs[color];
+    if (color !== this.turn) return base;
+    return Math.max(0, base - this.elapsed(at));
+  }
+
+  hasFlagged(at = this.now()) {
+    return this.running && this.remaining(this.turn, at) <= 0;
+  }
+
+  // How long until the player to move runs out of time
+  msUntilFlag(at = this.now()) {
+    if (!this.running) return Infinity;
+    return this.remaining(this.turn, at);
+  }
+
+  // Charge the mover for the elapsed time, apply increment/delay and hand over the turn.
+  // Returns the milliseconds the mover spent on the move.
+  switchTurn(at = this.now()) {
+    const mover = this.turn;
+    const spentMs = this.elapsed(at);
+    const { increment, delay } = this.timeControl;
+
+    let remaining = Math.max(0, this.remainingMs[mover] - spentMs);
+    if (increment > 0) {
+      remaining += increment * 1000;
+    } else if (delay > 0) {
+      remaining += Math.min(delay * 1000, spentMs);
+    }
+    this.remainingMs[mover] = remaining;
+
+    this.turn = mover === 'white' ? 'black' : 'white';
+    this.turnStartedAt = at;
+    return spentMs;
+  }
+
+  // Freeze the clock, charging the player to move for time used so far
+  stop(at = this.now()) {
+    if (!this.running) return;
+    this.remainingMs[this.turn] = this.remaining(this.turn, at);
+    this.turnStartedAt = null;
+    this.running = false;
+  }
+
+  // Capture both clocks as they stand right now (used to undo moves)
+  saveState(at = this.now()) {
+    return {
+      white: this.remaining('white', at),
+      black: this.remaining('black', at),
+      turn: this.turn
+    };
+  }
+
+  // Return to a saved state; the restored player's turn starts over from now
+  restoreState(state, at = this.now()) {
+    this.remainingMs = { white: state.white, black: state.black };
+    this.turn = state.turn;
+    if (this.running) {
+      this.turnStartedAt = at;
+    }
+  }
+
+  // Payload sent to clients. serverTime is wall-clock so clients can log/compare;
+  // they interpolate locally from the moment they receive it.
+  snapshot(at = this.now()) {
+    return {
+      whiteTime: Math.round(this.remaining('white', at)),
+      blackTime: Math.round(this.remaining('black', at)),
+      currentTurn: this.turn,
+      clockRunning: this.running,
+      serverTime: Date.now()
+    };
+  }
+}
+
+module.exports = GameClock;
@@ -0,0 +1,130 @@
+// chesschat-backend/glicko2.js - Glicko-2 rating calculation
+// Follows Glickman, "Example of the Glicko-2 system" (2012).
+
+const DEFAULT_RATING = {
+  rating: 1500,
+  rd: 350,
+  volatility: 0.06
+};
+
+// System constant - how much volatility may change per rating period
+const TAU = 0.5;
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+// Glicko-2 works on a different scale from the displayed rating
+const SCALE = 173.7178;
+
+// Ratings with a deviation above this are shown as provisional ("1500?")
+const PROVISIONAL_RD = 110;
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, opponentMu, opponentPhi) {
+  return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+// New volatility, found with the Illinois algorithm (step 5 of the paper)
+function updateVolatility(phi, sigma, v, delta) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const num = ex * (delta * delta - phi * phi - v - ex);
+    const den = 2 * Math.pow(phi * phi + v + ex, 2);
+    return num / den - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+// player:  { rating, rd, volatility }
+// results: [{ rating, rd, score }] against each opponent this period (score 1, 0.5 or 0)
+// Returns the player's new { rating, rd, volatility }.
+function updateRating(player, results) {
+  const mu = (player.rating - DEFAULT_RATING.rating) / SCALE;
+  const phi = player.rd / SCALE;
+  const sigma = player.volatility;
+
+  // No games: only the deviation grows
+  if (results.length === 0) {
+    const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+    return {
+      rating: player.rating,
+      rd: Math.min(phiStar * SCALE, DEFAULT_RATING.rd),
+      volatility: sigma
+    };
+  }
+
+  let vInverse = 0;
+  let scoreSum = 0;
+  for (const result of results) {
+    const opponentMu = (result.rating - DEFAULT_RATING.rating) / SCALE;
+    const opponentPhi = result.rd / SCALE;
+    const gPhi = g(opponentPhi);
+    const expected = expectedScore(mu, opponentMu, opponentPhi);
+
+    vInverse += gPhi * gPhi * expected * (1 - expected);
+    scoreSum += gPhi * (result.score - expected);
+  }
+
+  const v = 1 / vInverse;
+  const delta = v * scoreSum;
+
+  const newSigma = updateVolatility(phi, sigma, v, delta);
+  const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * scoreSum;
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING.rating,
+    rd: Math.min(newPhi * SCALE, DEFAULT_RATING.rd),
+    volatility: newSigma
+  };
+}
+
+// Rate a single game. winner is 'white', 'black' or 'draw'.
+// Both players are updated from the ratings they had before the game.
+function rateGame(white, black, winner) {
+  const whiteScore = winner === 'white' ? 1 : winner === 'draw' ? 0.5 : 0;
+  return {
+    white: updateRating(white, [{ rating: black.rating, rd: black.rd, score: whiteScore }]),
+    black: updateRating(black, [{ rating: white.rating, rd: white.rd, score: 1 - whiteScore }])
+  };
+}
+
+function isProvisional(rating) {
+  return rating.rd > PROVISIONAL_RD;
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  updateRating,
+  rateGame,
+  isProvisional
+};
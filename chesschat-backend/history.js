@@ -0,0 +1,104 @@
+// chesschat-backend/history.js - Game history query parameters and replay data
+const { parseNonNegativeInteger } = require('./leaderboard');
+const { parseTimeControlId } = require('./timeControls');
+const { STANDARD_START_FEN } = require('./pgn');
+
+const RESULTS = ['win', 'draw', 'loss'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_OPPONENT_LENGTH = 100;
+
+// Validates ?page=&pageSize=&opponent=&result=&timeControl= from GET /users/:username/games.
+// Returns { error } for bad input, otherwise the filters (null when not filtering).
+function parseHistoryQuery(query) {
+  const page = parseNonNegativeInteger(query.page, 1);
+  const pageSize = parseNonNegativeInteger(query.pageSize, DEFAULT_PAGE_SIZE);
+
+  if (Number.isNaN(page) || page < 1) {
+    return { error: 'page must be 1 or more' };
+  }
+  if (Number.isNaN(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `pageSize must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const result = query.result || null;
+  if (result && !RESULTS.includes(result)) {
+    return { error: `result must be one of ${RESULTS.join(', ')}` };
+  }
+
+  const timeControl = query.timeControl || null;
+  if (timeControl && !parseTimeControlId(timeControl)) {
+    return { error: 'timeControl must look like 5+3 or 3d2' };
+  }
+
+  // Part of the opponent's display name, matched case-insensitively
+  const opponent = typeof query.opponent === 'string' ? query.opponent.trim() : '';
+  if (opponent.length > MAX_OPPONENT_LENGTH) {
+    return { error: `opponent must be at most ${MAX_OPPONENT_LENGTH} characters` };
+  }
+
+  return {
+    page,
+    pageSize,
+    opponent: opponent || null,
+    result,
+    timeControl
+  };
+}
+
+// "1:02:03" -> ms
+function parseClock(text) {
+  return text.split(':').reduce((total, part) => total * 60 + Number(part), 0) * 1000;
+}
+
+// Clock after each move from the PGN's [%clk h:mm:ss] comments
+function parseClockComments(pgn) {
+  return [...(pgn || '').matchAll(/\[%clk (\d+:\d{2}:\d{2})\]/g)].map(match => parseClock(match[1]));
+}
+
+// ms left for the mover after each move, or null if the game has no usable clock record.
+// Games saved before move_clocks existed fall back to the whole seconds in their PGN.
+function getMoveClocks(game, moves) {
+  const clocks = game.move_clocks
+    ? game.move_clocks.split(' ').map(Number)
+    : parseClockComments(game.pgn);
+
+  return clocks.length === moves.length && moves.length > 0 ? clocks : null;
+}
+
+// One row from Database.getGame as sent to the replay viewer
+function buildReplay(game) {
+  const moves = game.moves ? game.moves.split(' ') : [];
+  const player = (color) => ({
+    username: game[`${color}_player`],
+    displayName: game[`${color}_display_name`] || game[`${color}_player`],
+    rating: game[`${color}_rating`],
+    ratingChange: game[`${color}_rating_change`]
+  });
+
+  return {
+    id: game.id,
+    white: player('white'),
+    black: player('black'),
+    winner: game.winner,
+    reason: game.end_reason,
+    timeControl: parseTimeControlId(game.time_control),
+    category: game.category,
+    rated: game.rated,
+    variant: game.variant || 'standard',
+    startFen: game.start_fen || STANDARD_START_FEN,
+    moves,
+    clocks: getMoveClocks(game, moves),
+    startedAt: game.started_at,
+    endedAt: game.ended_at
+  };
+}
+
+module.exports = {
+  RESULTS,
+  parseHistoryQuery,
+  parseClockComments,
+  getMoveClocks,
+  buildReplay
+};
@@ -0,0 +1,71 @@
+// chesschat-backend/leaderboard.js - Leaderboard query parameters
+const { RECONNECT_GRACE } = require('./timeControls');
+
+const CATEGORIES = Object.keys(RECONNECT_GRACE); // bullet, blitz, rapid, classical
+const PERIODS = ['all', 'month', 'week'];
+
+const DEFAULT_CATEGORY = 'blitz';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Start of the current calendar month or week (Monday) in UTC, or null for all time
+function getPeriodStart(period, now = new Date()) {
+  if (period === 'month') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+  if (period === 'week') {
+    const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - daysSinceMonday));
+  }
+  return null;
+}
+
+function parseNonNegativeInteger(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return /^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN;
+}
+
+// Validates ?category=&period=&minGames=&page=&pageSize= from GET /leaderboard.
+// Returns { error } for bad input, otherwise the filters with defaults filled in.
+function parseLeaderboardQuery(query, now = new Date()) {
+  const category = query.category || DEFAULT_CATEGORY;
+  if (!CATEGORIES.includes(category)) {
+    return { error: `category must be one of ${CATEGORIES.join(', ')}` };
+  }
+
+  const period = query.period || 'all';
+  if (!PERIODS.includes(period)) {
+    return { error: `period must be one of ${PERIODS.join(', ')}` };
+  }
+
+  const minGames = parseNonNegativeInteger(query.minGames, 1);
+  const page = parseNonNegativeInteger(query.page, 1);
+  const pageSize = parseNonNegativeInteger(query.pageSize, DEFAULT_PAGE_SIZE);
+
+  if (Number.isNaN(minGames)) {
+    return { error: 'minGames must be a whole number' };
+  }
+  if (Number.isNaN(page) || page < 1) {
+    return { error: 'page must be 1 or more' };
+  }
+  if (Number.isNaN(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `pageSize must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  return {
+    category,
+    period,
+    since: getPeriodStart(period, now),
+    minGames: Math.max(minGames, 1),
+    page,
+    pageSize
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  PERIODS,
+  getPeriodStart,
+  parseNonNegativeInteger,
+  parseLeaderboardQuery
+};
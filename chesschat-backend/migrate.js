@@ -0,0 +1,56 @@
+// chesschat-backend/migrate.js - Database migration CLI
+//
+//   node migrate.js up            apply all pending migrations
+//   node migrate.js down [steps]  roll back the last migration (or the last `steps`)
+//   node migrate.js status        list migrations and whether they are applied
+require('dotenv').config();
+const Database = require('./database');
+const Migrator = require('./migrator');
+const { migrationLabel } = Migrator;
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL is not set');
+    process.exit(1);
+  }
+
+  const db = new Database();
+  const migrator = new Migrator(db.pool);
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrate();
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Nothing to migrate');
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid number of steps: ${arg}`);
+      }
+      const rolledBack = await migrator.rollback(steps);
+      console.log(rolledBack.length > 0
+        ? `✅ Rolled back ${rolledBack.length} migration(s)`
+        : '✅ Nothing to roll back');
+    } else if (command === 'status') {
+      const rows = await migrator.status();
+      for (const row of rows) {
+        const state = row.missing
+          ? `applied ${row.appliedAt.toISOString()} (file missing)`
+          : row.appliedAt ? `applied ${row.appliedAt.toISOString()}` : 'pending';
+        console.log(`${migrationLabel(row)}  ${state}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}" - use up, down [steps] or status`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
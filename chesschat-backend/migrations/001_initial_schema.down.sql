@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS game_history;
+DROP TABLE IF EXISTS friend_requests;
+DROP TABLE IF EXISTS friendships;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,80 @@
+-- Initial schema. IF NOT EXISTS lets databases created by the old
+-- drop-and-recreate boot adopt migrations without losing data.
+
+-- Users table
+CREATE TABLE IF NOT EXISTS users (
+  username VARCHAR(50) PRIMARY KEY,
+  display_name VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  games_played INTEGER DEFAULT 0,
+  games_won INTEGER DEFAULT 0,
+  games_lost INTEGER DEFAULT 0,
+  games_drawn INTEGER DEFAULT 0
+);
+
+-- Friendships table (bidirectional relationships)
+CREATE TABLE IF NOT EXISTS friendships (
+  id SERIAL PRIMARY KEY,
+  user1 VARCHAR(50) REFERENCES users(username) ON DELETE CASCADE,
+  user2 VARCHAR(50) REFERENCES users(username) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user1, user2),
+  CHECK (user1 < user2) -- Ensures consistent ordering
+);
+
+-- Friend requests table
+CREATE TABLE IF NOT EXISTS friend_requests (
+  id SERIAL PRIMARY KEY,
+  from_user VARCHAR(50) REFERENCES users(username) ON DELETE CASCADE,
+  to_user VARCHAR(50) REFERENCES users(username) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(from_user, to_user),
+  CHECK (from_user != to_user)
+);
+
+-- Game history table
+CREATE TABLE IF NOT EXISTS game_history (
+  id SERIAL PRIMARY KEY,
+  white_player VARCHAR(50) REFERENCES users(username),
+  black_player VARCHAR(50) REFERENCES users(username),
+  winner VARCHAR(10), -- 'white', 'black', or 'draw'
+  end_reason VARCHAR(20), -- 'checkmate', 'timeout', 'resignation', etc.
+  game_duration INTEGER, -- seconds
+  moves_count INTEGER, -- half-moves (plies)
+  moves TEXT, -- SAN moves separated by spaces
+  pgn TEXT,
+  start_fen VARCHAR(100),
+  end_fen VARCHAR(100),
+  white_time_left INTEGER, -- milliseconds on the clock at the end
+  black_time_left INTEGER,
+  time_control VARCHAR(20), -- e.g. '5+3' or '5d5'
+  room_code VARCHAR(20),
+  started_at TIMESTAMP,
+  ended_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The old boot's game_history stopped at moves_count, and CREATE TABLE IF NOT EXISTS
+-- keeps that table as it is, so add the columns this schema brought in
+ALTER TABLE game_history
+  ADD COLUMN IF NOT EXISTS moves TEXT,
+  ADD COLUMN IF NOT EXISTS pgn TEXT,
+  ADD COLUMN IF NOT EXISTS start_fen VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS end_fen VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS white_time_left INTEGER,
+  ADD COLUMN IF NOT EXISTS black_time_left INTEGER,
+  ADD COLUMN IF NOT EXISTS time_control VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS room_code VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS started_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_friendships_user1 ON friendships(user1);
+CREATE INDEX IF NOT EXISTS idx_friendships_user2 ON friendships(user2);
+CREATE INDEX IF NOT EXISTS idx_friend_requests_to_user ON friend_requests(to_user);
+CREATE INDEX IF NOT EXISTS idx_friend_requests_from_user ON friend_requests(from_user);
+CREATE INDEX IF NOT EXISTS idx_game_history_players ON game_history(white_player, black_player);
+CREATE INDEX IF NOT EXISTS idx_game_history_black_player ON game_history(black_player);
+CREATE INDEX IF NOT EXISTS idx_game_history_ended_at ON game_history(ended_at);
+CREATE INDEX IF NOT EXISTS idx_users_last_seen ON users(last_seen);
@@ -0,0 +1,8 @@
+ALTER TABLE game_history DROP COLUMN black_rating_change;
+ALTER TABLE game_history DROP COLUMN white_rating_change;
+ALTER TABLE game_history DROP COLUMN black_rating;
+ALTER TABLE game_history DROP COLUMN white_rating;
+ALTER TABLE game_history DROP COLUMN category;
+ALTER TABLE game_history DROP COLUMN rated;
+
+DROP TABLE IF EXISTS user_ratings;
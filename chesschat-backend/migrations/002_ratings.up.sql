@@ -0,0 +1,21 @@
+-- Glicko-2 ratings, one row per player per time control category
+CREATE TABLE user_ratings (
+  username VARCHAR(50) REFERENCES users(username) ON DELETE CASCADE,
+  category VARCHAR(20) NOT NULL, -- 'bullet', 'blitz', 'rapid' or 'classical'
+  rating DOUBLE PRECISION NOT NULL DEFAULT 1500,
+  rd DOUBLE PRECISION NOT NULL DEFAULT 350,
+  volatility DOUBLE PRECISION NOT NULL DEFAULT 0.06,
+  games INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (username, category)
+);
+
+CREATE INDEX idx_user_ratings_category_rating ON user_ratings(category, rating DESC);
+
+-- Rated/casual flag and each player's rating before the game and the change it caused
+ALTER TABLE game_history ADD COLUMN rated BOOLEAN DEFAULT TRUE;
+ALTER TABLE game_history ADD COLUMN category VARCHAR(20);
+ALTER TABLE game_history ADD COLUMN white_rating INTEGER;
+ALTER TABLE game_history ADD COLUMN black_rating INTEGER;
+ALTER TABLE game_history ADD COLUMN white_rating_change INTEGER;
+ALTER TABLE game_history ADD COLUMN black_rating_change INTEGER;
@@ -0,0 +1,21 @@
+-- Short shareable code used to add a player as a friend. Usernames are
+-- opaque session ids, so this is what players read out to each other.
+ALTER TABLE users ADD COLUMN friend_code VARCHAR(12);
+
+UPDATE users SET friend_code = upper(substr(md5(random()::text || username), 1, 8));
+
+-- Random codes can come up twice, which the unique index below would refuse. Draw again
+-- for everyone holding a shared code; two rounds leave no realistic chance of a clash.
+UPDATE users SET friend_code = upper(substr(md5(random()::text || username), 1, 8))
+WHERE friend_code IN (
+  SELECT a.friend_code FROM users a JOIN users b ON b.friend_code = a.friend_code AND b.username <> a.username
+);
+UPDATE users SET friend_code = upper(substr(md5(random()::text || username), 1, 8))
+WHERE friend_code IN (
+  SELECT a.friend_code FROM users a JOIN users b ON b.friend_code = a.friend_code AND b.username <> a.username
+);
+
+ALTER TABLE users ALTER COLUMN friend_code SET DEFAULT upper(substr(md5(random()::text), 1, 8));
+ALTER TABLE users ALTER COLUMN friend_code SET NOT NULL;
+
+CREATE UNIQUE INDEX idx_users_friend_code ON users(friend_code);
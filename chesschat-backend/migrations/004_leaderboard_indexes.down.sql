@@ -0,0 +1 @@
+DROP INDEX IF EXISTS idx_game_history_category_ended_at;
@@ -0,0 +1,2 @@
+-- Leaderboards for "this week" / "this month" count rated games per category since a date
+CREATE INDEX idx_game_history_category_ended_at ON game_history(category, ended_at);
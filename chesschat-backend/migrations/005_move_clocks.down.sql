@@ -0,0 +1 @@
+ALTER TABLE game_history DROP COLUMN move_clocks;
@@ -0,0 +1,3 @@
+-- Exact clock after every move for the replay viewer, space separated like moves.
+-- Older games only have the whole-second [%clk] comments in their PGN.
+ALTER TABLE game_history ADD COLUMN move_clocks TEXT;
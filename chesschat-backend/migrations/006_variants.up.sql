@@ -0,0 +1,2 @@
+-- Which rules a game was played under. Every earlier game was standard chess.
+ALTER TABLE game_history ADD COLUMN variant VARCHAR(20) NOT NULL DEFAULT 'standard';
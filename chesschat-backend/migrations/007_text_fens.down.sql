@@ -0,0 +1,3 @@
+-- Fails if a saved game has a FEN longer than 100 characters
+ALTER TABLE game_history ALTER COLUMN start_fen TYPE VARCHAR(100);
+ALTER TABLE game_history ALTER COLUMN end_fen TYPE VARCHAR(100);
@@ -0,0 +1,3 @@
+-- Crazyhouse FENs carry the pockets and promotion marks, which can take them past 100 characters
+ALTER TABLE game_history ALTER COLUMN start_fen TYPE TEXT;
+ALTER TABLE game_history ALTER COLUMN end_fen TYPE TEXT;
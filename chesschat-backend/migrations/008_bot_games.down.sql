@@ -0,0 +1,2 @@
+-- Bot games keep their empty seat; the bots' users rows are not brought back
+ALTER TABLE game_history DROP COLUMN bot_name;
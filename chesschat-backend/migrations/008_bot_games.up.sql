@@ -0,0 +1,25 @@
+-- A bot's seat in a saved game is NULL and its name is kept here, so bots are not users.
+ALTER TABLE game_history ADD COLUMN bot_name VARCHAR(100);
+
+-- Games saved while each bot level had a users row keep its name, as createBotPlayer gave it
+UPDATE game_history
+SET bot_name = CASE white_player
+      WHEN 'bot_beginner' THEN 'ChessChat Bot (Beginner)'
+      WHEN 'bot_casual' THEN 'ChessChat Bot (Casual)'
+      WHEN 'bot_club' THEN 'ChessChat Bot (Club)'
+      WHEN 'bot_strong' THEN 'ChessChat Bot (Strong)'
+    END,
+    white_player = NULL
+WHERE white_player IN ('bot_beginner', 'bot_casual', 'bot_club', 'bot_strong');
+
+UPDATE game_history
+SET bot_name = CASE black_player
+      WHEN 'bot_beginner' THEN 'ChessChat Bot (Beginner)'
+      WHEN 'bot_casual' THEN 'ChessChat Bot (Casual)'
+      WHEN 'bot_club' THEN 'ChessChat Bot (Club)'
+      WHEN 'bot_strong' THEN 'ChessChat Bot (Strong)'
+    END,
+    black_player = NULL
+WHERE black_player IN ('bot_beginner', 'bot_casual', 'bot_club', 'bot_strong');
+
+DELETE FROM users WHERE username IN ('bot_beginner', 'bot_casual', 'bot_club', 'bot_strong');
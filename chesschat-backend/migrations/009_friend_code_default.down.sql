@@ -0,0 +1 @@
+ALTER TABLE users ALTER COLUMN friend_code SET DEFAULT upper(substr(md5(random()::text), 1, 8));
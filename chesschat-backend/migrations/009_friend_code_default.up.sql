@@ -0,0 +1,3 @@
+-- createUser draws new users' friend codes and draws again on a clash, which a column
+-- default cannot do
+ALTER TABLE users ALTER COLUMN friend_code DROP DEFAULT;
@@ -0,0 +1,168 @@
+// chesschat-backend/migrator.js - Versioned schema migrations
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Files are named NNN_description.up.sql / NNN_description.down.sql
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Key for pg_advisory_lock - only one instance migrates at a time, the rest wait
+const MIGRATION_LOCK_ID = 728304;
+
+// '001_initial_schema' - the same as the file name
+function migrationLabel({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+class Migrator {
+  constructor(pool, directory = MIGRATIONS_DIR) {
+    this.pool = pool;
+    this.directory = directory;
+  }
+
+  // All migrations on disk, ordered by version
+  loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(this.directory)) {
+      const match = MIGRATION_FILE.exec(file);
+      if (!match) continue;
+
+      const [, versionText, name, direction] = match;
+      const version = parseInt(versionText, 10);
+      const existing = migrations.get(version);
+
+      if (existing && existing.name !== name) {
+        throw new Error(`Duplicate migration version ${version}: ${existing.name} and ${name}`);
+      }
+
+      const migration = existing || { version, name, up: null, down: null };
+      migration[direction] = fs.readFileSync(path.join(this.directory, file), 'utf8');
+      migrations.set(version, migration);
+    }
+
+    const sorted = [...migrations.values()].sort((a, b) => a.version - b.version);
+    for (const migration of sorted) {
+      if (!migration.up) {
+        throw new Error(`Migration ${migrationLabel(migration)} has no .up.sql file`);
+      }
+    }
+    return sorted;
+  }
+
+  async ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async getApplied(client) {
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+  }
+
+  // Run fn with the advisory lock held on a dedicated connection
+  async withLock(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+      try {
+        await this.ensureMigrationsTable(client);
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  // Each migration runs in its own transaction together with its schema_migrations row
+  async runInTransaction(client, sql, record) {
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      await record();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // Apply every pending migration. Returns the ones that were applied.
+  async migrate() {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = new Set((await this.getApplied(client)).map(row => row.version));
+      const pending = migrations.filter(migration => !applied.has(migration.version));
+
+      for (const migration of pending) {
+        console.log(`⬆️  Applying migration ${migrationLabel(migration)}`);
+        await this.runInTransaction(client, migration.up, () => client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        ));
+      }
+
+      return pending;
+    });
+  }
+
+  // Undo the most recent `steps` migrations. Returns the ones that were rolled back.
+  async rollback(steps = 1) {
+    const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+
+    return this.withLock(async (client) => {
+      const applied = await this.getApplied(client);
+      const toRollBack = applied.slice(-steps).reverse();
+
+      for (const row of toRollBack) {
+        const migration = migrations.get(row.version);
+        if (!migration || !migration.down) {
+          throw new Error(`Migration ${migrationLabel(row)} cannot be rolled back (no .down.sql file)`);
+        }
+
+        console.log(`⬇️  Rolling back migration ${migrationLabel(migration)}`);
+        await this.runInTransaction(client, migration.down, () => client.query(
+          'DELETE FROM schema_migrations WHERE version = $1',
+          [migration.version]
+        ));
+      }
+
+      return toRollBack;
+    });
+  }
+
+  // Every migration on disk or in the database, with when it was applied (null if pending)
+  async status() {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = new Map((await this.getApplied(client)).map(row => [row.version, row]));
+      const rows = migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+      }));
+
+      // Applied migrations whose files are gone - worth knowing about before rolling back
+      for (const row of applied.values()) {
+        if (!migrations.some(migration => migration.version === row.version)) {
+          rows.push({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true });
+        }
+      }
+
+      return rows.sort((a, b) => a.version - b.version);
+    });
+  }
+}
+
+module.exports = Migrator;
+module.exports.migrationLabel = migrationLabel;
@@ -0,0 +1,83 @@
+// chesschat-backend/openings.js - Name the opening of a game from its first moves
+//
+// A short list of well-known lines, not a full ECO table. A game gets the
+// longest line its moves start with, so "e4 c5 Nf3 d6" is a Najdorf only if
+// it goes on to a6 and otherwise stays a plain Sicilian.
+
+const OPENINGS = [
+  // 1.e4 e5
+  { name: "King's Pawn Game", moves: 'e4 e5' },
+  { name: "King's Knight Opening", moves: 'e4 e5 Nf3' },
+  { name: 'Ruy Lopez', moves: 'e4 e5 Nf3 Nc6 Bb5' },
+  { name: 'Ruy Lopez: Berlin Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6' },
+  { name: 'Ruy Lopez: Morphy Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 a6' },
+  { name: 'Italian Game', moves: 'e4 e5 Nf3 Nc6 Bc4' },
+  { name: 'Giuoco Piano', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5' },
+  { name: 'Two Knights Defence', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6' },
+  { name: 'Scotch Game', moves: 'e4 e5 Nf3 Nc6 d4' },
+  { name: 'Four Knights Game', moves: 'e4 e5 Nf3 Nc6 Nc3 Nf6' },
+  { name: 'Petrov Defence', moves: 'e4 e5 Nf3 Nf6' },
+  { name: 'Philidor Defence', moves: 'e4 e5 Nf3 d6' },
+  { name: "King's Gambit", moves: 'e4 e5 f4' },
+  { name: 'Vienna Game', moves: 'e4 e5 Nc3' },
+  { name: "Bishop's Opening", moves: 'e4 e5 Bc4' },
+
+  // 1.e4, other replies
+  { name: 'Sicilian Defence', moves: 'e4 c5' },
+  { name: 'Sicilian Defence: Open', moves: 'e4 c5 Nf3 d6 d4' },
+  { name: 'Sicilian Defence: Najdorf', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6' },
+  { name: 'Sicilian Defence: Dragon', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6' },
+  { name: 'Sicilian Defence: Alapin', moves: 'e4 c5 c3' },
+  { name: 'Sicilian Defence: Closed', moves: 'e4 c5 Nc3' },
+  { name: 'French Defence', moves: 'e4 e6' },
+  { name: 'French Defence: Advance', moves: 'e4 e6 d4 d5 e5' },
+  { name: 'French Defence: Exchange', moves: 'e4 e6 d4 d5 exd5' },
+  { name: 'Caro-Kann Defence', moves: 'e4 c6' },
+  { name: 'Caro-Kann Defence: Advance', moves: 'e4 c6 d4 d5 e5' },
+  { name: 'Scandinavian Defence', moves: 'e4 d5' },
+  { name: 'Pirc Defence', moves: 'e4 d6 d4 Nf6 Nc3 g6' },
+  { name: 'Modern Defence', moves: 'e4 g6' },
+  { name: "Alekhine's Defence", moves: 'e4 Nf6' },
+
+  // 1.d4
+  { name: "Queen's Pawn Game", moves: 'd4 d5' },
+  { name: "Queen's Gambit", moves: 'd4 d5 c4' },
+  { name: "Queen's Gambit Accepted", moves: 'd4 d5 c4 dxc4' },
+  { name: "Queen's Gambit Declined", moves: 'd4 d5 c4 e6' },
+  { name: 'Slav Defence', moves: 'd4 d5 c4 c6' },
+  { name: 'London System', moves: 'd4 d5 Bf4' },
+  { name: 'London System', moves: 'd4 Nf6 Nf3 e6 Bf4' },
+  { name: 'Indian Defence', moves: 'd4 Nf6' },
+  { name: "King's Indian Defence", moves: 'd4 Nf6 c4 g6 Nc3 Bg7' },
+  { name: 'Grünfeld Defence', moves: 'd4 Nf6 c4 g6 Nc3 d5' },
+  { name: 'Nimzo-Indian Defence', moves: 'd4 Nf6 c4 e6 Nc3 Bb4' },
+  { name: "Queen's Indian Defence", moves: 'd4 Nf6 c4 e6 Nf3 b6' },
+  { name: 'Benoni Defence', moves: 'd4 Nf6 c4 c5' },
+  { name: 'Dutch Defence', moves: 'd4 f5' },
+
+  // Flank openings
+  { name: 'English Opening', moves: 'c4' },
+  { name: 'Réti Opening', moves: 'Nf3 d5' },
+  { name: "Bird's Opening", moves: 'f4' },
+  { name: 'Van Geet Opening', moves: 'Nc3' }
+].map(opening => ({ name: opening.name, moves: opening.moves.split(' ') }));
+
+// sanMoves: array of SAN moves from the start position. Returns the opening name or null.
+function identifyOpening(sanMoves) {
+  let best = null;
+
+  for (const opening of OPENINGS) {
+    if (opening.moves.length > sanMoves.length) continue;
+    if (best && opening.moves.length <= best.moves.length) continue;
+
+    if (opening.moves.every((move, i) => sanMoves[i] === move)) {
+      best = opening;
+    }
+  }
+
+  return best ? best.name : null;
+}
+
+module.exports = {
+  identifyOpening
+};
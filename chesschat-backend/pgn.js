@@ -0,0 +1,138 @@
+// chesschat-backend/pgn.js - PGN export for finished (or in-progress) games
+const { VARIANTS } = require('./variants');
+
+const STANDARD_START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// PGN export format keeps movetext lines under 80 characters
+const MAX_LINE_LENGTH = 79;
+
+function resultToken(winner) {
+  if (winner === 'white') return '1-0';
+  if (winner === 'black') return '0-1';
+  if (winner === 'draw') return '1/2-1/2';
+  return '*';
+}
+
+function formatDate(date) {
+  const d = new Date(date);
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${d.getUTCFullYear()}.${pad(d.getUTCMonth() + 1)}.${pad(d.getUTCDate())}`;
+}
+
+// %clk comments use h:mm:ss
+function formatClock(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+
+function escapeTag(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function wrapMovetext(tokens) {
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + 1 + token.length > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+// game: {
+//   white, black        display names
+//   startedAt           Date
+//   winner, reason      from game-ended (winner null while in progress)
+//   timeControl         { initial, increment, delay }
+//   moves               SAN strings
+//   clocks              ms left for the mover after each move (optional)
+//   startFen            starting position (optional, standard by default)
+//   variant             id from VARIANTS, 'standard' by default
+//   extraTags           additional [Tag "value"] pairs, added after the standard ones
+// }
+function buildPgn(game) {
+  const result = resultToken(game.winner);
+  const variant = VARIANTS[game.variant] || VARIANTS.standard;
+  const startFen = game.startFen || variant.startFen || STANDARD_START_FEN;
+
+  // Seven Tag Roster first, in the order the standard requires
+  const tags = [
+    ['Event', game.event || 'ChessChat game'],
+    ['Site', 'ChessChat'],
+    ['Date', formatDate(game.startedAt || new Date())],
+    ['Round', '-'],
+    ['White', game.white || '?'],
+    ['Black', game.black || '?'],
+    ['Result', result]
+  ];
+
+  if (game.timeControl) {
+    const { initial, increment, delay } = game.timeControl;
+    tags.push(['TimeControl', `${initial}+${increment || 0}`]);
+    if (delay > 0) {
+      tags.push(['Delay', String(delay)]);
+    }
+  }
+
+  if (game.reason) {
+    tags.push(['Termination', game.reason]);
+  }
+
+  for (const [name, value] of game.extraTags || []) {
+    tags.push([name, value]);
+  }
+
+  if (variant !== VARIANTS.standard) {
+    tags.push(['Variant', variant.name]);
+  }
+
+  // A Chess960 game always names its start position, even when it is the standard one
+  if (startFen !== variant.startFen) {
+    tags.push(['SetUp', '1']);
+    tags.push(['FEN', startFen]);
+  }
+
+  // Move numbering follows the starting position's side to move and move number
+  // (the last field - three-check FENs have an extra one before the move counters)
+  const fields = startFen.split(' ');
+  const sideToMove = fields[1];
+  const fullmove = fields[fields.length - 1];
+  let moveNumber = parseInt(fullmove, 10) || 1;
+  let whiteToMove = sideToMove !== 'b';
+
+  const tokens = [];
+  game.moves.forEach((san, index) => {
+    if (whiteToMove) {
+      tokens.push(`${moveNumber}.`);
+    } else if (index === 0) {
+      tokens.push(`${moveNumber}...`);
+    }
+
+    tokens.push(san);
+
+    if (game.clocks && typeof game.clocks[index] === 'number') {
+      tokens.push(`{ [%clk ${formatClock(game.clocks[index])}] }`);
+    }
+
+    if (!whiteToMove) moveNumber++;
+    whiteToMove = !whiteToMove;
+  });
+  tokens.push(result);
+
+  const header = tags.map(([name, value]) => `[${name} "${escapeTag(value)}"]`).join('\n');
+  return `${header}\n\n${wrapMovetext(tokens)}\n`;
+}
+
+module.exports = {
+  buildPgn,
+  resultToken,
+  STANDARD_START_FEN
+};
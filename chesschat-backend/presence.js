@@ -0,0 +1,94 @@
+// chesschat-backend/presence.js - Who is online and what they are doing
+//
+// A player is online while at least one of their tabs is connected, idle when
+// every connected tab is in the background, and in a game from the moment it
+// starts until it ends - whichever tab they happen to be playing from.
+
+class Presence {
+  constructor() {
+    this.sockets = new Map(); // userId -> Map of socketId -> { idle }
+    this.games = new Map(); // userId -> { roomId, opponent }
+  }
+
+  // { status: 'offline' | 'online' | 'idle' | 'in-game', opponent? }
+  getStatus(userId) {
+    const sockets = this.sockets.get(userId);
+    if (!sockets || sockets.size === 0) {
+      return { status: 'offline' };
+    }
+
+    const game = this.games.get(userId);
+    if (game) {
+      return { status: 'in-game', opponent: game.opponent };
+    }
+
+    const allIdle = [...sockets.values()].every(socket => socket.idle);
+    return { status: allIdle ? 'idle' : 'online' };
+  }
+
+  isOnline(userId) {
+    return this.sockets.has(userId);
+  }
+
+  getSocketIds(userId) {
+    const sockets = this.sockets.get(userId);
+    return sockets ? [...sockets.keys()] : [];
+  }
+
+  // The mutators below return true when the status friends see has changed
+
+  connect(userId, socketId) {
+    return this.track(userId, () => {
+      if (!this.sockets.has(userId)) {
+        this.sockets.set(userId, new Map());
+      }
+      this.sockets.get(userId).set(socketId, { idle: false });
+    });
+  }
+
+  disconnect(userId, socketId) {
+    return this.track(userId, () => {
+      const sockets = this.sockets.get(userId);
+      if (!sockets) return;
+
+      sockets.delete(socketId);
+      if (sockets.size === 0) {
+        this.sockets.delete(userId);
+      }
+    });
+  }
+
+  setIdle(userId, socketId, idle) {
+    return this.track(userId, () => {
+      const socket = this.sockets.get(userId)?.get(socketId);
+      if (socket) {
+        socket.idle = idle;
+      }
+    });
+  }
+
+  joinGame(userId, roomId, opponent) {
+    return this.track(userId, () => {
+      this.games.set(userId, { roomId, opponent });
+    });
+  }
+
+  // Only clears the game if it is still the one recorded - a rematch may already have replaced it
+  leaveGame(userId, roomId) {
+    return this.track(userId, () => {
+      const game = this.games.get(userId);
+      if (game && game.roomId === roomId) {
+        this.games.delete(userId);
+      }
+    });
+  }
+
+  track(userId, change) {
+    const before = this.getStatus(userId);
+    change();
+    const after = this.getStatus(userId);
+    return before.status !== after.status || before.opponent !== after.opponent;
+  }
+}
+
+module.exports = Presence;
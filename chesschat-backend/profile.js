@@ -0,0 +1,140 @@
+// chesschat-backend/profile.js - Build the GET /users/:username profile from database rows
+const { identifyOpening } = require('./openings');
+const { STANDARD_START_FEN } = require('./pgn');
+
+// How many of the player's latest games are looked at for favourite openings
+const OPENING_SAMPLE_SIZE = 200;
+
+function emptyRecord() {
+  return { wins: 0, draws: 0, losses: 0 };
+}
+
+function addOutcome(record, outcome, count = 1) {
+  if (outcome === 'win') record.wins += count;
+  else if (outcome === 'draw') record.draws += count;
+  else record.losses += count;
+}
+
+function outcomeFor(color, winner) {
+  if (winner === 'draw') return 'draw';
+  return winner === color ? 'win' : 'loss';
+}
+
+// rows from Database.getResultBreakdown
+function summariseResults(rows) {
+  const byColor = { white: emptyRecord(), black: emptyRecord() };
+  const byTermination = new Map();
+  let games = 0;
+  let durationTotal = 0;
+  let durationGames = 0;
+  let pliesTotal = 0;
+  let pliesGames = 0;
+
+  for (const row of rows) {
+    const count = Number(row.games);
+    games += count;
+    addOutcome(byColor[row.color], row.outcome, count);
+
+    const reason = row.end_reason || 'unknown';
+    if (!byTermination.has(reason)) {
+      byTermination.set(reason, { reason, ...emptyRecord() });
+    }
+    addOutcome(byTermination.get(reason), row.outcome, count);
+
+    if (row.average_duration !== null) {
+      durationTotal += Number(row.average_duration) * count;
+      durationGames += count;
+    }
+    if (row.average_moves !== null) {
+      pliesTotal += Number(row.average_moves) * count;
+      pliesGames += count;
+    }
+  }
+
+  const total = (record) => record.wins + record.draws + record.losses;
+
+  return {
+    games,
+    byColor,
+    byTermination: [...byTermination.values()].sort((a, b) => total(b) - total(a)),
+    averageGameLength: {
+      seconds: durationGames ? Math.round(durationTotal / durationGames) : null,
+      // moves_count is in plies; a "move" here is one by each side
+      moves: pliesGames ? Math.round(pliesTotal / pliesGames / 2) : null
+    }
+  };
+}
+
+// rows from Database.getRatingHistory -> { blitz: [{ gameId, date, rating }], ... }
+function groupRatingHistory(rows) {
+  const history = {};
+  for (const row of rows) {
+    if (!history[row.category]) {
+      history[row.category] = [];
+    }
+    history[row.category].push({
+      gameId: row.id,
+      date: row.ended_at,
+      rating: Number(row.rating)
+    });
+  }
+  return history;
+}
+
+// The openings the player reaches most often, with their results in each.
+// games are rows from Database.getUserGames; variant games and other start positions are skipped.
+function getFavouriteOpenings(username, games, limit = 5) {
+  const openings = new Map();
+
+  for (const game of games) {
+    if (game.variant && game.variant !== 'standard') continue;
+    if (game.start_fen && game.start_fen !== STANDARD_START_FEN) continue;
+
+    const name = identifyOpening(game.moves ? game.moves.split(' ') : []);
+    if (!name) continue;
+
+    if (!openings.has(name)) {
+      openings.set(name, { name, games: 0, ...emptyRecord() });
+    }
+    const opening = openings.get(name);
+    const color = game.white_player === username ? 'white' : 'black';
+    opening.games++;
+    addOutcome(opening, outcomeFor(color, game.winner));
+  }
+
+  return [...openings.values()]
+    .sort((a, b) => b.games - a.games || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+// One row from Database.getUserGames, seen from the player's side
+function summariseGame(username, game) {
+  const color = game.white_player === username ? 'white' : 'black';
+  const opponentColor = color === 'white' ? 'black' : 'white';
+
+  return {
+    id: game.id,
+    color,
+    opponent: {
+      username: game[`${opponentColor}_player`],
+      displayName: game[`${opponentColor}_display_name`]
+    },
+    result: outcomeFor(color, game.winner),
+    reason: game.end_reason,
+    timeControl: game.time_control,
+    category: game.category,
+    rated: game.rated,
+    rating: game[`${color}_rating`],
+    ratingChange: game[`${color}_rating_change`],
+    movesCount: game.moves_count,
+    endedAt: game.ended_at
+  };
+}
+
+module.exports = {
+  OPENING_SAMPLE_SIZE,
+  summariseResults,
+  groupRatingHistory,
+  getFavouriteOpenings,
+  summariseGame
+};
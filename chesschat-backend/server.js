@@ -1,12 +1,32 @@
 // server.js - Simplified for direct room joining without user registration
+// .env first: modules such as sessionTokens read their settings when they are loaded
+require('dotenv').config();
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const socketIo = require('socket.io');
 const cors = require('cors');
-const { Chess } = require('chess.js');
 const Database = require('./database');
 const VideoService = require('./videoService');
-require('dotenv').config();
+const { parseTimeControl } = require('./timeControls');
+const GameClock = require('./gameClock');
+const { buildPgn, STANDARD_START_FEN } = require('./pgn');
+const { isProvisional } = require('./glicko2');
+const { createUserId, createSessionToken, verifySessionToken } = require('./sessionTokens');
+const Presence = require('./presence');
+const { parseLeaderboardQuery } = require('./leaderboard');
+const { parseHistoryQuery, buildReplay } = require('./history');
+const { EngineService } = require('./engine');
+const { analyseGame } = require('./analysis');
+const { BOT_LEVELS, parseBotLevel, getThinkTime, chooseMove } = require('./bot');
+const { isVariant, createVariantGame } = require('./variants');
+const {
+  OPENING_SAMPLE_SIZE,
+  summariseResults,
+  groupRatingHistory,
+  getFavouriteOpenings,
+  summariseGame
+} = require('./profile');
 
 const app = express();
 const server = http.createServer(app);
@@ -17,6 +37,9 @@ const PORT = process.env.PORT || 3001;
 // Initialize video service
 const videoService = new VideoService();
 
+// Post-game analysis - a local UCI engine from ENGINE_PATH, or the built-in evaluator
+const engineService = new EngineService();
+
 // Debug video service status on startup
 console.log('🎥 Video Service Debug:', {
   hasApiKey: !!process.env.DAILY_API_KEY,
@@ -81,13 +104,44 @@ async function initializeDatabase() {
   }
 }
 
+// Pieces a pawn may promote to
+const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+
+// Draw offer rate limiting (per player, per game)
+const MAX_DRAW_OFFERS = 3;
+const DRAW_OFFER_COOLDOWN_MS = 30 * 1000;
+
+// How long a friend has to answer a challenge
+const CHALLENGE_TIMEOUT_MS = 60 * 1000;
+
 // Simplified in-memory storage for active gameplay
 const gameRooms = new Map();
 const matchingCodes = new Map(); // code -> [user1, user2, ...]
 const activeConnections = new Map(); // socketId -> user data
+const reconnectTimers = new Map(); // `${roomId}:${color}` -> grace period timeout
+const presence = new Presence(); // connected tabs and online / idle / in-game status per user
+const challenges = new Map(); // challengeId -> pending challenge between friends
+const botMoves = new Map(); // roomId -> AbortController for the bot move being thought about
+const analysisCache = new Map(); // live room id or saved game id -> analysis promise, oldest first
+const ANALYSIS_CACHE_SIZE = 100;
 
 // Helper functions
-function createGameRoom(player1, player2) {
+
+// Running score between the same two players over a session of rematches.
+// Points are keyed by player object, so they follow players across colour swaps.
+function createSeries(player1, player2) {
+  return {
+    games: 0,
+    points: new Map([[player1, 0], [player2, 0]])
+  };
+}
+
+// gameOptions: { timeControl, allowTakebacks, rated, variant } as chosen by the room code creator,
+// plus the series to continue and the start position to reuse when the game is a rematch
+function createGameRoom(player1, player2, gameOptions) {
+  const { timeControl } = gameOptions;
+  const variant = gameOptions.variant || 'standard';
+  const chess = createVariantGame(variant, gameOptions.startFen);
   const roomId = `room_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   
   const gameRoom = {
@@ -96,27 +150,306 @@ function createGameRoom(player1, player2) {
       white: player1,
       black: player2
     },
-    chess: new Chess(),
+    chess: chess,
+    startFen: chess.fen(),
     currentTurn: 'white',
-    whiteTime: 600,
-    blackTime: 600,
+    timeControl: timeControl,
+    clock: new GameClock(timeControl),
+    clockHistory: [], // clock state just before each move, for takebacks
+    moveClocks: [], // ms left for the mover right after each move, for PGN %clk
+    settings: {
+      allowTakebacks: gameOptions.allowTakebacks !== false,
+      rated: gameOptions.rated !== false,
+      variant
+    },
+    ratings: null, // { white, black } as { rating, provisional } - only with a database
+    ratingChanges: null, // set once a rated game has been saved
     gameStatus: 'playing',
     createdAt: new Date(),
     lastMove: null,
     moveCount: 0,
-    videoRoom: null
+    videoRoom: null,
+    drawOffer: null, // { by: 'white' | 'black', offeredAt }
+    drawOfferHistory: {
+      white: { count: 0, lastOfferedAt: 0 },
+      black: { count: 0, lastOfferedAt: 0 }
+    },
+    takebackRequest: null, // { by: 'white' | 'black', plies }
+    rematchOffer: null, // { by: 'white' | 'black' }
+    series: gameOptions.series || createSeries(player1, player2),
+    code: gameOptions.code || null, // match code the game was started from
+    spectators: new Map() // socketId -> { displayName, joinedAt }
   };
   
   gameRooms.set(roomId, gameRoom);
   return gameRoom;
 }
 
+// Full position and clock state, sent whenever clients need to resync from scratch
+function getGameSnapshot(gameRoom) {
+  return {
+    roomId: gameRoom.id,
+    fen: gameRoom.chess.fen(),
+    startFen: gameRoom.startFen,
+    lastMove: gameRoom.lastMove,
+    moveCount: gameRoom.moveCount,
+    moves: gameRoom.chess.history(),
+    gameStatus: gameRoom.gameStatus,
+    timeControl: gameRoom.timeControl,
+    settings: gameRoom.settings,
+    spectatorCount: gameRoom.spectators.size,
+    headToHead: getHeadToHead(gameRoom),
+    ratings: gameRoom.ratings,
+    ratingChanges: gameRoom.ratingChanges,
+    ...gameRoom.clock.snapshot(),
+    currentTurn: gameRoom.currentTurn
+  };
+}
+
+// Mark a game as finished and stop its clock. Every way a game can end goes through here;
+// callers broadcast the result (game-ended, or move-made for over-the-board endings).
+function endGame(roomId, result) {
+  const gameRoom = gameRooms.get(roomId);
+  if (!gameRoom || gameRoom.gameStatus === 'ended') return result;
+  
+  gameRoom.gameStatus = 'ended';
+  gameRoom.result = result;
+  gameRoom.endedAt = new Date();
+  gameRoom.drawOffer = null;
+  gameRoom.takebackRequest = null;
+  stopGameTimer(roomId);
+  cancelBotMove(roomId);
+  
+  recordSeriesResult(gameRoom);
+  io.to(roomId).emit('head-to-head', getHeadToHead(gameRoom));
+  updateGamePresence(gameRoom, false);
+  
+  gameRoom.savePromise = saveGameToDatabase(gameRoom);
+  
+  return result;
+}
+
+function recordSeriesResult(gameRoom) {
+  const { series, players, result } = gameRoom;
+  series.games++;
+  
+  if (result.winner === 'draw') {
+    series.points.set(players.white, series.points.get(players.white) + 0.5);
+    series.points.set(players.black, series.points.get(players.black) + 0.5);
+  } else if (players[result.winner]) {
+    const winner = players[result.winner];
+    series.points.set(winner, series.points.get(winner) + 1);
+  }
+}
+
+// Session score seen from this game's seats
+function getHeadToHead(gameRoom) {
+  const { series, players } = gameRoom;
+  return {
+    games: series.games,
+    white: series.points.get(players.white) || 0,
+    black: series.points.get(players.black) || 0
+  };
+}
+
+// PGN for a game room, with clock comments from the server clock
+function buildGamePgn(gameRoom) {
+  const result = gameRoom.result || {};
+  return buildPgn({
+    white: gameRoom.players.white.displayName,
+    black: gameRoom.players.black.displayName,
+    startedAt: gameRoom.createdAt,
+    winner: result.winner,
+    reason: result.reason,
+    timeControl: gameRoom.timeControl,
+    moves: gameRoom.chess.history(),
+    clocks: gameRoom.moveClocks,
+    startFen: gameRoom.startFen,
+    variant: gameRoom.settings.variant,
+    // Ratings going into the game
+    extraTags: gameRoom.ratings
+      ? [['WhiteElo', gameRoom.ratings.white.rating], ['BlackElo', gameRoom.ratings.black.rating]]
+      : []
+  });
+}
+
+// Record a finished game and both players' stats. Runs in the background -
+// a database problem must never hold up or break the game itself.
+async function saveGameToDatabase(gameRoom) {
+  if (!db) return;
+  
+  const { chess, clock, players, result } = gameRoom;
+  const history = chess.history();
+  const botColor = getBotColor(gameRoom);
+  
+  try {
+    const saved = await db.saveGameResult({
+      // A bot's seat is saved empty, with its name alongside
+      whitePlayer: botColor === 'white' ? null : players.white.username,
+      whiteDisplayName: players.white.displayName,
+      blackPlayer: botColor === 'black' ? null : players.black.username,
+      blackDisplayName: players.black.displayName,
+      botName: botColor ? players[botColor].displayName : null,
+      winner: result.winner,
+      endReason: result.reason,
+      duration: Math.round((gameRoom.endedAt - gameRoom.createdAt) / 1000),
+      movesCount: history.length,
+      moves: history.join(' '),
+      moveClocks: gameRoom.moveClocks.join(' '),
+      pgn: buildGamePgn(gameRoom),
+      startFen: gameRoom.startFen,
+      endFen: chess.fen(),
+      whiteTimeLeft: Math.round(clock.remaining('white')),
+      blackTimeLeft: Math.round(clock.remaining('black')),
+      timeControl: gameRoom.timeControl.id,
+      roomCode: gameRoom.code,
+      startedAt: gameRoom.createdAt,
+      endedAt: gameRoom.endedAt,
+      rated: gameRoom.settings.rated,
+      category: gameRoom.timeControl.category,
+      variant: gameRoom.settings.variant
+    });
+    
+    gameRoom.savedGameId = saved.id;
+    console.log(`💾 Saved game ${gameRoom.id} as game_history #${saved.id}`);
+    
+    if (saved.ratingChanges) {
+      gameRoom.ratingChanges = saved.ratingChanges;
+      io.to(gameRoom.id).emit('rating-update', saved.ratingChanges);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to save game ${gameRoom.id}:`, error);
+  }
+}
+
+// Both players' current ratings in the game's category, shown next to their names
+async function loadGameRatings(gameRoom) {
+  if (!db) return;
+  
+  const { category } = gameRoom.timeControl;
+  try {
+    const [white, black] = await Promise.all([
+      db.getRating(gameRoom.players.white.username, category),
+      db.getRating(gameRoom.players.black.username, category)
+    ]);
+    gameRoom.ratings = {
+      white: { rating: Math.round(white.rating), provisional: isProvisional(white) },
+      black: { rating: Math.round(black.rating), provisional: isProvisional(black) }
+    };
+  } catch (error) {
+    console.error(`❌ Failed to load ratings for game ${gameRoom.id}:`, error);
+  }
+}
+
+// Colour of the player behind a socket, or null for spectators and strangers.
+// Actions are always attributed by socket - never by anything the client claims.
+function getPlayerColor(gameRoom, socketId) {
+  if (!gameRoom) return null;
+  if (gameRoom.players.white && gameRoom.players.white.socketId === socketId) return 'white';
+  if (gameRoom.players.black && gameRoom.players.black.socketId === socketId) return 'black';
+  return null;
+}
+
+function isSpectator(gameRoom, socketId) {
+  return !!gameRoom && gameRoom.spectators.has(socketId);
+}
+
+// Live game for a match code - the most recent one if the code was reused
+function findGameByCode(code) {
+  let found = null;
+  for (const gameRoom of gameRooms.values()) {
+    if (gameRoom.code === code && (!found || gameRoom.createdAt > found.createdAt)) {
+      found = gameRoom;
+    }
+  }
+  return found;
+}
+
+// What a spectator needs to follow a game from scratch
+function getSpectatorView(gameRoom) {
+  return {
+    roomId: gameRoom.id,
+    spectator: true,
+    players: {
+      white: gameRoom.players.white.displayName,
+      black: gameRoom.players.black.displayName
+    },
+    playerIds: {
+      white: gameRoom.players.white.username,
+      black: gameRoom.players.black.username
+    },
+    gameState: getGameSnapshot(gameRoom),
+    timeControl: gameRoom.timeControl,
+    settings: gameRoom.settings,
+    result: gameRoom.result || null
+  };
+}
+
+function broadcastSpectatorCount(gameRoom) {
+  io.to(gameRoom.id).emit('spectator-count', { count: gameRoom.spectators.size });
+}
+
+function createResumeToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Find the game seat a resume token belongs to
+function findSeatByResumeToken(token) {
+  if (!token) return null;
+  for (const gameRoom of gameRooms.values()) {
+    for (const color of ['white', 'black']) {
+      const player = gameRoom.players[color];
+      if (player && player.resumeToken === token) {
+        return { gameRoom, color, player };
+      }
+    }
+  }
+  return null;
+}
+
+function clearReconnectTimer(roomId, color) {
+  const key = `${roomId}:${color}`;
+  if (reconnectTimers.has(key)) {
+    clearTimeout(reconnectTimers.get(key));
+    reconnectTimers.delete(key);
+  }
+}
+
+// Give a disconnected player time to come back; their clock keeps running meanwhile
+function startReconnectGrace(roomId, color) {
+  const gameRoom = gameRooms.get(roomId);
+  if (!gameRoom) return;
+  
+  const graceMs = gameRoom.timeControl.reconnectGrace * 1000;
+  clearReconnectTimer(roomId, color);
+  
+  reconnectTimers.set(`${roomId}:${color}`, setTimeout(() => {
+    reconnectTimers.delete(`${roomId}:${color}`);
+    const room = gameRooms.get(roomId);
+    if (!room || room.gameStatus !== 'playing' || room.players[color].connected) return;
+    
+    const result = endGame(roomId, {
+      reason: 'disconnection',
+      winner: color === 'white' ? 'black' : 'white',
+      disconnectedPlayer: room.players[color].displayName
+    });
+    io.to(roomId).emit('game-ended', { ...result, ...room.clock.snapshot() });
+    console.log(`🏁 Game ${roomId} ended - ${color} did not reconnect within ${graceMs / 1000}s`);
+  }, graceMs));
+  
+  io.to(roomId).emit('opponent-disconnected', {
+    color,
+    displayName: gameRoom.players[color].displayName,
+    graceMs
+  });
+}
+
 // Enhanced function to start game between two users with video
-async function startGameBetweenUsers(user1, user2) {
-  console.log(`🎮 Starting game between ${user1.displayName} and ${user2.displayName}`);
+async function startGameBetweenUsers(user1, user2, gameOptions) {
+  console.log(`🎮 Starting game between ${user1.displayName} and ${user2.displayName} (${gameOptions.timeControl.id})`);
   
   // Create game room
-  const gameRoom = createGameRoom(user1, user2);
+  const gameRoom = createGameRoom(user1, user2, gameOptions);
   
   // Join socket rooms
   const socket1 = io.sockets.sockets.get(user1.socketId);
@@ -126,10 +459,16 @@ async function startGameBetweenUsers(user1, user2) {
     socket1.join(gameRoom.id);
     socket2.join(gameRoom.id);
     
-    // Randomly assign colors
-    const user1Color = Math.random() < 0.5 ? 'white' : 'black';
+    // Challenges can fix the colours; match codes assign them at random
+    const user1Color = gameOptions.user1Color || (Math.random() < 0.5 ? 'white' : 'black');
     const user2Color = user1Color === 'white' ? 'black' : 'white';
     
+    // Tokens let each player reclaim their seat after a dropped connection
+    user1.resumeToken = createResumeToken();
+    user2.resumeToken = createResumeToken();
+    user1.connected = true;
+    user2.connected = true;
+    
     // Update game room with colors
     gameRoom.players.white = user1Color === 'white' ? user1 : user2;
     gameRoom.players.black = user1Color === 'black' ? user1 : user2;
@@ -161,51 +500,530 @@ async function startGameBetweenUsers(user1, user2) {
       gameRoom.videoRoom = null;
     }
     
-    // Prepare game data
-    const gameStateData = {
-      roomId: gameRoom.id,
-      gameState: {
-        fen: gameRoom.chess.fen(),
-        whiteTime: gameRoom.whiteTime,
-        blackTime: gameRoom.blackTime,
-        currentTurn: gameRoom.currentTurn
-      },
-      videoRoom: gameRoom.videoRoom
-    };
+    await loadGameRatings(gameRoom);
+    
+    // Start the clock before the snapshot so both players get the same reference point
+    startGameTimer(gameRoom.id);
     
     console.log('📤 Sending match-found event');
+    notifyGameStart(gameRoom);
     
-    // Notify both players
-    socket1.emit('match-found', {
-      ...gameStateData,
-      color: user1Color,
-      opponent: { 
-        username: user2.displayName, 
-        displayName: user2.displayName 
-      }
-    });
+    console.log(`🎮 Game started: ${user1.displayName} (${user1Color}) vs ${user2.displayName} (${user2Color})`);
+  }
+}
+
+// Send match-found to both players of a freshly started game
+function notifyGameStart(gameRoom, extra = {}) {
+  const gameStateData = {
+    roomId: gameRoom.id,
+    gameState: getGameSnapshot(gameRoom),
+    timeControl: gameRoom.timeControl,
+    settings: gameRoom.settings,
+    videoRoom: gameRoom.videoRoom,
+    ...extra
+  };
+  
+  updateGamePresence(gameRoom, true);
+  
+  for (const color of ['white', 'black']) {
+    const player = gameRoom.players[color];
+    const opponent = gameRoom.players[color === 'white' ? 'black' : 'white'];
+    const playerSocket = io.sockets.sockets.get(player.socketId);
+    if (!playerSocket) continue;
     
-    socket2.emit('match-found', {
+    playerSocket.emit('match-found', {
       ...gameStateData,
-      color: user2Color,
-      opponent: { 
-        username: user1.displayName, 
-        displayName: user1.displayName 
+      color,
+      resumeToken: player.resumeToken,
+      opponent: {
+        username: opponent.displayName,
+        displayName: opponent.displayName,
+        userId: opponent.username,
+        bot: !!opponent.bot
       }
     });
+  }
+}
+
+// Start the next game of a session: same players and settings, colours swapped.
+// The video room moves over to the new game so the call is never interrupted.
+async function startRematch(oldRoom) {
+  if (oldRoom.rematchStarting) return;
+  oldRoom.rematchStarting = true;
+  
+  // Ratings for the new game must include the result of the last one
+  await oldRoom.savePromise;
+  if (!gameRooms.has(oldRoom.id)) return;
+  
+  const white = oldRoom.players.black;
+  const black = oldRoom.players.white;
+  
+  const gameRoom = createGameRoom(white, black, {
+    timeControl: oldRoom.timeControl,
+    allowTakebacks: oldRoom.settings.allowTakebacks,
+    rated: oldRoom.settings.rated,
+    variant: oldRoom.settings.variant,
+    // Chess960 rematches keep the position, so both players get to play each side of it
+    startFen: oldRoom.startFen,
+    code: oldRoom.code,
+    series: oldRoom.series
+  });
+  await loadGameRatings(gameRoom);
+  gameRoom.videoRoom = oldRoom.videoRoom;
+  oldRoom.videoRoom = null;
+  
+  for (const player of [white, black]) {
+    player.resumeToken = createResumeToken();
+    const playerSocket = io.sockets.sockets.get(player.socketId);
+    if (playerSocket) {
+      playerSocket.leave(oldRoom.id);
+      playerSocket.join(gameRoom.id);
+    }
+  }
+  
+  // Spectators follow the players to the new game
+  gameRoom.spectators = oldRoom.spectators;
+  for (const socketId of gameRoom.spectators.keys()) {
+    const spectatorSocket = io.sockets.sockets.get(socketId);
+    if (spectatorSocket) {
+      spectatorSocket.leave(oldRoom.id);
+      spectatorSocket.join(gameRoom.id);
+    }
+  }
+  
+  clearReconnectTimer(oldRoom.id, 'white');
+  clearReconnectTimer(oldRoom.id, 'black');
+  gameRooms.delete(oldRoom.id);
+  
+  startGameTimer(gameRoom.id);
+  notifyGameStart(gameRoom, { rematch: true });
+  scheduleBotMove(gameRoom.id);
+  
+  for (const socketId of gameRoom.spectators.keys()) {
+    io.to(socketId).emit('spectate-started', getSpectatorView(gameRoom));
+  }
+  
+  console.log(`🔄 Rematch ${oldRoom.id} -> ${gameRoom.id}: ${white.displayName} (white) vs ${black.displayName} (black)`);
+  return gameRoom;
+}
+
+// Moves
+
+// Play a move for the side to move and broadcast it. The caller has checked the turn and
+// the flag at receivedAt. Human moves (make-move) and bot moves both come through here.
+// Returns the chess.js move, or null if it was illegal.
+function playMove(roomId, playerColor, move, receivedAt) {
+  const gameRoom = gameRooms.get(roomId);
+  const { chess, clock } = gameRoom;
+  const result = chess.move(move);
+  if (!result) return null;
+  
+  gameRoom.clockHistory.push(clock.saveState(receivedAt));
+  clock.switchTurn(receivedAt);
+  gameRoom.moveClocks.push(Math.round(clock.remaining(playerColor)));
+  gameRoom.currentTurn = chess.turn() === 'w' ? 'white' : 'black';
+  gameRoom.lastMove = result;
+  gameRoom.moveCount++;
+  
+  // Any move resolves a pending draw offer: the offerer moving withdraws it,
+  // the opponent moving instead counts as declining it
+  if (gameRoom.drawOffer) {
+    const offeredBy = gameRoom.drawOffer.by;
+    gameRoom.drawOffer = null;
+    if (offeredBy === playerColor) {
+      io.to(roomId).emit('draw-offer-cancelled', { by: offeredBy, reason: 'offerer-moved' });
+    } else {
+      io.to(roomId).emit('draw-declined', { by: playerColor, implicit: true });
+    }
+  }
+  
+  // A pending takeback no longer refers to the right position once someone moves
+  if (gameRoom.takebackRequest) {
+    io.to(roomId).emit('takeback-cancelled', { by: gameRoom.takebackRequest.by, reason: 'moved' });
+    gameRoom.takebackRequest = null;
+  }
+  
+  // Each variant decides for itself whether the move ended the game, and how
+  const gameResult = chess.getResult();
+  const gameEnded = !!gameResult;
+  const winner = gameResult ? gameResult.winner : null;
+  const reason = gameResult ? gameResult.reason : null;
+  
+  if (gameEnded) {
+    clock.stop(receivedAt);
+    endGame(roomId, gameResult);
+  }
+  
+  const moveData = {
+    move: result,
+    promotion: result.promotion || null,
+    fen: chess.fen(),
+    moves: chess.history(),
+    ...clock.snapshot(),
+    currentTurn: gameRoom.currentTurn,
+    gameEnded,
+    winner,
+    reason
+  };
+  
+  io.to(roomId).emit('move-made', moveData);
+  
+  if (gameEnded) {
+    console.log(`🏁 Game ${roomId} ended: ${reason} - Winner: ${winner || 'Draw'}`);
+    stopGameTimer(roomId);
     
-    console.log(`🎮 Game started: ${user1.displayName} (${user1Color}) vs ${user2.displayName} (${user2Color})`);
-    startGameTimer(gameRoom.id);
+    // UPDATED: Don't clean up video room immediately - let players chat
+    console.log('🎥 Game ended naturally - keeping video room for post-game chat');
+  } else {
+    scheduleFlagCheck(roomId);
+    scheduleBotMove(roomId);
+  }
+  
+  return result;
+}
+
+// Undo the moves of an accepted takeback and put the clocks back to how they stood before them
+function applyTakeback(roomId, request) {
+  const gameRoom = gameRooms.get(roomId);
+  cancelBotMove(roomId);
+  
+  let clockState = null;
+  for (let i = 0; i < request.plies; i++) {
+    gameRoom.chess.undo();
+    gameRoom.moveClocks.pop();
+    clockState = gameRoom.clockHistory.pop();
+  }
+  gameRoom.clock.restoreState(clockState);
+  
+  const history = gameRoom.chess.history({ verbose: true });
+  gameRoom.currentTurn = gameRoom.chess.turn() === 'w' ? 'white' : 'black';
+  gameRoom.lastMove = history.length > 0 ? history[history.length - 1] : null;
+  gameRoom.moveCount = history.length;
+  gameRoom.drawOffer = null;
+  scheduleFlagCheck(roomId);
+  
+  io.to(roomId).emit('game-sync', {
+    reason: 'takeback',
+    ...getGameSnapshot(gameRoom)
+  });
+  console.log(`↩️ Takeback accepted in game ${roomId} - undid ${request.plies} ply`);
+  
+  scheduleBotMove(roomId);
+}
+
+// Computer opponent
+//
+// A bot takes a seat like any player but has no socket. It moves through playMove on
+// the same clock, accepts takebacks and rematches, and declines draw offers.
+
+// Player object for a bot seat. Bot games are never rated, and they are saved with the
+// bot's seat empty, so its username is never stored.
+function createBotPlayer(levelId) {
+  return {
+    socketId: null,
+    username: `bot_${levelId}`,
+    displayName: `ChessChat Bot (${BOT_LEVELS[levelId].name})`,
+    bot: { level: levelId },
+    connectedAt: new Date(),
+    connected: true
+  };
+}
+
+function getBotColor(gameRoom) {
+  if (gameRoom.players.white.bot) return 'white';
+  if (gameRoom.players.black.bot) return 'black';
+  return null;
+}
+
+function cancelBotMove(roomId) {
+  const pending = botMoves.get(roomId);
+  if (pending) {
+    pending.abort();
+    botMoves.delete(roomId);
+  }
+}
+
+// Search in the background, then play the move once the think time is up.
+// Anything that changes the position first (a takeback, the game ending) cancels it.
+function scheduleBotMove(roomId) {
+  const gameRoom = gameRooms.get(roomId);
+  if (!gameRoom || gameRoom.gameStatus !== 'playing') return;
+  
+  const color = gameRoom.currentTurn;
+  const bot = gameRoom.players[color].bot;
+  if (!bot) return;
+  
+  cancelBotMove(roomId);
+  const controller = new AbortController();
+  botMoves.set(roomId, controller);
+  
+  const startedAt = Date.now();
+  const remainingMs = gameRoom.clock.remaining(color);
+  const thinkTime = getThinkTime(remainingMs);
+  
+  chooseMove(gameRoom.chess.fen(), bot.level, { remainingMs, signal: controller.signal })
+    .then((san) => {
+      if (!san || controller.signal.aborted) return;
+      
+      const timer = setTimeout(() => {
+        botMoves.delete(roomId);
+        playBotMove(roomId, color, san);
+      }, Math.max(0, thinkTime - (Date.now() - startedAt)));
+      controller.signal.addEventListener('abort', () => clearTimeout(timer));
+    })
+    .catch((error) => {
+      console.error(`❌ Bot failed to choose a move in game ${roomId}:`, error);
+    });
+}
+
+function playBotMove(roomId, color, san) {
+  const gameRoom = gameRooms.get(roomId);
+  if (!gameRoom || gameRoom.gameStatus !== 'playing' || gameRoom.currentTurn !== color) return;
+  
+  const receivedAt = gameRoom.clock.now();
+  if (gameRoom.clock.hasFlagged(receivedAt)) {
+    endGameOnTime(roomId);
+    return;
+  }
+  
+  try {
+    playMove(roomId, color, san, receivedAt);
+  } catch (error) {
+    console.error(`❌ Bot move ${san} failed in game ${roomId}:`, error);
+  }
+}
+
+// Seat a player against a bot and start the clock. No video room - there is no one to call.
+function startBotGame(user, levelId, gameOptions) {
+  const bot = createBotPlayer(levelId);
+  const userColor = gameOptions.userColor || (Math.random() < 0.5 ? 'white' : 'black');
+  const gameRoom = createGameRoom(
+    userColor === 'white' ? user : bot,
+    userColor === 'white' ? bot : user,
+    gameOptions
+  );
+  
+  user.resumeToken = createResumeToken();
+  user.connected = true;
+  const userSocket = io.sockets.sockets.get(user.socketId);
+  if (userSocket) {
+    userSocket.join(gameRoom.id);
   }
+  
+  startGameTimer(gameRoom.id);
+  notifyGameStart(gameRoom);
+  scheduleBotMove(gameRoom.id);
+  
+  console.log(`🤖 Game started: ${user.displayName} (${userColor}) vs ${bot.displayName}`);
+  return gameRoom;
 }
 
 // Socket connection handling
+// Every socket carries a player identity. A valid session token in the handshake auth
+// restores it; anyone else gets a new identity, sent back in the 'session' event.
+io.use((socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.sessionToken;
+  const userId = verifySessionToken(token);
+  
+  if (userId) {
+    socket.data.userId = userId;
+    socket.data.sessionToken = token;
+  } else {
+    socket.data.userId = createUserId();
+    socket.data.sessionToken = createSessionToken(socket.data.userId);
+  }
+  next();
+});
+
+// Tell the client who they are, with the name they last played under
+async function sendSession(socket) {
+  const { userId, sessionToken } = socket.data;
+  let profile = null;
+  
+  if (db) {
+    try {
+      profile = await db.getUser(userId);
+      if (profile) {
+        await db.updateLastSeen(userId);
+      }
+    } catch (error) {
+      console.error('❌ Failed to load player profile:', error);
+    }
+  }
+  
+  socket.emit('session', {
+    sessionToken,
+    userId,
+    displayName: profile ? profile.display_name : null
+  });
+}
+
+// Friends
+
+// Errors from database.js that are safe to show to players as-is
+const FRIEND_ERROR_MESSAGES = [
+  'Target user not found',
+  'Users are already friends',
+  'Friend request already sent',
+  'Friend request not found'
+];
+
+function emitToUser(userId, event, data) {
+  for (const socketId of presence.getSocketIds(userId)) {
+    io.to(socketId).emit(event, data);
+  }
+}
+
+function sendFriendError(socket, error) {
+  if (!FRIEND_ERROR_MESSAGES.includes(error.message)) {
+    console.error('❌ Friends error:', error);
+  }
+  socket.emit('friend-error', {
+    message: FRIEND_ERROR_MESSAGES.includes(error.message)
+      ? error.message
+      : 'Something went wrong - please try again'
+  });
+}
+
+// Push a fresh friends list and pending requests to every tab the player has open
+async function sendFriendsList(userId) {
+  const [user, friends, requests] = await Promise.all([
+    db.getUser(userId),
+    db.getFriends(userId),
+    db.getPendingFriendRequests(userId)
+  ]);
+  
+  emitToUser(userId, 'friends-list', {
+    friendCode: user ? user.friend_code : null,
+    friends: friends.map(row => ({
+      username: row.friend_username,
+      displayName: row.display_name,
+      online: presence.isOnline(row.friend_username),
+      lastSeen: row.last_seen,
+      ...presence.getStatus(row.friend_username)
+    })),
+    pendingRequests: requests.map(row => ({
+      from: row.from_user,
+      displayName: row.display_name
+    }))
+  });
+}
+
+// Tell a player's friends that their status changed
+async function broadcastPresence(userId) {
+  if (!db) return;
+  
+  try {
+    const friends = await db.getFriends(userId);
+    const update = {
+      username: userId,
+      online: presence.isOnline(userId),
+      ...presence.getStatus(userId)
+    };
+    if (!update.online) {
+      update.lastSeen = new Date();
+    }
+    
+    for (const friend of friends) {
+      emitToUser(friend.friend_username, 'presence-update', update);
+    }
+  } catch (error) {
+    console.error('❌ Failed to broadcast presence:', error);
+  }
+}
+
+// Both players show as "Playing vs ..." while the game is in progress
+function updateGamePresence(gameRoom, inGame) {
+  for (const color of ['white', 'black']) {
+    const player = gameRoom.players[color];
+    const opponent = gameRoom.players[color === 'white' ? 'black' : 'white'];
+    if (!player || !player.username || player.bot) continue;
+    
+    const changed = inGame
+      ? presence.joinGame(player.username, gameRoom.id, opponent.displayName)
+      : presence.leaveGame(player.username, gameRoom.id);
+    if (changed) {
+      broadcastPresence(player.username);
+    }
+  }
+}
+
+// Take a player out of every match code queue they are waiting in
+function removeFromMatchingCodes(socketId) {
+  for (const [code, users] of matchingCodes.entries()) {
+    const userIndex = users.findIndex(u => u.socketId === socketId);
+    if (userIndex !== -1) {
+      const [user] = users.splice(userIndex, 1);
+      console.log(`🧹 Removed ${user.displayName} from code: ${code}`);
+      
+      if (users.length === 0) {
+        matchingCodes.delete(code);
+      }
+    }
+  }
+}
+
+// Seated in a game room - including a finished game they have not left yet
+function isPlayerInGameRoom(userId) {
+  for (const gameRoom of gameRooms.values()) {
+    if (gameRoom.players.white?.username === userId || gameRoom.players.black?.username === userId) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Challenges
+
+function createChallengeId() {
+  return `challenge_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+// Drop a pending challenge and tell both sides why ('accepted', 'declined', 'expired' or 'cancelled')
+function closeChallenge(challenge, reason) {
+  clearTimeout(challenge.expiryTimer);
+  challenges.delete(challenge.id);
+  
+  const update = { challengeId: challenge.id, reason };
+  emitToUser(challenge.from.username, 'challenge-closed', { ...update, outgoing: true, displayName: challenge.to.displayName });
+  emitToUser(challenge.to.username, 'challenge-closed', { ...update, outgoing: false, displayName: challenge.from.displayName });
+}
+
+// Player object for a challenge or bot game, shaped like the ones enter-match-code builds
+function createChallengePlayer(socketId, username, displayName, gameOptions) {
+  const user = {
+    socketId,
+    displayName,
+    username,
+    connectedAt: new Date(),
+    status: 'playing',
+    gameOptions
+  };
+  activeConnections.set(socketId, user);
+  removeFromMatchingCodes(socketId);
+  return user;
+}
+
 io.on('connection', (socket) => {
-  console.log(`🔌 User connected: ${socket.id}`);
+  console.log(`🔌 User connected: ${socket.id} (${socket.data.userId})`);
+  
+  sendSession(socket);
+  
+  const userId = socket.data.userId;
+  if (presence.connect(userId, socket.id)) {
+    broadcastPresence(userId);
+  }
 
   // Simplified room joining - combines user creation and matching
   socket.on('enter-match-code', async (data) => {
-    const { code, displayName = `Player_${Math.random().toString(36).substr(2, 4)}` } = data;
+    const {
+      code,
+      displayName = `Player_${Math.random().toString(36).substr(2, 4)}`,
+      timeControl: requestedTimeControl,
+      allowTakebacks = true,
+      rated = true,
+      variant = 'standard'
+    } = data;
     
     console.log(`🔑 User ${displayName} entering code: ${code}`);
     
@@ -220,17 +1038,42 @@ io.on('connection', (socket) => {
       return;
     }
 
+    const timeControl = parseTimeControl(requestedTimeControl);
+    if (!timeControl) {
+      socket.emit('error', { message: 'Invalid time control' });
+      return;
+    }
+
+    if (!isVariant(variant)) {
+      socket.emit('error', { message: 'Invalid variant' });
+      return;
+    }
+
     // Create user object
     const user = {
       socketId: socket.id,
       displayName: displayName.trim(),
-      username: displayName.trim(), // Use display name as username for simplicity
+      username: socket.data.userId, // stable identity from the session token
       connectedAt: new Date(),
-      status: 'waiting'
+      status: 'waiting',
+      // Only the code creator's choices are used
+      gameOptions: {
+        timeControl: timeControl,
+        allowTakebacks: allowTakebacks !== false,
+        rated: rated !== false,
+        variant
+      }
     };
 
     // Store active connection
     activeConnections.set(socket.id, user);
+    
+    // Keep the player's users row (and the name they go by) up to date
+    if (db) {
+      db.createUser(user.username, user.displayName).catch(error => {
+        console.error('❌ Failed to register player:', error);
+      });
+    }
 
     // Get or create code entry
     if (!matchingCodes.has(code)) {
@@ -240,7 +1083,7 @@ io.on('connection', (socket) => {
     const waitingUsers = matchingCodes.get(code);
     
     // Check if user already in this code (shouldn't happen with new flow, but safety check)
-    const existingUserIndex = waitingUsers.findIndex(u => u.displayName === user.displayName);
+    const existingUserIndex = waitingUsers.findIndex(u => u.username === user.username);
     if (existingUserIndex !== -1) {
       waitingUsers[existingUserIndex] = user; // Update with new socket
       socket.emit('code-entered', { 
@@ -259,7 +1102,8 @@ io.on('connection', (socket) => {
       socket.emit('code-entered', { 
         code: code,
         message: `Waiting for someone to enter code "${code}"`,
-        waiting: true
+        waiting: true,
+        timeControl: timeControl
       });
       console.log(`⏳ ${user.displayName} waiting for match with code: ${code}`);
       
@@ -270,8 +1114,8 @@ io.on('connection', (socket) => {
       
       console.log(`🎮 MATCH FOUND! ${player1.displayName} vs ${player2.displayName} (code: ${code})`);
       
-      // Start the game
-      await startGameBetweenUsers(player1, player2);
+      // Start the game with the settings picked by whoever created the code
+      await startGameBetweenUsers(player1, player2, { ...player1.gameOptions, code });
       
       // Clean up - remove these two users from the code
       waitingUsers.splice(0, 2);
@@ -283,11 +1127,149 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Play the computer - the game starts at once, never rated
+  socket.on('play-computer', (data = {}) => {
+    const {
+      displayName,
+      level: requestedLevel,
+      timeControl: requestedTimeControl,
+      color = 'random',
+      allowTakebacks = true
+    } = data;
+    
+    if (typeof displayName !== 'string' || displayName.trim().length < 2 || displayName.trim().length > 30) {
+      socket.emit('error', { message: 'Display name must be 2-30 characters long' });
+      return;
+    }
+    
+    const level = parseBotLevel(requestedLevel);
+    if (!level) {
+      socket.emit('error', { message: 'Invalid computer level' });
+      return;
+    }
+    
+    const timeControl = parseTimeControl(requestedTimeControl);
+    if (!timeControl) {
+      socket.emit('error', { message: 'Invalid time control' });
+      return;
+    }
+    
+    if (!['white', 'black', 'random'].includes(color)) {
+      socket.emit('error', { message: 'Invalid colour choice' });
+      return;
+    }
+    
+    if (isPlayerInGameRoom(userId)) {
+      socket.emit('error', { message: 'Leave your current game first' });
+      return;
+    }
+    
+    const gameOptions = {
+      timeControl,
+      allowTakebacks: allowTakebacks !== false,
+      rated: false
+    };
+    const user = createChallengePlayer(socket.id, userId, displayName.trim(), gameOptions);
+    
+    if (db) {
+      db.createUser(user.username, user.displayName).catch(error => {
+        console.error('❌ Failed to register player:', error);
+      });
+    }
+    
+    startBotGame(user, level, {
+      ...gameOptions,
+      userColor: color === 'random' ? null : color
+    });
+  });
+
+  // Rejoin a game after a dropped connection or page reload
+  socket.on('resume-game', (data) => {
+    const seat = findSeatByResumeToken(data && data.token);
+    
+    if (!seat) {
+      socket.emit('resume-failed', { message: 'Game not found or no longer available' });
+      return;
+    }
+    
+    const { gameRoom, color, player } = seat;
+    const opponent = gameRoom.players[color === 'white' ? 'black' : 'white'];
+    
+    // Rebind the seat to the new socket
+    activeConnections.delete(player.socketId);
+    player.socketId = socket.id;
+    player.connected = true;
+    activeConnections.set(socket.id, player);
+    socket.join(gameRoom.id);
+    clearReconnectTimer(gameRoom.id, color);
+    
+    socket.emit('game-resumed', {
+      roomId: gameRoom.id,
+      color,
+      resumeToken: player.resumeToken,
+      you: { displayName: player.displayName, username: player.username },
+      opponent: {
+        username: opponent.displayName,
+        displayName: opponent.displayName,
+        userId: opponent.username,
+        bot: !!opponent.bot
+      },
+      gameState: getGameSnapshot(gameRoom),
+      timeControl: gameRoom.timeControl,
+      settings: gameRoom.settings,
+      videoRoom: gameRoom.videoRoom,
+      result: gameRoom.result || null
+    });
+    
+    socket.to(gameRoom.id).emit('opponent-reconnected', { color });
+    console.log(`🔁 ${player.displayName} resumed ${color} in game ${gameRoom.id}`);
+  });
+
+  // Watch a live game read-only, by room id or by the match code it started from
+  socket.on('spectate-game', (data) => {
+    const { roomId, code, displayName = 'Spectator' } = data || {};
+    const gameRoom = roomId ? gameRooms.get(roomId) : findGameByCode(code);
+    
+    if (!gameRoom) {
+      socket.emit('error', { message: 'No live game found to watch' });
+      return;
+    }
+    
+    if (getPlayerColor(gameRoom, socket.id)) {
+      socket.emit('error', { message: 'You are playing in this game' });
+      return;
+    }
+    
+    gameRoom.spectators.set(socket.id, {
+      displayName: String(displayName).trim().slice(0, 30) || 'Spectator',
+      joinedAt: new Date()
+    });
+    socket.join(gameRoom.id);
+    
+    socket.emit('spectate-started', getSpectatorView(gameRoom));
+    
+    broadcastSpectatorCount(gameRoom);
+    console.log(`👁 ${displayName} is watching game ${gameRoom.id} (${gameRoom.spectators.size} spectators)`);
+  });
+
+  socket.on('leave-spectate', (data) => {
+    const gameRoom = gameRooms.get(data && data.roomId);
+    if (!gameRoom || !gameRoom.spectators.delete(socket.id)) return;
+    
+    socket.leave(gameRoom.id);
+    broadcastSpectatorCount(gameRoom);
+  });
+
   // Game move handling
   socket.on('make-move', async (data) => {
-    const { roomId, move, playerColor } = data;
+    const { roomId, move } = data;
     const gameRoom = gameRooms.get(roomId);
     
+    if (isSpectator(gameRoom, socket.id)) {
+      socket.emit('error', { message: 'Spectators cannot take part in the game' });
+      return;
+    }
+    
     if (!gameRoom) {
       socket.emit('error', { message: 'Game room not found' });
       return;
@@ -298,199 +1280,838 @@ io.on('connection', (socket) => {
       return;
     }
 
+    const playerColor = getPlayerColor(gameRoom, socket.id);
+    if (!playerColor) {
+      socket.emit('error', { message: 'You are not a player in this game' });
+      return;
+    }
+    
     const expectedColor = gameRoom.chess.turn() === 'w' ? 'white' : 'black';
     if (playerColor !== expectedColor) {
       socket.emit('error', { message: 'Not your turn' });
       return;
     }
 
+    if (move && typeof move === 'object' && move.promotion !== undefined &&
+        !PROMOTION_PIECES.includes(move.promotion)) {
+      socket.emit('invalid-move', { move, reason: 'Invalid promotion piece' });
+      return;
+    }
+
+    // Charge the clock at the moment the move arrived; a move after the flag fell loses on time
+    const receivedAt = gameRoom.clock.now();
+    if (gameRoom.clock.hasFlagged(receivedAt)) {
+      endGameOnTime(roomId);
+      return;
+    }
+
     try {
-      const chess = gameRoom.chess;
-      const result = chess.move(move);
+      if (!playMove(roomId, playerColor, move, receivedAt)) {
+        socket.emit('invalid-move', { move, reason: 'Invalid move' });
+      }
+    } catch (error) {
+      console.error('Move error:', error);
+      socket.emit('invalid-move', { move, reason: error.message });
+    }
+  });
+
+  // UPDATED: Resign game - ends game but keeps video
+  socket.on('resign', async (data) => {
+    const { roomId } = data;
+    const gameRoom = gameRooms.get(roomId);
+    
+    if (isSpectator(gameRoom, socket.id)) {
+      socket.emit('error', { message: 'Spectators cannot take part in the game' });
+      return;
+    }
+    
+    if (!gameRoom) {
+      socket.emit('error', { message: 'Game room not found' });
+      return;
+    }
+    
+    if (gameRoom.gameStatus !== 'playing') {
+      socket.emit('error', { message: 'Game is not active' });
+      return;
+    }
+    
+    const playerColor = getPlayerColor(gameRoom, socket.id);
+    if (!playerColor) {
+      socket.emit('error', { message: 'You are not a player in this game' });
+      return;
+    }
+    
+    const result = endGame(roomId, {
+      reason: 'resignation',
+      winner: playerColor === 'white' ? 'black' : 'white',
+      resignedPlayer: playerColor
+    });
+    
+    io.to(roomId).emit('game-ended', { ...result, ...gameRoom.clock.snapshot() });
+    
+    console.log(`🏳️ ${playerColor} resigned in game ${roomId} - keeping video for post-game chat`);
+    
+    // UPDATED: Don't clean up video room - let players continue chatting
+    console.log('🎥 Resignation occurred - keeping video room for post-game discussion');
+  });
+
+  // Draw offers - either player may offer, the opponent accepts or declines
+  socket.on('offer-draw', (data) => {
+    const { roomId } = data;
+    const gameRoom = gameRooms.get(roomId);
+    
+    if (isSpectator(gameRoom, socket.id)) {
+      socket.emit('error', { message: 'Spectators cannot take part in the game' });
+      return;
+    }
+    
+    if (!gameRoom) {
+      socket.emit('error', { message: 'Game room not found' });
+      return;
+    }
+    
+    if (gameRoom.gameStatus !== 'playing') {
+      socket.emit('error', { message: 'Game is not active' });
+      return;
+    }
+    
+    const playerColor = getPlayerColor(gameRoom, socket.id);
+    if (!playerColor) {
+      socket.emit('error', { message: 'You are not a player in this game' });
+      return;
+    }
+    
+    if (gameRoom.drawOffer) {
+      socket.emit('error', { message: 'A draw offer is already pending' });
+      return;
+    }
+    
+    const history = gameRoom.drawOfferHistory[playerColor];
+    
+    if (history.count >= MAX_DRAW_OFFERS) {
+      socket.emit('error', { message: 'No draw offers left this game' });
+      return;
+    }
+    
+    const now = Date.now();
+    if (now - history.lastOfferedAt < DRAW_OFFER_COOLDOWN_MS) {
+      socket.emit('error', { message: 'Please wait before offering another draw' });
+      return;
+    }
+    
+    history.count++;
+    history.lastOfferedAt = now;
+    gameRoom.drawOffer = { by: playerColor, offeredAt: now };
+    
+    io.to(roomId).emit('draw-offered', {
+      by: playerColor,
+      offersRemaining: MAX_DRAW_OFFERS - history.count
+    });
+    console.log(`🤝 ${playerColor} offered a draw in game ${roomId}`);
+    
+    const botColor = getBotColor(gameRoom);
+    if (botColor) {
+      gameRoom.drawOffer = null;
+      io.to(roomId).emit('draw-declined', { by: botColor, implicit: false });
+    }
+  });
+
+  socket.on('accept-draw', (data) => {
+    const { roomId } = data;
+    const gameRoom = gameRooms.get(roomId);
+    
+    if (isSpectator(gameRoom, socket.id)) {
+      socket.emit('error', { message: 'Spectators cannot take part in the game' });
+      return;
+    }
+    
+    if (!gameRoom) {
+      socket.emit('error', { message: 'Game room not found' });
+      return;
+    }
+    
+    if (gameRoom.gameStatus !== 'playing') {
+      socket.emit('error', { message: 'Game is not active' });
+      return;
+    }
+    
+    const playerColor = getPlayerColor(gameRoom, socket.id);
+    if (!playerColor) {
+      socket.emit('error', { message: 'You are not a player in this game' });
+      return;
+    }
+    
+    if (!gameRoom.drawOffer || gameRoom.drawOffer.by === playerColor) {
+      socket.emit('error', { message: 'No draw offer to accept' });
+      return;
+    }
+    
+    gameRoom.drawOffer = null;
+    const result = endGame(roomId, { reason: 'agreement', winner: 'draw' });
+    
+    io.to(roomId).emit('game-ended', { ...result, ...gameRoom.clock.snapshot() });
+    
+    console.log(`🤝 Game ${roomId} drawn by agreement - keeping video for post-game chat`);
+  });
+
+  socket.on('decline-draw', (data) => {
+    const { roomId } = data;
+    const gameRoom = gameRooms.get(roomId);
+    
+    if (isSpectator(gameRoom, socket.id)) {
+      socket.emit('error', { message: 'Spectators cannot take part in the game' });
+      return;
+    }
+    
+    if (!gameRoom || gameRoom.gameStatus !== 'playing') {
+      return;
+    }
+    
+    const playerColor = getPlayerColor(gameRoom, socket.id);
+    if (!playerColor) {
+      socket.emit('error', { message: 'You are not a player in this game' });
+      return;
+    }
+    
+    if (!gameRoom.drawOffer || gameRoom.drawOffer.by === playerColor) {
+      socket.emit('error', { message: 'No draw offer to decline' });
+      return;
+    }
+    
+    gameRoom.drawOffer = null;
+    io.to(roomId).emit('draw-declined', { by: playerColor, implicit: false });
+    console.log(`🙅 ${playerColor} declined a draw in game ${roomId}`);
+  });
+
+  // Takebacks - a player asks to undo their last move, the opponent decides
+  socket.on('request-takeback', (data) => {
+    const { roomId } = data;
+    const gameRoom = gameRooms.get(roomId);
+    
+    if (isSpectator(gameRoom, socket.id)) {
+      socket.emit('error', { message: 'Spectators cannot take part in the game' });
+      return;
+    }
+    
+    if (!gameRoom) {
+      socket.emit('error', { message: 'Game room not found' });
+      return;
+    }
+    
+    if (gameRoom.gameStatus !== 'playing') {
+      socket.emit('error', { message: 'Game is not active' });
+      return;
+    }
+    
+    const playerColor = getPlayerColor(gameRoom, socket.id);
+    if (!playerColor) {
+      socket.emit('error', { message: 'You are not a player in this game' });
+      return;
+    }
+    
+    if (!gameRoom.settings.allowTakebacks) {
+      socket.emit('error', { message: 'Takebacks are disabled in this game' });
+      return;
+    }
+    
+    if (gameRoom.takebackRequest) {
+      socket.emit('error', { message: 'A takeback request is already pending' });
+      return;
+    }
+    
+    // Undo just our move if the opponent hasn't replied yet, otherwise their reply too
+    const plies = gameRoom.currentTurn === playerColor ? 2 : 1;
+    if (gameRoom.chess.history().length < plies) {
+      socket.emit('error', { message: 'No move to take back' });
+      return;
+    }
+    
+    gameRoom.takebackRequest = { by: playerColor, plies };
+    io.to(roomId).emit('takeback-requested', { by: playerColor, plies });
+    console.log(`↩️ ${playerColor} requested a takeback (${plies} ply) in game ${roomId}`);
+    
+    if (getBotColor(gameRoom)) {
+      gameRoom.takebackRequest = null;
+      applyTakeback(roomId, { by: playerColor, plies });
+    }
+  });
+
+  socket.on('respond-takeback', (data) => {
+    const { roomId, accept } = data;
+    const gameRoom = gameRooms.get(roomId);
+    
+    if (isSpectator(gameRoom, socket.id)) {
+      socket.emit('error', { message: 'Spectators cannot take part in the game' });
+      return;
+    }
+    
+    if (!gameRoom || gameRoom.gameStatus !== 'playing') {
+      socket.emit('error', { message: 'Game is not active' });
+      return;
+    }
+    
+    const playerColor = getPlayerColor(gameRoom, socket.id);
+    if (!playerColor) {
+      socket.emit('error', { message: 'You are not a player in this game' });
+      return;
+    }
+    
+    const request = gameRoom.takebackRequest;
+    if (!request || request.by === playerColor) {
+      socket.emit('error', { message: 'No takeback request to respond to' });
+      return;
+    }
+    
+    gameRoom.takebackRequest = null;
+    
+    if (!accept) {
+      io.to(roomId).emit('takeback-declined', { by: playerColor });
+      console.log(`🙅 ${playerColor} declined a takeback in game ${roomId}`);
+      return;
+    }
+    
+    applyTakeback(roomId, request);
+  });
+
+  // Rematch - once a game is over either player can offer another one.
+  // If both offer, the second offer counts as accepting the first.
+  socket.on('offer-rematch', (data) => {
+    const { roomId } = data;
+    const gameRoom = gameRooms.get(roomId);
+    
+    if (isSpectator(gameRoom, socket.id)) {
+      socket.emit('error', { message: 'Spectators cannot take part in the game' });
+      return;
+    }
+    
+    if (!gameRoom) {
+      socket.emit('error', { message: 'Game room not found' });
+      return;
+    }
+    
+    if (gameRoom.gameStatus !== 'ended') {
+      socket.emit('error', { message: 'The game is still in progress' });
+      return;
+    }
+    
+    const playerColor = getPlayerColor(gameRoom, socket.id);
+    if (!playerColor) {
+      socket.emit('error', { message: 'You are not a player in this game' });
+      return;
+    }
+    
+    const opponentColor = playerColor === 'white' ? 'black' : 'white';
+    
+    if (!gameRoom.players[opponentColor].connected) {
+      socket.emit('error', { message: 'Your opponent has left' });
+      return;
+    }
+    
+    if (gameRoom.rematchOffer) {
+      if (gameRoom.rematchOffer.by === opponentColor) {
+        startRematch(gameRoom);
+      }
+      return;
+    }
+    
+    if (gameRoom.players[opponentColor].bot) {
+      startRematch(gameRoom);
+      return;
+    }
+    
+    gameRoom.rematchOffer = { by: playerColor };
+    io.to(roomId).emit('rematch-offered', { by: playerColor });
+    console.log(`🔄 ${playerColor} offered a rematch in game ${roomId}`);
+  });
+
+  socket.on('accept-rematch', (data) => {
+    const { roomId } = data;
+    const gameRoom = gameRooms.get(roomId);
+    
+    if (isSpectator(gameRoom, socket.id)) {
+      socket.emit('error', { message: 'Spectators cannot take part in the game' });
+      return;
+    }
+    
+    if (!gameRoom) {
+      socket.emit('error', { message: 'Game room not found' });
+      return;
+    }
+    
+    const playerColor = getPlayerColor(gameRoom, socket.id);
+    if (!playerColor) {
+      socket.emit('error', { message: 'You are not a player in this game' });
+      return;
+    }
+    
+    if (!gameRoom.rematchOffer || gameRoom.rematchOffer.by === playerColor) {
+      socket.emit('error', { message: 'No rematch offer to accept' });
+      return;
+    }
+    
+    const offerer = gameRoom.players[gameRoom.rematchOffer.by];
+    if (!offerer.connected) {
+      gameRoom.rematchOffer = null;
+      socket.emit('error', { message: 'Your opponent has left' });
+      return;
+    }
+    
+    startRematch(gameRoom);
+  });
+
+  socket.on('decline-rematch', (data) => {
+    const { roomId } = data;
+    const gameRoom = gameRooms.get(roomId);
+    
+    if (isSpectator(gameRoom, socket.id)) {
+      socket.emit('error', { message: 'Spectators cannot take part in the game' });
+      return;
+    }
+    
+    if (!gameRoom || !gameRoom.rematchOffer) {
+      return;
+    }
+    
+    const playerColor = getPlayerColor(gameRoom, socket.id);
+    if (!playerColor) {
+      socket.emit('error', { message: 'You are not a player in this game' });
+      return;
+    }
+    
+    if (gameRoom.rematchOffer.by === playerColor) {
+      return;
+    }
+    
+    gameRoom.rematchOffer = null;
+    io.to(roomId).emit('rematch-declined', { by: playerColor });
+    console.log(`🙅 ${playerColor} declined a rematch in game ${roomId}`);
+  });
+
+  // NEW: Exit game handler - removes both players from game and video
+  socket.on('exit-game', async (data) => {
+    const { roomId } = data;
+    const gameRoom = gameRooms.get(roomId);
+    
+    if (isSpectator(gameRoom, socket.id)) {
+      socket.emit('error', { message: 'Spectators cannot take part in the game' });
+      return;
+    }
+    
+    if (!gameRoom) {
+      console.log(`⚠️  Exit game request for non-existent room: ${roomId}`);
+      return;
+    }
+    
+    const playerColor = getPlayerColor(gameRoom, socket.id);
+    if (!playerColor) {
+      socket.emit('error', { message: 'You are not a player in this game' });
+      return;
+    }
+    
+    // Leaving a game in progress resigns it, so the result is saved and rated like any other
+    if (gameRoom.gameStatus === 'playing') {
+      const result = endGame(roomId, {
+        reason: 'resignation',
+        winner: playerColor === 'white' ? 'black' : 'white',
+        resignedPlayer: playerColor
+      });
+      io.to(roomId).emit('game-ended', { ...result, ...gameRoom.clock.snapshot() });
+      console.log(`🏳️ ${playerColor} left game ${roomId} while it was in progress - counted as a resignation`);
+    }
+    
+    console.log(`🚪 Exit game request for room ${roomId} - removing both players`);
+    
+    // Notify both players to exit
+    io.to(roomId).emit('exit-game', {
+      reason: 'player-exit',
+      message: 'A player has left the game'
+    });
+    
+    // Clean up video room now
+    if (gameRoom.videoRoom && gameRoom.videoRoom.name) {
+      console.log(`🎥 Cleaning up video room: ${gameRoom.videoRoom.name}`);
+      try {
+        await videoService.deleteGameRoom(gameRoom.videoRoom.name);
+        console.log('✅ Video room cleaned up after exit game');
+      } catch (error) {
+        console.error('❌ Error cleaning up video room:', error);
+      }
+    }
+    
+    // Stop game timer, the bot's next move and any pending reconnection grace periods
+    stopGameTimer(roomId);
+    cancelBotMove(roomId);
+    clearReconnectTimer(roomId, 'white');
+    clearReconnectTimer(roomId, 'black');
+    
+    // Remove game room
+    updateGamePresence(gameRoom, false);
+    gameRooms.delete(roomId);
+    
+    console.log(`✅ Game room ${roomId} fully cleaned up after exit`);
+  });
+
+  // Handle disconnection
+  socket.on('disconnect', () => {
+    console.log(`💔 User disconnected: ${socket.id}`);
+    
+    // Challenges sent from this tab can no longer be answered
+    for (const challenge of challenges.values()) {
+      if (challenge.from.socketId === socket.id) {
+        closeChallenge(challenge, 'cancelled');
+      }
+    }
+    
+    const presenceChanged = presence.disconnect(userId, socket.id);
+    if (presenceChanged) {
+      broadcastPresence(userId);
+    }
+    
+    // Drop from any games being watched
+    for (const gameRoom of gameRooms.values()) {
+      if (gameRoom.spectators.delete(socket.id)) {
+        broadcastSpectatorCount(gameRoom);
+      }
+    }
+    
+    const user = activeConnections.get(socket.id);
+    
+    if (user) {
+      // Remove from active connections
+      activeConnections.delete(socket.id);
       
-      if (result) {
-        gameRoom.currentTurn = chess.turn() === 'w' ? 'white' : 'black';
-        gameRoom.lastMove = result;
-        gameRoom.moveCount++;
-        
-        let gameEnded = false;
-        let winner = null;
-        let reason = null;
+      // Clean up matching codes
+      removeFromMatchingCodes(socket.id);
+      
+      // Check if user was in an active game and handle appropriately
+      for (const [roomId, gameRoom] of gameRooms.entries()) {
+        const wasInGame = (gameRoom.players.white && gameRoom.players.white.socketId === socket.id) ||
+                         (gameRoom.players.black && gameRoom.players.black.socketId === socket.id);
         
-        if (chess.isGameOver()) {
-          gameEnded = true;
-          gameRoom.gameStatus = 'ended';
+        if (wasInGame) {
+          console.log(`👋 Player ${user.displayName} disconnected from active game ${roomId}`);
+          user.connected = false;
           
-          if (chess.isCheckmate()) {
-            winner = chess.turn() === 'w' ? 'black' : 'white';
-            reason = 'checkmate';
-          } else if (chess.isStalemate()) {
-            reason = 'stalemate';
-            winner = 'draw';
-          } else if (chess.isDraw()) {
-            reason = 'draw';
-            winner = 'draw';
+          // If game is still playing, hold the seat for the reconnection grace period
+          if (gameRoom.gameStatus === 'playing') {
+            const color = gameRoom.players.white.socketId === socket.id ? 'white' : 'black';
+            startReconnectGrace(roomId, color);
+            console.log(`⏳ Holding ${color} seat in game ${roomId} for ${gameRoom.timeControl.reconnectGrace}s`);
+          } else if (gameRoom.videoRoom && gameRoom.videoRoom.name) {
+            // Clean up video room after short delay (in case they reconnect quickly)
+            setTimeout(async () => {
+              try {
+                await videoService.deleteGameRoom(gameRoom.videoRoom.name);
+                console.log(`🎥 Cleaned up video room after disconnection: ${gameRoom.videoRoom.name}`);
+              } catch (error) {
+                console.error('❌ Error cleaning up video after disconnection:', error);
+              }
+            }, 10000); // 10 second delay
           }
+          break;
         }
-        
-        const moveData = {
-          move: result,
-          fen: chess.fen(),
-          currentTurn: gameRoom.currentTurn,
-          whiteTime: gameRoom.whiteTime,
-          blackTime: gameRoom.blackTime,
-          gameEnded,
-          winner,
-          reason
-        };
-        
-        io.to(roomId).emit('move-made', moveData);
-        
-        if (gameEnded) {
-          console.log(`🏁 Game ${roomId} ended: ${reason} - Winner: ${winner || 'Draw'}`);
-          stopGameTimer(roomId);
-          
-          // UPDATED: Don't clean up video room immediately - let players chat
-          console.log('🎥 Game ended naturally - keeping video room for post-game chat');
+      }
+      
+      console.log(`👋 User ${user.displayName} disconnected`);
+    }
+    
+    // Last, and in the background - seats and notices must not wait on the database
+    if (db && presenceChanged && !presence.isOnline(userId)) {
+      db.updateLastSeen(userId).catch((error) => {
+        console.error('❌ Failed to update last seen:', error);
+      });
+    }
+  });
+
+  // The client reports when its tab goes to the background and comes back
+  socket.on('set-presence', (data = {}) => {
+    if (presence.setIdle(userId, socket.id, data.idle === true)) {
+      broadcastPresence(userId);
+    }
+  });
+
+  // Challenge a friend directly - no match code needed
+  socket.on('challenge-friend', async (data = {}) => {
+    const { username, timeControl: requestedTimeControl, color = 'random', rated = true, variant = 'standard' } = data;
+    
+    if (!db) {
+      socket.emit('challenge-error', { message: 'Challenges are unavailable right now' });
+      return;
+    }
+    
+    const timeControl = parseTimeControl(requestedTimeControl);
+    if (!timeControl) {
+      socket.emit('challenge-error', { message: 'Invalid time control' });
+      return;
+    }
+    
+    if (!['white', 'black', 'random'].includes(color)) {
+      socket.emit('challenge-error', { message: 'Invalid colour choice' });
+      return;
+    }
+    
+    if (!isVariant(variant)) {
+      socket.emit('challenge-error', { message: 'Invalid variant' });
+      return;
+    }
+    
+    if (typeof username !== 'string' || username === userId) {
+      socket.emit('challenge-error', { message: 'Choose a friend to challenge' });
+      return;
+    }
+    
+    try {
+      const [user, target, friends] = await Promise.all([
+        db.getUser(userId),
+        db.getUser(username),
+        db.areFriends(userId, username)
+      ]);
+      
+      if (!user || !target || !friends) {
+        socket.emit('challenge-error', { message: 'You can only challenge your friends' });
+        return;
+      }
+      if (!presence.isOnline(username)) {
+        socket.emit('challenge-error', { message: `${target.display_name} is offline` });
+        return;
+      }
+      if (isPlayerInGameRoom(username)) {
+        socket.emit('challenge-error', { message: `${target.display_name} is in a game` });
+        return;
+      }
+      if (isPlayerInGameRoom(userId)) {
+        socket.emit('challenge-error', { message: 'Leave your current game first' });
+        return;
+      }
+      
+      for (const existing of challenges.values()) {
+        if (existing.from.username === userId && existing.to.username === username) {
+          socket.emit('challenge-error', { message: `You already challenged ${target.display_name}` });
+          return;
         }
-        
-      } else {
-        socket.emit('invalid-move', { move, reason: 'Invalid move' });
       }
+      
+      const challenge = {
+        id: createChallengeId(),
+        from: { username: userId, displayName: user.display_name, socketId: socket.id },
+        to: { username, displayName: target.display_name },
+        timeControl,
+        color,
+        rated: rated !== false,
+        variant
+      };
+      challenge.expiryTimer = setTimeout(() => {
+        console.log(`⌛ Challenge ${challenge.id} expired`);
+        closeChallenge(challenge, 'expired');
+      }, CHALLENGE_TIMEOUT_MS);
+      challenges.set(challenge.id, challenge);
+      
+      console.log(`⚔️  ${user.display_name} challenged ${target.display_name} (${timeControl.id}, ${variant}, ${color})`);
+      
+      // Colour is given from the receiver's side of the board
+      const opponentColor = { white: 'black', black: 'white', random: 'random' }[color];
+      emitToUser(username, 'challenge-received', {
+        challengeId: challenge.id,
+        from: { username: userId, displayName: user.display_name },
+        timeControl,
+        color: opponentColor,
+        rated: challenge.rated,
+        variant,
+        expiresIn: CHALLENGE_TIMEOUT_MS
+      });
+      socket.emit('challenge-sent', {
+        challengeId: challenge.id,
+        to: challenge.to,
+        timeControl,
+        color,
+        rated: challenge.rated,
+        variant,
+        expiresIn: CHALLENGE_TIMEOUT_MS
+      });
     } catch (error) {
-      console.error('Move error:', error);
-      socket.emit('invalid-move', { move, reason: error.message });
+      console.error('❌ Error sending challenge:', error);
+      socket.emit('challenge-error', { message: 'Could not send the challenge - please try again' });
     }
   });
 
-  // UPDATED: Resign game - ends game but keeps video
-  socket.on('resign', async (data) => {
-    const { roomId, playerColor } = data;
-    const gameRoom = gameRooms.get(roomId);
+  socket.on('respond-challenge', async (data = {}) => {
+    const { challengeId, accept } = data;
+    const challenge = challenges.get(challengeId);
     
-    if (!gameRoom) {
-      socket.emit('error', { message: 'Game room not found' });
+    if (!challenge || challenge.to.username !== userId) {
+      socket.emit('challenge-error', { message: 'This challenge is no longer available' });
       return;
     }
     
-    if (gameRoom.gameStatus !== 'playing') {
-      socket.emit('error', { message: 'Game is not active' });
+    if (!accept) {
+      console.log(`🙅 ${challenge.to.displayName} declined the challenge from ${challenge.from.displayName}`);
+      closeChallenge(challenge, 'declined');
       return;
     }
     
-    const winner = playerColor === 'white' ? 'black' : 'white';
-    gameRoom.gameStatus = 'ended';
+    // The challenger may have closed their tab or started another game meanwhile
+    if (!io.sockets.sockets.get(challenge.from.socketId) || isPlayerInGameRoom(challenge.from.username)) {
+      closeChallenge(challenge, 'cancelled');
+      socket.emit('challenge-error', { message: `${challenge.from.displayName} is no longer available` });
+      return;
+    }
     
-    io.to(roomId).emit('game-ended', {
-      reason: 'resignation',
-      winner: winner,
-      resignedPlayer: playerColor
-    });
+    if (isPlayerInGameRoom(userId)) {
+      socket.emit('challenge-error', { message: 'Leave your current game first' });
+      return;
+    }
     
-    stopGameTimer(roomId);
-    console.log(`🏳️ ${playerColor} resigned in game ${roomId} - keeping video for post-game chat`);
+    closeChallenge(challenge, 'accepted');
     
-    // UPDATED: Don't clean up video room - let players continue chatting
-    console.log('🎥 Resignation occurred - keeping video room for post-game discussion');
+    const gameOptions = {
+      timeControl: challenge.timeControl,
+      allowTakebacks: true,
+      rated: challenge.rated,
+      variant: challenge.variant
+    };
+    const challenger = createChallengePlayer(challenge.from.socketId, challenge.from.username, challenge.from.displayName, gameOptions);
+    const accepter = createChallengePlayer(socket.id, userId, challenge.to.displayName, gameOptions);
+    
+    console.log(`⚔️  ${accepter.displayName} accepted the challenge from ${challenger.displayName}`);
+    
+    await startGameBetweenUsers(challenger, accepter, {
+      ...gameOptions,
+      user1Color: challenge.color === 'random' ? null : challenge.color
+    });
   });
 
-  // NEW: Exit game handler - removes both players from game and video
-  socket.on('exit-game', async (data) => {
-    const { roomId } = data;
-    const gameRoom = gameRooms.get(roomId);
-    
-    if (!gameRoom) {
-      console.log(`⚠️  Exit game request for non-existent room: ${roomId}`);
+  socket.on('cancel-challenge', (data = {}) => {
+    const challenge = challenges.get(data.challengeId);
+    if (challenge && challenge.from.username === userId) {
+      closeChallenge(challenge, 'cancelled');
+    }
+  });
+
+  // Friends panel - also registers the player so they get a friend code
+  socket.on('get-friends', async (data = {}) => {
+    if (!db) {
+      socket.emit('friend-error', { message: 'Friends are unavailable right now' });
       return;
     }
     
-    console.log(`🚪 Exit game request for room ${roomId} - removing both players`);
-    
-    // Notify both players to exit
-    io.to(roomId).emit('exit-game', {
-      reason: 'player-exit',
-      message: 'A player has left the game'
-    });
+    const displayName = typeof data.displayName === 'string' ? data.displayName.trim() : '';
     
-    // Clean up video room now
-    if (gameRoom.videoRoom && gameRoom.videoRoom.name) {
-      console.log(`🎥 Cleaning up video room: ${gameRoom.videoRoom.name}`);
-      try {
-        await videoService.deleteGameRoom(gameRoom.videoRoom.name);
-        console.log('✅ Video room cleaned up after exit game');
-      } catch (error) {
-        console.error('❌ Error cleaning up video room:', error);
+    try {
+      if (displayName.length >= 2 && displayName.length <= 30) {
+        await db.createUser(userId, displayName);
       }
+      await sendFriendsList(userId);
+    } catch (error) {
+      sendFriendError(socket, error);
     }
-    
-    // Stop game timer
-    stopGameTimer(roomId);
-    
-    // Remove game room
-    gameRooms.delete(roomId);
-    
-    console.log(`✅ Game room ${roomId} fully cleaned up after exit`);
   });
 
-  // Handle disconnection
-  socket.on('disconnect', async () => {
-    console.log(`💔 User disconnected: ${socket.id}`);
+  socket.on('add-friend', async (data = {}) => {
+    if (!db) {
+      socket.emit('friend-error', { message: 'Friends are unavailable right now' });
+      return;
+    }
     
-    const user = activeConnections.get(socket.id);
+    const friendCode = typeof data.friendCode === 'string' ? data.friendCode.trim() : '';
+    if (friendCode.length < 4 || friendCode.length > 12) {
+      socket.emit('friend-error', { message: 'Enter a valid friend code' });
+      return;
+    }
     
-    if (user) {
-      // Remove from active connections
-      activeConnections.delete(socket.id);
+    try {
+      const [user, target] = await Promise.all([
+        db.getUser(userId),
+        db.getUserByFriendCode(friendCode)
+      ]);
       
-      // Clean up matching codes
-      for (const [code, users] of matchingCodes.entries()) {
-        const userIndex = users.findIndex(u => u.socketId === socket.id);
-        if (userIndex !== -1) {
-          users.splice(userIndex, 1);
-          console.log(`🧹 Removed ${user.displayName} from code: ${code}`);
-          
-          if (users.length === 0) {
-            matchingCodes.delete(code);
-          }
-        }
+      if (!user) {
+        socket.emit('friend-error', { message: 'Enter your name before adding friends' });
+        return;
+      }
+      if (!target) {
+        socket.emit('friend-error', { message: 'No player has that friend code' });
+        return;
+      }
+      if (target.username === userId) {
+        socket.emit('friend-error', { message: "You can't add yourself as a friend" });
+        return;
       }
       
-      // Check if user was in an active game and handle appropriately
-      for (const [roomId, gameRoom] of gameRooms.entries()) {
-        const wasInGame = (gameRoom.players.white && gameRoom.players.white.socketId === socket.id) ||
-                         (gameRoom.players.black && gameRoom.players.black.socketId === socket.id);
+      // They already asked us - treat this as accepting their request
+      const pending = await db.getPendingFriendRequests(userId);
+      if (pending.some(request => request.from_user === target.username)) {
+        await db.acceptFriendRequest(target.username, userId);
+        console.log(`🤝 ${user.display_name} and ${target.display_name} are now friends`);
         
-        if (wasInGame) {
-          console.log(`👋 Player ${user.displayName} disconnected from active game ${roomId}`);
-          
-          // If game was still playing, end it due to disconnection
-          if (gameRoom.gameStatus === 'playing') {
-            gameRoom.gameStatus = 'ended';
-            io.to(roomId).emit('game-ended', {
-              reason: 'disconnection',
-              winner: gameRoom.players.white.socketId === socket.id ? 'black' : 'white',
-              disconnectedPlayer: user.displayName
-            });
-            stopGameTimer(roomId);
-            console.log(`🏁 Game ${roomId} ended due to disconnection`);
-          }
-          
-          // Clean up video room after short delay (in case they reconnect quickly)
-          if (gameRoom.videoRoom && gameRoom.videoRoom.name) {
-            setTimeout(async () => {
-              try {
-                await videoService.deleteGameRoom(gameRoom.videoRoom.name);
-                console.log(`🎥 Cleaned up video room after disconnection: ${gameRoom.videoRoom.name}`);
-              } catch (error) {
-                console.error('❌ Error cleaning up video after disconnection:', error);
-              }
-            }, 10000); // 10 second delay
-          }
-          break;
-        }
+        emitToUser(target.username, 'friend-notice', {
+          message: `${user.display_name} accepted your friend request`
+        });
+        socket.emit('friend-notice', { message: `You are now friends with ${target.display_name}` });
+      } else {
+        await db.sendFriendRequest(userId, target.username);
+        console.log(`📨 Friend request from ${user.display_name} to ${target.display_name}`);
+        
+        emitToUser(target.username, 'friend-request', {
+          from: userId,
+          displayName: user.display_name
+        });
+        socket.emit('friend-notice', { message: `Friend request sent to ${target.display_name}` });
       }
       
-      console.log(`👋 User ${user.displayName} disconnected`);
+      await Promise.all([sendFriendsList(userId), sendFriendsList(target.username)]);
+    } catch (error) {
+      sendFriendError(socket, error);
+    }
+  });
+
+  socket.on('respond-friend-request', async (data = {}) => {
+    if (!db) {
+      socket.emit('friend-error', { message: 'Friends are unavailable right now' });
+      return;
+    }
+    
+    const { from, accept } = data;
+    if (typeof from !== 'string' || !from) {
+      socket.emit('friend-error', { message: 'Friend request not found' });
+      return;
+    }
+    
+    try {
+      if (accept) {
+        await db.acceptFriendRequest(from, userId);
+        const user = await db.getUser(userId);
+        console.log(`🤝 ${from} and ${userId} are now friends`);
+        
+        emitToUser(from, 'friend-notice', {
+          message: `${user ? user.display_name : 'A player'} accepted your friend request`
+        });
+      } else {
+        await db.declineFriendRequest(from, userId);
+      }
+      
+      await Promise.all([sendFriendsList(userId), sendFriendsList(from)]);
+    } catch (error) {
+      sendFriendError(socket, error);
+    }
+  });
+
+  socket.on('remove-friend', async (data = {}) => {
+    if (!db) {
+      socket.emit('friend-error', { message: 'Friends are unavailable right now' });
+      return;
+    }
+    
+    const { username } = data;
+    if (typeof username !== 'string' || !username) {
+      return;
+    }
+    
+    try {
+      await db.removeFriend(userId, username);
+      console.log(`🚫 ${userId} removed friend ${username}`);
+      await Promise.all([sendFriendsList(userId), sendFriendsList(username)]);
+    } catch (error) {
+      sendFriendError(socket, error);
     }
   });
 
@@ -505,74 +2126,90 @@ io.on('connection', (socket) => {
 });
 
 // Game timer management
-const gameTimers = new Map();
+const gameTimers = new Map(); // roomId -> { syncInterval, flagTimeout }
 
+// How often clients get a clock resync between moves
+const TIME_SYNC_INTERVAL_MS = 5000;
+
+// Start the room's clock with a precise flag timeout plus a periodic resync broadcast
 function startGameTimer(roomId) {
-  if (gameTimers.has(roomId)) {
-    clearInterval(gameTimers.get(roomId));
-  }
+  const gameRoom = gameRooms.get(roomId);
+  if (!gameRoom) return;
   
-  const timer = setInterval(async () => {
-    const gameRoom = gameRooms.get(roomId);
-    if (!gameRoom || gameRoom.gameStatus !== 'playing') {
+  clearGameTimers(roomId);
+  gameRoom.clock.start(gameRoom.currentTurn);
+  
+  const syncInterval = setInterval(() => {
+    const room = gameRooms.get(roomId);
+    if (!room || room.gameStatus !== 'playing') {
       stopGameTimer(roomId);
       return;
     }
     
-    if (gameRoom.currentTurn === 'white') {
-      gameRoom.whiteTime--;
-      if (gameRoom.whiteTime <= 0) {
-        gameRoom.whiteTime = 0;
-        gameRoom.gameStatus = 'ended';
-        io.to(roomId).emit('game-ended', {
-          reason: 'timeout',
-          winner: 'black',
-          timeoutPlayer: 'white'
-        });
-        stopGameTimer(roomId);
-        
-        // UPDATED: Don't clean up video room on timeout - let players chat
-        console.log('🎥 Game ended by timeout - keeping video room for post-game chat');
-        return;
-      }
-    } else {
-      gameRoom.blackTime--;
-      if (gameRoom.blackTime <= 0) {
-        gameRoom.blackTime = 0;
-        gameRoom.gameStatus = 'ended';
-        io.to(roomId).emit('game-ended', {
-          reason: 'timeout',
-          winner: 'white',
-          timeoutPlayer: 'black'
-        });
-        stopGameTimer(roomId);
-        
-        // UPDATED: Don't clean up video room on timeout - let players chat
-        console.log('🎥 Game ended by timeout - keeping video room for post-game chat');
-        return;
-      }
-    }
+    io.to(roomId).emit('time-update', room.clock.snapshot());
+  }, TIME_SYNC_INTERVAL_MS);
+  
+  gameTimers.set(roomId, { syncInterval, flagTimeout: null });
+  scheduleFlagCheck(roomId);
+}
+
+// (Re)arm the flag timeout for whoever is on move
+function scheduleFlagCheck(roomId) {
+  const gameRoom = gameRooms.get(roomId);
+  const timers = gameTimers.get(roomId);
+  if (!gameRoom || !timers) return;
+  
+  clearTimeout(timers.flagTimeout);
+  const delay = Math.ceil(gameRoom.clock.msUntilFlag());
+  timers.flagTimeout = setTimeout(() => {
+    const room = gameRooms.get(roomId);
+    if (!room || room.gameStatus !== 'playing') return;
     
-    // Send time updates
-    if ((gameRoom.whiteTime % 5 === 0) || (gameRoom.blackTime % 5 === 0) || 
-        gameRoom.whiteTime <= 10 || gameRoom.blackTime <= 10) {
-      io.to(roomId).emit('time-update', {
-        whiteTime: gameRoom.whiteTime,
-        blackTime: gameRoom.blackTime
-      });
+    // Timers can fire a hair early - only flag once the clock really reads zero
+    if (room.clock.hasFlagged()) {
+      endGameOnTime(roomId);
+    } else {
+      scheduleFlagCheck(roomId);
     }
-  }, 1000);
+  }, delay);
+}
+
+function endGameOnTime(roomId) {
+  const gameRoom = gameRooms.get(roomId);
+  if (!gameRoom || gameRoom.gameStatus !== 'playing') return;
+  
+  const timeoutPlayer = gameRoom.clock.turn;
+  const result = endGame(roomId, {
+    reason: 'timeout',
+    winner: timeoutPlayer === 'white' ? 'black' : 'white',
+    timeoutPlayer
+  });
+  
+  io.to(roomId).emit('game-ended', { ...result, ...gameRoom.clock.snapshot() });
   
-  gameTimers.set(roomId, timer);
+  // UPDATED: Don't clean up video room on timeout - let players chat
+  console.log(`⏰ ${timeoutPlayer} flagged in game ${roomId} - keeping video room for post-game chat`);
 }
 
-function stopGameTimer(roomId) {
-  if (gameTimers.has(roomId)) {
-    clearInterval(gameTimers.get(roomId));
+function clearGameTimers(roomId) {
+  const timers = gameTimers.get(roomId);
+  if (timers) {
+    clearInterval(timers.syncInterval);
+    clearTimeout(timers.flagTimeout);
     gameTimers.delete(roomId);
   }
 }
 
+// Stop timers and freeze the clock so later snapshots report the final times
+function stopGameTimer(roomId) {
+  clearGameTimers(roomId);
+  
+  const gameRoom = gameRooms.get(roomId);
+  if (gameRoom) {
+    gameRoom.clock.stop();
+  }
+}
+
 // Enhanced health check endpoint
 app.get('/health', async (req, res) => {
   let dbStatus = 'not configured';
@@ -603,6 +2240,230 @@ app.get('/health', async (req, res) => {
   });
 });
 
+// PGN download - id is a live room id, or a saved game_history id
+app.get('/games/:id/pgn', async (req, res) => {
+  const { id } = req.params;
+  let pgn = null;
+  
+  try {
+    const gameRoom = gameRooms.get(id);
+    if (gameRoom) {
+      pgn = buildGamePgn(gameRoom);
+    } else if (db && /^\d+$/.test(id)) {
+      const game = await db.getGame(Number(id));
+      pgn = game ? game.pgn : null;
+    }
+  } catch (error) {
+    console.error('❌ Error building PGN:', error);
+    return res.status(500).json({ error: 'Failed to load game' });
+  }
+  
+  if (!pgn) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  res.setHeader('Content-Type', 'application/x-chess-pgn');
+  res.setHeader('Content-Disposition', `attachment; filename="chesschat-${id}.pgn"`);
+  res.send(pgn);
+});
+
+// Saved game for the replay viewer - moves, clock after each move and both players
+app.get('/games/:id', async (req, res) => {
+  const { id } = req.params;
+  
+  if (!db) {
+    return res.status(503).json({ error: 'Game history unavailable without a database' });
+  }
+  if (!/^\d+$/.test(id)) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  try {
+    const game = await db.getGame(Number(id));
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    res.json(buildReplay(game));
+  } catch (error) {
+    console.error('❌ Error loading game:', error);
+    res.status(500).json({ error: 'Failed to load game' });
+  }
+});
+
+// Moves and start position of a finished game - id is a live room id or a saved game_history id
+async function loadFinishedGame(id) {
+  const gameRoom = gameRooms.get(id);
+  if (gameRoom) {
+    return gameRoom.gameStatus === 'ended'
+      ? { variant: gameRoom.settings.variant, startFen: gameRoom.startFen || STANDARD_START_FEN, moves: gameRoom.chess.history() }
+      : null;
+  }
+  if (db && /^\d+$/.test(id)) {
+    const game = await db.getGame(Number(id));
+    return game ? buildReplay(game) : null;
+  }
+  return null;
+}
+
+// Analyses are shared by everyone asking about the same game and kept for the most recent games
+function getGameAnalysis(id, game) {
+  if (!analysisCache.has(id)) {
+    console.log(`🔍 Analysing game ${id} (${game.moves.length} moves)`);
+    const analysis = (async () => ({
+      engine: await engineService.getName(),
+      ...await analyseGame(game, engineService)
+    }))();
+    // A failed analysis can be asked for again
+    analysis.catch(() => analysisCache.delete(id));
+    
+    analysisCache.set(id, analysis);
+    if (analysisCache.size > ANALYSIS_CACHE_SIZE) {
+      analysisCache.delete(analysisCache.keys().next().value);
+    }
+  }
+  return analysisCache.get(id);
+}
+
+// Post-game analysis - evaluation after every move, the engine's best move and
+// inaccuracy / mistake / blunder labels. Only for finished games.
+app.get('/games/:id/analysis', async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const game = await loadFinishedGame(id);
+    if (!game) {
+      return res.status(404).json({ error: 'Finished game not found' });
+    }
+    // The engines here only know standard castling
+    if (game.variant !== 'standard') {
+      return res.status(400).json({ error: 'Analysis is only available for standard chess' });
+    }
+    
+    res.json(await getGameAnalysis(id, game));
+  } catch (error) {
+    console.error('❌ Error analysing game:', error);
+    res.status(500).json({ error: 'Failed to analyse game' });
+  }
+});
+
+// Leaderboard - ?category=blitz&period=all|month|week&minGames=1&page=1&pageSize=20
+// Pass ?player=<userId> to also get that player's own rank.
+app.get('/leaderboard', async (req, res) => {
+  const filters = parseLeaderboardQuery(req.query);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+  
+  if (!db) {
+    return res.status(503).json({ error: 'Leaderboard unavailable without a database' });
+  }
+  
+  const { category, period, since, minGames, page, pageSize } = filters;
+  
+  try {
+    const [leaderboard, you] = await Promise.all([
+      db.getLeaderboard({ category, since, minGames, limit: pageSize, offset: (page - 1) * pageSize }),
+      typeof req.query.player === 'string'
+        ? db.getLeaderboardRank(req.query.player, { category, since, minGames })
+        : null
+    ]);
+    
+    res.json({
+      category,
+      period,
+      minGames,
+      page,
+      pageSize,
+      total: leaderboard.total,
+      players: leaderboard.players,
+      you
+    });
+  } catch (error) {
+    console.error('❌ Error loading leaderboard:', error);
+    res.status(500).json({ error: 'Failed to load leaderboard' });
+  }
+});
+
+// Player profile - ratings over time, results breakdown, openings and recent games
+app.get('/users/:username', async (req, res) => {
+  const { username } = req.params;
+  
+  if (!db) {
+    return res.status(503).json({ error: 'Profiles unavailable without a database' });
+  }
+  
+  try {
+    const user = await db.getUserStats(username);
+    if (!user) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+    
+    const [ratings, ratingHistory, breakdown, games] = await Promise.all([
+      db.getRatings(username),
+      db.getRatingHistory(username),
+      db.getResultBreakdown(username),
+      db.getUserGames(username, { limit: OPENING_SAMPLE_SIZE })
+    ]);
+    const results = summariseResults(breakdown);
+    
+    res.json({
+      username: user.username,
+      displayName: user.display_name,
+      createdAt: user.created_at,
+      lastSeen: user.last_seen,
+      ...presence.getStatus(username),
+      stats: {
+        gamesPlayed: user.games_played,
+        wins: user.games_won,
+        losses: user.games_lost,
+        draws: user.games_drawn
+      },
+      ratings,
+      ratingHistory: groupRatingHistory(ratingHistory),
+      byColor: results.byColor,
+      byTermination: results.byTermination,
+      averageGameLength: results.averageGameLength,
+      favouriteOpenings: getFavouriteOpenings(username, games),
+      recentGames: games.slice(0, 10).map(game => summariseGame(username, game))
+    });
+  } catch (error) {
+    console.error('❌ Error loading profile:', error);
+    res.status(500).json({ error: 'Failed to load profile' });
+  }
+});
+
+// A player's past games, newest first - ?page=1&pageSize=20&opponent=&result=win|draw|loss&timeControl=5+3
+app.get('/users/:username/games', async (req, res) => {
+  const { username } = req.params;
+  const filters = parseHistoryQuery(req.query);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+  
+  if (!db) {
+    return res.status(503).json({ error: 'Game history unavailable without a database' });
+  }
+  
+  const { page, pageSize, opponent, result, timeControl } = filters;
+  
+  try {
+    const [total, games] = await Promise.all([
+      db.countUserGames(username, { opponent, result, timeControl }),
+      db.getUserGames(username, { opponent, result, timeControl, limit: pageSize, offset: (page - 1) * pageSize })
+    ]);
+    
+    res.json({
+      page,
+      pageSize,
+      total,
+      games: games.map(game => summariseGame(username, game))
+    });
+  } catch (error) {
+    console.error('❌ Error loading game history:', error);
+    res.status(500).json({ error: 'Failed to load game history' });
+  }
+});
+
 // Video service endpoints
 app.get('/video/status', (req, res) => {
   res.json({
@@ -661,15 +2522,6 @@ app.get('/video/test', async (req, res) => {
   }
 });
 
-// Cleanup expired video rooms every hour
-setInterval(() => {
-  try {
-    videoService.cleanupExpiredRooms();
-  } catch (error) {
-    console.error('Error during scheduled cleanup:', error);
-  }
-}, 60 * 60 * 1000);
-
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('🔄 Received SIGTERM, shutting down gracefully...');
@@ -678,6 +2530,8 @@ process.on('SIGTERM', async () => {
     console.log('🔌 HTTP server closed');
   });
   
+  await engineService.close();
+  
   if (db) {
     try {
       await db.close();
@@ -693,6 +2547,15 @@ process.on('SIGTERM', async () => {
 async function startServer() {
   await initializeDatabase();
   
+  // Cleanup expired video rooms every hour
+  setInterval(() => {
+    try {
+      videoService.cleanupExpiredRooms();
+    } catch (error) {
+      console.error('Error during scheduled cleanup:', error);
+    }
+  }, 60 * 60 * 1000);
+  
   server.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 ChessChat backend running on port ${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/health`);
@@ -703,7 +2566,12 @@ async function startServer() {
   });
 }
 
-startServer().catch(error => {
-  console.error('❌ Failed to start server:', error);
-  process.exit(1);
-});
\ No newline at end of file
+// Only listen when run directly - tests require this module and drive the server themselves
+if (require.main === module) {
+  startServer().catch(error => {
+    console.error('❌ Failed to start server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { app, server, io, gameRooms };
\ No newline at end of file
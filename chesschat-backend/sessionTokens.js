@@ -0,0 +1,49 @@
+// chesschat-backend/sessionTokens.js - Signed session tokens for persistent player identity
+const crypto = require('crypto');
+
+// Tokens are `${userId}.${issuedAt}.${signature}`, signed with HMAC-SHA256.
+// Without SESSION_SECRET a random secret is used, so identities only last until the next restart.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.SESSION_SECRET) {
+  console.warn('⚠️  SESSION_SECRET not configured - player sessions will reset when the server restarts');
+}
+
+// Stable id for a new player; doubles as the users.username primary key
+function createUserId() {
+  return `u_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+function createSessionToken(userId) {
+  const payload = `${userId}.${Date.now()}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns the user id a token was issued to, or null if it is malformed or forged
+function verifySessionToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [userId, issuedAt, signature] = parts;
+  if (!/^u_[0-9a-f]{24}$/.test(userId) || !/^\d+$/.test(issuedAt)) return null;
+
+  const expected = Buffer.from(sign(`${userId}.${issuedAt}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  return userId;
+}
+
+module.exports = {
+  createUserId,
+  createSessionToken,
+  verifySessionToken
+};
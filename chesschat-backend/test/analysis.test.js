@@ -0,0 +1,95 @@
+// test/analysis.test.js - Move labels, evaluations and the built-in evaluator
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Chess } = require('chess.js');
+const { classifyMove, toWhiteEval, analyseGame } = require('../analysis');
+const BuiltinEngine = require('../builtinEngine');
+const { STANDARD_START_FEN } = require('../pgn');
+
+test('labels moves by the centipawns they give away', () => {
+  assert.strictEqual(classifyMove(0), null);
+  assert.strictEqual(classifyMove(49), null);
+  assert.strictEqual(classifyMove(50), 'inaccuracy');
+  assert.strictEqual(classifyMove(100), 'mistake');
+  assert.strictEqual(classifyMove(300), 'blunder');
+});
+
+test('engine scores turn into evaluations from white\'s side', () => {
+  assert.deepStrictEqual(toWhiteEval({ cp: 40 }, 'w'), { cp: 40 });
+  assert.deepStrictEqual(toWhiteEval({ cp: 40 }, 'b'), { cp: -40 });
+  assert.deepStrictEqual(toWhiteEval({ mate: 2 }, 'b'), { cp: -9998, mate: -2 });
+  assert.deepStrictEqual(toWhiteEval({ mate: -3 }, 'b'), { cp: 9997, mate: 3 });
+
+  const mated = toWhiteEval({ mate: 0 }, 'w');
+  assert.strictEqual(mated.cp, -10000);
+  assert.strictEqual(mated.mate, 0);
+});
+
+// Scores positions by a fixed table keyed on the moves played so far
+function scriptedEngine(evaluations) {
+  return {
+    name: 'scripted',
+    async evaluate(fen) {
+      return evaluations[fen];
+    }
+  };
+}
+
+test('analyses each move against the engine\'s choice in the position before it', async () => {
+  const chess = new Chess();
+  const fens = [chess.fen()];
+  for (const san of ['e4', 'e5', 'Qh5']) {
+    chess.move(san);
+    fens.push(chess.fen());
+  }
+
+  const engine = scriptedEngine({
+    [fens[0]]: { score: { cp: 30 }, bestMove: 'e2e4' },
+    [fens[1]]: { score: { cp: -25 }, bestMove: 'e7e5' }, // black to move: white +25
+    [fens[2]]: { score: { cp: 30 }, bestMove: 'g1f3' },
+    [fens[3]]: { score: { cp: 280 }, bestMove: 'b8c6' } // black to move: white -280
+  });
+
+  const analysis = await analyseGame({ startFen: STANDARD_START_FEN, moves: ['e4', 'e5', 'Qh5'] }, engine);
+
+  assert.deepStrictEqual(analysis.initialEval, { cp: 30 });
+  assert.strictEqual(analysis.initialBestMove, 'e4');
+  assert.deepStrictEqual(analysis.moves.map(move => [move.san, move.eval.cp, move.bestMove, move.loss, move.label]), [
+    ['e4', 25, 'e4', 0, null],
+    ['e5', 30, 'e5', 0, null],
+    ['Qh5', -280, 'Nf3', 310, 'blunder']
+  ]);
+  assert.deepStrictEqual(analysis.summary.white, { inaccuracy: 0, mistake: 0, blunder: 1, averageLoss: 155 });
+});
+
+test('the final checkmate is scored without asking the engine', async () => {
+  const chess = new Chess();
+  const moves = ['f3', 'e5', 'g4', 'Qh4#'];
+  const evaluations = {};
+  for (const san of moves) {
+    evaluations[chess.fen()] = { score: { cp: 0 }, bestMove: null };
+    chess.move(san);
+  }
+
+  const analysis = await analyseGame({ startFen: STANDARD_START_FEN, moves }, scriptedEngine(evaluations));
+  const last = analysis.moves[analysis.moves.length - 1];
+
+  assert.strictEqual(last.eval.mate, 0);
+  assert.ok(last.eval.cp < -9000);
+});
+
+test('the built-in engine finds mate in one and takes a hanging queen', async () => {
+  const engine = new BuiltinEngine();
+
+  const mate = await engine.evaluate('r1bqkbnr/pppp1ppp/2n5/4p2Q/2B1P3/8/PPPP1PPP/RNB1K1NR w KQkq - 2 3');
+  assert.deepStrictEqual(mate, { score: { mate: 1 }, bestMove: 'h5f7' });
+
+  const hanging = await engine.evaluate('rnb1kbnr/pppp1ppp/8/4p1q1/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3');
+  assert.strictEqual(hanging.bestMove, 'f3g5');
+  assert.ok(hanging.score.cp > 500);
+});
+
+test('the built-in engine reports a mated side to move', async () => {
+  const result = await new BuiltinEngine().evaluate('rnb1kbnr/pppp1ppp/8/4p3/6Pq/5P2/PPPPP2P/RNBQKBNR w KQkq - 1 3');
+  assert.deepStrictEqual(result, { score: { mate: 0 }, bestMove: null });
+});
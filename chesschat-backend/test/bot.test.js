@@ -0,0 +1,36 @@
+// test/bot.test.js - Computer opponent levels, move choice and think time
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseBotLevel, getThinkTime, chooseMove, DEFAULT_BOT_LEVEL } = require('../bot');
+
+const MATE_IN_ONE = 'r1bqkbnr/pppp1ppp/2n5/4p2Q/2B1P3/8/PPPP1PPP/RNB1K1NR w KQkq - 2 3';
+const HANGING_QUEEN = 'rnb1kbnr/pppp1ppp/8/4p1q1/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3';
+
+test('accepts known levels and defaults a missing one', () => {
+  assert.strictEqual(parseBotLevel('club'), 'club');
+  assert.strictEqual(parseBotLevel(undefined), DEFAULT_BOT_LEVEL);
+  assert.strictEqual(parseBotLevel('grandmaster'), null);
+  assert.strictEqual(parseBotLevel('toString'), null);
+});
+
+test('thinks for a moment, less when the clock is short', () => {
+  assert.strictEqual(getThinkTime(600000, () => 0), 800);
+  assert.strictEqual(getThinkTime(600000, () => 1), 2500);
+  assert.strictEqual(getThinkTime(3000, () => 1), 100);
+});
+
+test('stronger levels find mate in one and take a hanging queen', async () => {
+  for (const level of ['casual', 'club', 'strong']) {
+    assert.strictEqual(await chooseMove(MATE_IN_ONE, level), 'Qxf7#', level);
+    assert.strictEqual(await chooseMove(HANGING_QUEEN, level), 'Nxg5', level);
+  }
+});
+
+test('plays nothing when the position has no moves or the search is cancelled', async () => {
+  const mated = 'rnb1kbnr/pppp1ppp/8/4p3/6Pq/5P2/PPPPP2P/RNBQKBNR w KQkq - 1 3';
+  assert.strictEqual(await chooseMove(mated, 'strong'), null);
+
+  const controller = new AbortController();
+  controller.abort();
+  assert.strictEqual(await chooseMove(MATE_IN_ONE, 'strong', { signal: controller.signal }), null);
+});
@@ -0,0 +1,95 @@
+// test/chess960.test.js - Chess960 start positions, castling and the PGN headers
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Chess960, chess960BackRank, chess960Fen } = require('../chess960');
+const { buildPgn } = require('../pgn');
+
+test('numbers the 960 back ranks like Scharnagl, with 518 the standard one', () => {
+  assert.strictEqual(chess960BackRank(518), 'RNBQKBNR');
+  assert.strictEqual(chess960BackRank(0), 'BBQNNRKR');
+
+  const ranks = new Set();
+  for (let id = 0; id < 960; id++) {
+    const rank = chess960BackRank(id);
+    ranks.add(rank);
+    const bishops = [...rank].map((piece, file) => (piece === 'B' ? file % 2 : null)).filter(colour => colour !== null);
+    assert.notStrictEqual(bishops[0], bishops[1], `bishops share a colour in ${rank}`);
+    assert.match(rank, /R.*K.*R/);
+  }
+  assert.strictEqual(ranks.size, 960);
+});
+
+const ROOKS_AND_KINGS = '1rk3r1/pppppppp/8/8/8/8/PPPPPPPP/1RK3R1 w KQkq - 0 1';
+
+test('castles king-takes-rook to the usual squares', () => {
+  const game = new Chess960(ROOKS_AND_KINGS);
+
+  const kingside = game.move({ from: 'c1', to: 'g1' });
+  assert.strictEqual(kingside.san, 'O-O');
+  assert.strictEqual(game.fen(), '1rk3r1/pppppppp/8/8/8/8/PPPPPPPP/1R3RK1 b kq - 1 1');
+
+  // The king already stands on its queenside square - only the rook moves
+  const queenside = game.move('O-O-O');
+  assert.strictEqual(queenside.from, 'c8');
+  assert.strictEqual(game.fen(), '2kr2r1/pppppppp/8/8/8/8/PPPPPPPP/1R3RK1 w - - 2 2');
+  assert.deepStrictEqual(game.history(), ['O-O', 'O-O-O']);
+});
+
+test('refuses castling through an attacked square and loses the right with the rook', () => {
+  const game = new Chess960('1rk3r1/8/8/8/8/8/4r3/1RK3R1 w KQ - 0 1');
+  assert.throws(() => game.move({ from: 'c1', to: 'g1' }));
+  assert.ok(!game.moves({ square: 'c1' }).includes('O-O'));
+
+  game.move('Rb2');
+  assert.strictEqual(game.fen().split(' ')[2], 'K');
+});
+
+test('refuses castling that lands the king in check from behind its own rook', () => {
+  // The b1 rook shields c1 from the a1 rook until it moves to d1
+  const game = new Chess960('4k3/8/8/8/8/8/8/rR2K3 w B - 0 1');
+  assert.throws(() => game.move('O-O-O'));
+  assert.throws(() => game.move({ from: 'e1', to: 'b1' }));
+  assert.ok(!game.moves().includes('O-O-O'));
+});
+
+test('undo puts back the position and the castling rights', () => {
+  const game = new Chess960(chess960Fen(518));
+  const start = game.fen();
+
+  for (const san of ['e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'Bc5', 'O-O']) {
+    game.move(san);
+  }
+  assert.strictEqual(game.fen().split(' ')[2], 'kq');
+
+  for (let i = 0; i < 7; i++) game.undo();
+  assert.strictEqual(game.fen(), start);
+});
+
+test('reads file-letter castling rights and writes X-FEN', () => {
+  const game = new Chess960('1rk3r1/pppppppp/8/8/8/8/PPPPPPPP/1RK3R1 w GBgb - 0 1');
+  assert.strictEqual(game.fen().split(' ')[2], 'KQkq');
+});
+
+test('counts repetitions itself, castling rights included', () => {
+  const game = new Chess960(ROOKS_AND_KINGS);
+  const shuffle = ['Rh1', 'Rh8', 'Rg1', 'Rg8'];
+
+  // Back to the start position, but without the kingside castling rights
+  for (const san of [...shuffle, ...shuffle]) game.move(san);
+  assert.ok(!game.isThreefoldRepetition());
+
+  for (const san of shuffle) game.move(san);
+  assert.ok(game.isThreefoldRepetition());
+  assert.ok(game.isGameOver());
+});
+
+test('PGN marks Chess960 games and always gives the start position', () => {
+  const pgn = buildPgn({
+    white: 'Alice',
+    black: 'Bob',
+    variant: 'chess960',
+    startFen: chess960Fen(518),
+    moves: ['e4']
+  });
+  assert.match(pgn, /\[Variant "Chess960"\]\n\[SetUp "1"\]\n\[FEN "rnbqkbnr\/pppppppp\/8\/8\/8\/8\/PPPPPPPP\/RNBQKBNR w KQkq - 0 1"\]/);
+});
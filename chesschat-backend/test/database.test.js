@@ -0,0 +1,110 @@
+// test/database.test.js - Saving players and finished games, against the migrated schema in pg-mem
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { newDb, DataType } = require('pg-mem');
+const Database = require('../database');
+
+// A Database on a fresh in-memory PostgreSQL with every migration applied. Its log
+// lines are muted for the test t - Node 20's runner cannot read its report past them.
+async function createTestDatabase(t) {
+  t.mock.method(console, 'log', () => {});
+  const mem = newDb();
+  // Functions the migrations use that pg-mem does not ship
+  for (const name of ['pg_advisory_lock', 'pg_advisory_unlock']) {
+    mem.public.registerFunction({ name, args: [DataType.integer], returns: DataType.bool, implementation: () => true });
+  }
+  mem.public.registerFunction({
+    name: 'md5',
+    args: [DataType.text],
+    returns: DataType.text,
+    implementation: text => crypto.createHash('md5').update(text).digest('hex')
+  });
+  mem.public.registerFunction({
+    name: 'substr',
+    args: [DataType.text, DataType.integer, DataType.integer],
+    returns: DataType.text,
+    implementation: (text, start, length) => text.substr(start - 1, length)
+  });
+  mem.public.registerFunction({ name: 'random', returns: DataType.float, implementation: () => Math.random(), impure: true });
+
+  const { Pool } = mem.adapters.createPg();
+  const db = new Database();
+  await db.pool.end();
+  db.pool = new Pool();
+  await db.migrate();
+  return db;
+}
+
+test('saves a crazyhouse game whose end position has full pockets', async (t) => {
+  const db = await createTestDatabase(t);
+
+  const endFen = 'r1bq~1rk1/pp1n~1ppp/2n~1pb~2/3pP~3/3P1B~2/2N~1PN~2/PP3PPP/R2Q~1RK1[QRRBBNNPPPPPPPqrrbbnnppppppp] b - - 17 42';
+  assert.ok(endFen.length > 100);
+
+  const saved = await db.saveGameResult({
+    whitePlayer: 'alice',
+    blackPlayer: 'bob',
+    winner: 'white',
+    endReason: 'timeout',
+    duration: 600,
+    movesCount: 82,
+    moves: 'e4',
+    pgn: '',
+    startFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR[] w KQkq - 0 1',
+    endFen,
+    timeControl: '5+3',
+    rated: false,
+    category: 'blitz',
+    variant: 'crazyhouse'
+  });
+
+  assert.strictEqual(saved.end_fen, endFen);
+  assert.strictEqual(saved.variant, 'crazyhouse');
+  await db.close();
+});
+
+test('a bot game leaves users alone and keeps the bot name with the game', async (t) => {
+  const db = await createTestDatabase(t);
+
+  await db.saveGameResult({
+    whitePlayer: 'alice',
+    whiteDisplayName: 'Alice',
+    blackPlayer: null,
+    blackDisplayName: 'ChessChat Bot (Casual)',
+    botName: 'ChessChat Bot (Casual)',
+    winner: 'black',
+    endReason: 'checkmate',
+    duration: 120,
+    movesCount: 4,
+    moves: 'f3 e5 g4 Qh4#',
+    timeControl: '5+0',
+    rated: false,
+    category: 'blitz'
+  });
+
+  const users = await db.pool.query('SELECT username, games_played, games_lost FROM users');
+  assert.deepStrictEqual(users.rows, [{ username: 'alice', games_played: 1, games_lost: 1 }]);
+
+  const [game] = await db.getUserGames('alice', { opponent: 'bot' });
+  assert.strictEqual(game.black_player, null);
+  assert.strictEqual(game.black_display_name, 'ChessChat Bot (Casual)');
+  assert.strictEqual(game.white_display_name, 'Alice');
+  await db.close();
+});
+
+test('a new user whose friend code is taken draws another one', async (t) => {
+  const db = await createTestDatabase(t);
+  t.mock.method(db, 'drawFriendCode', () => 'AAAA0001');
+  await db.createUser('alice', 'Alice');
+
+  let draws = 0;
+  db.drawFriendCode.mock.mockImplementation(() => (++draws === 1 ? 'AAAA0001' : 'BBBB0002'));
+  const bob = await db.createUser('bob', 'Bob');
+  assert.strictEqual(bob.friend_code, 'BBBB0002');
+
+  const again = await db.createUser('bob', 'Bobby');
+  assert.strictEqual(again.friend_code, 'BBBB0002');
+  assert.strictEqual(again.display_name, 'Bobby');
+  await db.close();
+});
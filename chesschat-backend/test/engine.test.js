@@ -0,0 +1,45 @@
+// test/engine.test.js - UCI engine process handling and the built-in fallback
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { UciEngine, EngineService, parseScore } = require('../engine');
+
+// A stand-in UCI engine: always reports the same score and best move
+const FAKE_ENGINE = `
+  const readline = require('readline');
+  readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    if (line === 'uci') console.log('id name Fake Engine 1.0\\nuciok');
+    else if (line === 'isready') console.log('readyok');
+    else if (line.startsWith('go')) console.log('info depth 1 score cp 20 pv e2e4\\ninfo depth 2 score mate -3 pv e2e4\\nbestmove e2e4 ponder e7e5');
+    else if (line === 'quit') process.exit(0);
+  });
+`;
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+test('reads centipawn and mate scores from info lines', () => {
+  assert.deepStrictEqual(parseScore('info depth 20 seldepth 28 score cp -35 nodes 1000 pv e7e5'), { cp: -35 });
+  assert.deepStrictEqual(parseScore('info depth 9 score mate 4 pv h5f7'), { mate: 4 });
+  assert.strictEqual(parseScore('info string NNUE enabled'), null);
+});
+
+test('talks UCI to an engine process', async () => {
+  const engine = new UciEngine(process.execPath, { args: ['-e', FAKE_ENGINE], depth: 2 });
+  await engine.start();
+
+  try {
+    assert.strictEqual(engine.name, 'Fake Engine 1.0');
+    const [first, second] = await Promise.all([engine.evaluate(START_FEN), engine.evaluate(START_FEN)]);
+    assert.deepStrictEqual(first, { score: { mate: -3 }, bestMove: 'e2e4' });
+    assert.deepStrictEqual(second, first);
+  } finally {
+    await engine.close();
+  }
+});
+
+test('falls back to the built-in evaluator when the engine binary is missing', async () => {
+  const service = new EngineService({ path: '/nonexistent/stockfish' });
+
+  const result = await service.evaluate(START_FEN);
+  assert.ok(result.bestMove);
+  assert.strictEqual(await service.getName(), 'ChessChat built-in');
+});
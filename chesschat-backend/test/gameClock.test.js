@@ -0,0 +1,101 @@
+// test/gameClock.test.js - Server clock: increment, delay, flagging, pausing and undo
+const { test } = require('node:test');
+const assert = require('node:assert');
+const GameClock = require('../gameClock');
+
+// A clock on a hand-wound time source, so tests decide how long each move takes
+function createClock(timeControl) {
+  const time = { now: 0 };
+  const clock = new GameClock({ increment: 0, delay: 0, ...timeControl }, () => time.now);
+  return { clock, time };
+}
+
+test('charges only the player to move', () => {
+  const { clock, time } = createClock({ initial: 60 });
+  clock.start();
+  time.now = 5000;
+
+  assert.strictEqual(clock.remaining('white'), 55000);
+  assert.strictEqual(clock.remaining('black'), 60000);
+  assert.strictEqual(clock.switchTurn(), 5000);
+
+  time.now = 7000;
+  assert.strictEqual(clock.remaining('white'), 55000);
+  assert.strictEqual(clock.remaining('black'), 58000);
+  assert.strictEqual(clock.turn, 'black');
+});
+
+test('Fischer increment is added after every move, however quick', () => {
+  const { clock, time } = createClock({ initial: 60, increment: 3 });
+  clock.start();
+  time.now = 10000;
+  clock.switchTurn();
+  assert.strictEqual(clock.remaining('white'), 53000);
+
+  time.now = 10500;
+  clock.switchTurn();
+  assert.strictEqual(clock.remaining('black'), 62500);
+});
+
+test('Bronstein delay gives back the time used, up to the delay', () => {
+  const { clock, time } = createClock({ initial: 60, delay: 2 });
+  clock.start();
+  time.now = 1500;
+  clock.switchTurn();
+  assert.strictEqual(clock.remaining('white'), 60000);
+
+  time.now = 6500;
+  clock.switchTurn();
+  assert.strictEqual(clock.remaining('black'), 57000);
+});
+
+test('flags the player to move once their time runs out', () => {
+  const { clock, time } = createClock({ initial: 10 });
+  assert.strictEqual(clock.msUntilFlag(), Infinity);
+
+  clock.start();
+  time.now = 4000;
+  assert.strictEqual(clock.msUntilFlag(), 6000);
+  assert.ok(!clock.hasFlagged());
+
+  time.now = 12000;
+  assert.ok(clock.hasFlagged());
+  assert.strictEqual(clock.remaining('white'), 0);
+  assert.strictEqual(clock.snapshot().whiteTime, 0);
+});
+
+test('a stopped clock keeps its times until it is started again', () => {
+  const { clock, time } = createClock({ initial: 60 });
+  clock.start();
+  time.now = 5000;
+  clock.switchTurn();
+  time.now = 9000;
+  clock.stop();
+
+  time.now = 100000;
+  assert.strictEqual(clock.remaining('black'), 56000);
+  assert.ok(!clock.hasFlagged());
+  assert.strictEqual(clock.snapshot().clockRunning, false);
+
+  clock.start();
+  time.now = 101000;
+  assert.strictEqual(clock.turn, 'black');
+  assert.strictEqual(clock.remaining('black'), 55000);
+});
+
+test('restoring a saved state puts the times back and restarts the turn', () => {
+  const { clock, time } = createClock({ initial: 60, increment: 2 });
+  clock.start();
+  time.now = 3000;
+  const saved = clock.saveState();
+  assert.deepStrictEqual(saved, { white: 57000, black: 60000, turn: 'white' });
+
+  clock.switchTurn();
+  time.now = 8000;
+  clock.restoreState(saved);
+  assert.strictEqual(clock.turn, 'white');
+  assert.strictEqual(clock.remaining('black'), 60000);
+
+  time.now = 9000;
+  assert.strictEqual(clock.remaining('white'), 56000);
+});
@@ -0,0 +1,44 @@
+// test/glicko2.test.js - Rating maths against Glickman's worked example
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_RATING, updateRating, rateGame } = require('../glicko2');
+
+function assertClose(actual, expected, tolerance, label) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+}
+
+test('matches the worked example from the Glicko-2 paper', () => {
+  const player = { rating: 1500, rd: 200, volatility: 0.06 };
+  const updated = updateRating(player, [
+    { rating: 1400, rd: 30, score: 1 },
+    { rating: 1550, rd: 100, score: 0 },
+    { rating: 1700, rd: 300, score: 0 }
+  ]);
+
+  assertClose(updated.rating, 1464.06, 0.01, 'rating');
+  assertClose(updated.rd, 151.52, 0.01, 'rd');
+  assertClose(updated.volatility, 0.05999, 0.00001, 'volatility');
+});
+
+test('a decisive game between new players moves both ratings by the same amount', () => {
+  const { white, black } = rateGame(DEFAULT_RATING, DEFAULT_RATING, 'white');
+
+  assert.ok(white.rating > 1500);
+  assertClose(white.rating - 1500, 1500 - black.rating, 0.000001, 'symmetry');
+  assert.ok(white.rd < DEFAULT_RATING.rd);
+});
+
+test('a draw between equal players leaves ratings unchanged', () => {
+  const { white, black } = rateGame(DEFAULT_RATING, DEFAULT_RATING, 'draw');
+
+  assertClose(white.rating, 1500, 0.000001, 'white');
+  assertClose(black.rating, 1500, 0.000001, 'black');
+});
+
+test('the deviation grows when a player has no games', () => {
+  const player = { rating: 1600, rd: 80, volatility: 0.06 };
+  const updated = updateRating(player, []);
+
+  assert.strictEqual(updated.rating, 1600);
+  assert.ok(updated.rd > 80);
+});
@@ -0,0 +1,89 @@
+// test/history.test.js - Game history filters and replay data
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseHistoryQuery, parseClockComments, buildReplay } = require('../history');
+const { parseTimeControlId } = require('../timeControls');
+const { STANDARD_START_FEN } = require('../pgn');
+
+test('fills in defaults for an empty query', () => {
+  assert.deepStrictEqual(parseHistoryQuery({}), {
+    page: 1,
+    pageSize: 20,
+    opponent: null,
+    result: null,
+    timeControl: null
+  });
+});
+
+test('passes valid filters through and trims the opponent name', () => {
+  assert.deepStrictEqual(
+    parseHistoryQuery({ page: '2', pageSize: '10', opponent: '  Magnus ', result: 'loss', timeControl: '5+3' }),
+    { page: 2, pageSize: 10, opponent: 'Magnus', result: 'loss', timeControl: '5+3' }
+  );
+});
+
+test('rejects bad pages, results and time controls', () => {
+  assert.ok(parseHistoryQuery({ page: '0' }).error);
+  assert.ok(parseHistoryQuery({ pageSize: '51' }).error);
+  assert.ok(parseHistoryQuery({ result: 'won' }).error);
+  assert.ok(parseHistoryQuery({ timeControl: 'blitz' }).error);
+  assert.ok(parseHistoryQuery({ opponent: 'x'.repeat(101) }).error);
+});
+
+test('time control ids parse back to seconds', () => {
+  assert.deepStrictEqual(parseTimeControlId('5+3'), { id: '5+3', initial: 300, increment: 3, delay: 0 });
+  assert.deepStrictEqual(parseTimeControlId('3d2'), { id: '3d2', initial: 180, increment: 0, delay: 2 });
+  assert.deepStrictEqual(parseTimeControlId('0.5+0'), { id: '0.5+0', initial: 30, increment: 0, delay: 0 });
+  assert.strictEqual(parseTimeControlId(null), null);
+});
+
+test('reads %clk comments from a PGN', () => {
+  const pgn = '1. e4 { [%clk 0:04:58] } e5 { [%clk 1:00:03] } 1-0';
+  assert.deepStrictEqual(parseClockComments(pgn), [298000, 3603000]);
+  assert.deepStrictEqual(parseClockComments(null), []);
+});
+
+const savedGame = {
+  id: 7,
+  white_player: 'u_a',
+  black_player: 'u_b',
+  white_display_name: 'Alice',
+  black_display_name: 'Bob',
+  winner: 'white',
+  end_reason: 'checkmate',
+  time_control: '5+3',
+  category: 'blitz',
+  rated: true,
+  white_rating: 1500,
+  black_rating: 1520,
+  white_rating_change: 12,
+  black_rating_change: -12,
+  start_fen: null,
+  moves: 'f3 e5 g4 Qh4#',
+  move_clocks: '301500 302250 303000 302900',
+  pgn: null,
+  started_at: null,
+  ended_at: null
+};
+
+test('builds the replay from saved move clocks', () => {
+  const replay = buildReplay(savedGame);
+
+  assert.deepStrictEqual(replay.moves, ['f3', 'e5', 'g4', 'Qh4#']);
+  assert.deepStrictEqual(replay.clocks, [301500, 302250, 303000, 302900]);
+  assert.strictEqual(replay.startFen, STANDARD_START_FEN);
+  assert.deepStrictEqual(replay.white, { username: 'u_a', displayName: 'Alice', rating: 1500, ratingChange: 12 });
+  assert.strictEqual(replay.timeControl.initial, 300);
+});
+
+test('older games fall back to PGN clocks, and drop clocks that do not match the moves', () => {
+  const fromPgn = buildReplay({
+    ...savedGame,
+    move_clocks: null,
+    pgn: '1. f3 { [%clk 0:05:01] } e5 { [%clk 0:05:02] } 2. g4 { [%clk 0:05:03] } Qh4# { [%clk 0:05:02] } 0-1'
+  });
+  assert.deepStrictEqual(fromPgn.clocks, [301000, 302000, 303000, 302000]);
+
+  assert.strictEqual(buildReplay({ ...savedGame, move_clocks: '1000 2000' }).clocks, null);
+  assert.strictEqual(buildReplay({ ...savedGame, move_clocks: null, pgn: null }).clocks, null);
+});
@@ -0,0 +1,46 @@
+// test/leaderboard.test.js - GET /leaderboard query parsing
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getPeriodStart, parseLeaderboardQuery } = require('../leaderboard');
+
+test('fills in defaults for an empty query', () => {
+  assert.deepStrictEqual(parseLeaderboardQuery({}), {
+    category: 'blitz',
+    period: 'all',
+    since: null,
+    minGames: 1,
+    page: 1,
+    pageSize: 20
+  });
+});
+
+test('rejects unknown categories, periods and bad numbers', () => {
+  assert.ok(parseLeaderboardQuery({ category: 'atomic' }).error);
+  assert.ok(parseLeaderboardQuery({ period: 'year' }).error);
+  assert.ok(parseLeaderboardQuery({ minGames: '-1' }).error);
+  assert.ok(parseLeaderboardQuery({ page: '0' }).error);
+  assert.ok(parseLeaderboardQuery({ pageSize: '500' }).error);
+  assert.ok(parseLeaderboardQuery({ pageSize: '2.5' }).error);
+});
+
+test('periods start at the beginning of the calendar month or week', () => {
+  const now = new Date('2025-05-15T13:45:00Z'); // a Thursday
+
+  assert.strictEqual(getPeriodStart('all', now), null);
+  assert.strictEqual(getPeriodStart('month', now).toISOString(), '2025-05-01T00:00:00.000Z');
+  assert.strictEqual(getPeriodStart('week', now).toISOString(), '2025-05-12T00:00:00.000Z');
+  assert.strictEqual(getPeriodStart('week', new Date('2025-05-18T23:00:00Z')).toISOString(), '2025-05-12T00:00:00.000Z');
+});
+
+test('passes the window start through with the other filters', () => {
+  const filters = parseLeaderboardQuery(
+    { category: 'rapid', period: 'month', minGames: '5', page: '3', pageSize: '50' },
+    new Date('2025-02-10T00:00:00Z')
+  );
+
+  assert.strictEqual(filters.category, 'rapid');
+  assert.strictEqual(filters.since.toISOString(), '2025-02-01T00:00:00.000Z');
+  assert.strictEqual(filters.minGames, 5);
+  assert.strictEqual(filters.page, 3);
+  assert.strictEqual(filters.pageSize, 50);
+});
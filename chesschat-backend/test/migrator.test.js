@@ -0,0 +1,115 @@
+// test/migrator.test.js - Applying, rolling back and listing migrations, against pg-mem
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { newDb, DataType } = require('pg-mem');
+const Migrator = require('../migrator');
+
+let directory;
+let mem;
+let pool;
+
+function writeMigration(file, sql) {
+  fs.writeFileSync(path.join(directory, file), sql);
+}
+
+async function tableNames() {
+  const result = await pool.query("SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'");
+  return result.rows.map(row => row.table_name).sort();
+}
+
+beforeEach(() => {
+  // The progress lines garble the test runner's report on Node 20
+  mock.method(console, 'log', () => {});
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  // pg-mem refuses CREATE TABLE IF NOT EXISTS on an existing table without this
+  mem = newDb({ noAstCoverageCheck: true });
+  for (const name of ['pg_advisory_lock', 'pg_advisory_unlock']) {
+    mem.public.registerFunction({ name, args: [DataType.integer], returns: DataType.bool, implementation: () => true });
+  }
+  pool = new (mem.adapters.createPg().Pool)();
+
+  writeMigration('001_players.up.sql', 'CREATE TABLE players (id SERIAL PRIMARY KEY);');
+  writeMigration('001_players.down.sql', 'DROP TABLE players;');
+  writeMigration('002_games.up.sql', 'CREATE TABLE games (id SERIAL PRIMARY KEY);');
+  writeMigration('002_games.down.sql', 'DROP TABLE games;');
+  writeMigration('README.md', 'Not a migration');
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  await pool.end();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('loads migrations in version order and skips other files', () => {
+  writeMigration('010_late.up.sql', 'SELECT 1;');
+  const migrations = new Migrator(pool, directory).loadMigrations();
+
+  assert.deepStrictEqual(migrations.map(Migrator.migrationLabel), ['001_players', '002_games', '010_late']);
+  assert.strictEqual(migrations[1].down, 'DROP TABLE games;');
+  assert.strictEqual(migrations[2].down, null);
+});
+
+test('refuses duplicate versions and migrations with no up file', () => {
+  writeMigration('002_other.up.sql', 'SELECT 1;');
+  assert.throws(() => new Migrator(pool, directory).loadMigrations(), /Duplicate migration version 2/);
+
+  fs.rmSync(path.join(directory, '002_other.up.sql'));
+  writeMigration('003_orphan.down.sql', 'SELECT 1;');
+  assert.throws(() => new Migrator(pool, directory).loadMigrations(), /003_orphan has no \.up\.sql/);
+});
+
+test('applies pending migrations once', async () => {
+  const migrator = new Migrator(pool, directory);
+
+  const applied = await migrator.migrate();
+  assert.deepStrictEqual(applied.map(migration => migration.version), [1, 2]);
+  assert.deepStrictEqual(await tableNames(), ['games', 'players', 'schema_migrations']);
+
+  writeMigration('003_moves.up.sql', 'CREATE TABLE moves (id SERIAL PRIMARY KEY);');
+  assert.deepStrictEqual((await migrator.migrate()).map(migration => migration.version), [3]);
+  assert.deepStrictEqual(await migrator.migrate(), []);
+});
+
+test('stops at a failing migration without recording it', async () => {
+  writeMigration('003_broken.up.sql', 'SELECT missing_column FROM games;');
+  writeMigration('004_moves.up.sql', 'CREATE TABLE moves (id SERIAL PRIMARY KEY);');
+  const migrator = new Migrator(pool, directory);
+
+  await assert.rejects(() => migrator.migrate());
+  const status = await migrator.status();
+  assert.deepStrictEqual(status.map(row => row.appliedAt !== null), [true, true, false, false]);
+  assert.ok(!(await tableNames()).includes('moves'));
+});
+
+test('rolls back the most recent migrations', async () => {
+  const migrator = new Migrator(pool, directory);
+  await migrator.migrate();
+
+  const rolledBack = await migrator.rollback();
+  assert.deepStrictEqual(rolledBack.map(row => row.version), [2]);
+  assert.deepStrictEqual(await tableNames(), ['players', 'schema_migrations']);
+
+  assert.deepStrictEqual((await migrator.rollback(5)).map(row => row.version), [1]);
+  assert.deepStrictEqual(await tableNames(), ['schema_migrations']);
+  assert.deepStrictEqual(await migrator.rollback(), []);
+});
+
+test('status lists pending migrations and applied ones whose files are gone', async () => {
+  const migrator = new Migrator(pool, directory);
+  await migrator.migrate();
+  fs.rmSync(path.join(directory, '001_players.up.sql'));
+  fs.rmSync(path.join(directory, '001_players.down.sql'));
+  writeMigration('003_moves.up.sql', 'CREATE TABLE moves (id SERIAL PRIMARY KEY);');
+
+  const status = await migrator.status();
+  assert.deepStrictEqual(status.map(row => [row.version, row.name, row.appliedAt !== null, Boolean(row.missing)]), [
+    [1, 'players', true, true],
+    [2, 'games', true, false],
+    [3, 'moves', false, false]
+  ]);
+  await assert.rejects(() => migrator.rollback(2), /001_players cannot be rolled back/);
+});
@@ -0,0 +1,71 @@
+// test/pgn.test.js - PGN tags, move numbering, clock comments and line wrapping
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildPgn, resultToken } = require('../pgn');
+
+function tagsOf(pgn) {
+  return pgn.split('\n\n')[0].split('\n');
+}
+
+function movetextOf(pgn) {
+  return pgn.split('\n\n')[1];
+}
+
+test('result tokens', () => {
+  assert.strictEqual(resultToken('white'), '1-0');
+  assert.strictEqual(resultToken('black'), '0-1');
+  assert.strictEqual(resultToken('draw'), '1/2-1/2');
+  assert.strictEqual(resultToken(null), '*');
+});
+
+test('starts with the Seven Tag Roster, then the game details', () => {
+  const pgn = buildPgn({
+    white: 'Alice',
+    black: 'Bob "the Rook"',
+    startedAt: new Date(Date.UTC(2024, 2, 5, 23, 30)),
+    winner: 'white',
+    reason: 'checkmate',
+    timeControl: { initial: 180, increment: 0, delay: 2 },
+    moves: ['f3', 'e5', 'g4', 'Qh4#'],
+    extraTags: [['WhiteElo', 1500]]
+  });
+
+  assert.deepStrictEqual(tagsOf(pgn), [
+    '[Event "ChessChat game"]',
+    '[Site "ChessChat"]',
+    '[Date "2024.03.05"]',
+    '[Round "-"]',
+    '[White "Alice"]',
+    '[Black "Bob \\"the Rook\\""]',
+    '[Result "1-0"]',
+    '[TimeControl "180+0"]',
+    '[Delay "2"]',
+    '[Termination "checkmate"]',
+    '[WhiteElo "1500"]'
+  ]);
+  assert.strictEqual(movetextOf(pgn), '1. f3 e5 2. g4 Qh4# 1-0\n');
+});
+
+test('adds clock comments after each move that has one', () => {
+  const pgn = buildPgn({ moves: ['e4', 'e5', 'Nf3'], clocks: [3723000, 59999, null] });
+  assert.strictEqual(movetextOf(pgn), '1. e4 { [%clk 1:02:03] } e5 { [%clk 0:00:59] } 2. Nf3 *\n');
+});
+
+test('a game from a set-up position numbers its moves from that position', () => {
+  const startFen = '4k3/8/8/8/8/8/4P3/4K3 b - - 0 12';
+  const pgn = buildPgn({ startFen, winner: 'draw', moves: ['Kd7', 'e4', 'Ke6'] });
+
+  assert.ok(tagsOf(pgn).includes('[SetUp "1"]'));
+  assert.ok(tagsOf(pgn).includes(`[FEN "${startFen}"]`));
+  assert.strictEqual(movetextOf(pgn), '12... Kd7 13. e4 Ke6 1/2-1/2\n');
+});
+
+test('wraps the movetext before 80 characters', () => {
+  const moves = [];
+  for (let i = 0; i < 30; i++) moves.push('Nf3', 'Nf6', 'Ng1', 'Ng8');
+  const lines = movetextOf(buildPgn({ moves })).trimEnd().split('\n');
+
+  assert.ok(lines.length > 1);
+  for (const line of lines) assert.ok(line.length < 80);
+  assert.strictEqual(lines.join(' ').split(' ').length, 120 + 60 + 1);
+});
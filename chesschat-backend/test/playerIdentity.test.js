@@ -0,0 +1,129 @@
+// test/playerIdentity.test.js - Player actions are attributed by socket, not by client claims
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { io: ioClient } = require('socket.io-client');
+
+const { server, io, gameRooms } = require('../server');
+
+let url;
+const clients = [];
+
+function connect() {
+  const socket = ioClient(url, { transports: ['websocket'], forceNew: true });
+  clients.push(socket);
+  return new Promise((resolve) => socket.once('connect', () => resolve(socket)));
+}
+
+function waitFor(socket, event, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+// Pair two fresh players through a match code
+async function startGame() {
+  const first = await connect();
+  const second = await connect();
+  const code = `test-${Math.random().toString(36).slice(2, 8)}`;
+
+  first.emit('enter-match-code', { code, displayName: 'First' });
+  await waitFor(first, 'code-entered');
+
+  const matched = Promise.all([waitFor(first, 'match-found'), waitFor(second, 'match-found')]);
+  second.emit('enter-match-code', { code, displayName: 'Second' });
+  const [firstMatch] = await matched;
+
+  const white = firstMatch.color === 'white' ? first : second;
+  const black = white === first ? second : first;
+  return { roomId: firstMatch.roomId, white, black };
+}
+
+// Finish the game so no clock or reconnection timers outlive the test
+async function finishGame({ roomId, white }) {
+  if (gameRooms.get(roomId).gameStatus !== 'playing') return;
+  const ended = waitFor(white, 'game-ended');
+  white.emit('resign', { roomId });
+  await ended;
+}
+
+before(async () => {
+  // The server logs every socket event - keep the test output readable
+  mock.method(console, 'log', () => {});
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  clients.forEach((socket) => socket.disconnect());
+  await new Promise((resolve) => io.close(resolve));
+  mock.restoreAll();
+});
+
+test('a move from the player on turn is accepted without any colour field', async () => {
+  const game = await startGame();
+
+  const moved = waitFor(game.black, 'move-made');
+  game.white.emit('make-move', { roomId: game.roomId, move: 'e4' });
+  const data = await moved;
+
+  assert.deepStrictEqual(data.moves, ['e4']);
+  await finishGame(game);
+});
+
+test('a forged playerColor cannot move for the opponent', async () => {
+  const game = await startGame();
+
+  const refused = waitFor(game.black, 'error');
+  game.black.emit('make-move', { roomId: game.roomId, move: 'e4', playerColor: 'white' });
+  const error = await refused;
+
+  assert.strictEqual(error.message, 'Not your turn');
+  assert.deepStrictEqual(gameRooms.get(game.roomId).chess.history(), []);
+  await finishGame(game);
+});
+
+test('a forged playerColor cannot resign for the opponent', async () => {
+  const game = await startGame();
+
+  const ended = waitFor(game.black, 'game-ended');
+  game.white.emit('resign', { roomId: game.roomId, playerColor: 'black' });
+  const result = await ended;
+
+  assert.strictEqual(result.resignedPlayer, 'white');
+  assert.strictEqual(result.winner, 'black');
+});
+
+test('a socket that is not in the game cannot move', async () => {
+  const game = await startGame();
+  const stranger = await connect();
+
+  const refused = waitFor(stranger, 'error');
+  stranger.emit('make-move', { roomId: game.roomId, move: 'e4', playerColor: 'white' });
+  const error = await refused;
+
+  assert.strictEqual(error.message, 'You are not a player in this game');
+  assert.deepStrictEqual(gameRooms.get(game.roomId).chess.history(), []);
+  await finishGame(game);
+});
+
+test('a socket that is not in the game cannot resign or offer a draw', async () => {
+  const game = await startGame();
+  const stranger = await connect();
+
+  const resignRefused = waitFor(stranger, 'error');
+  stranger.emit('resign', { roomId: game.roomId, playerColor: 'white' });
+  assert.strictEqual((await resignRefused).message, 'You are not a player in this game');
+
+  const drawRefused = waitFor(stranger, 'error');
+  stranger.emit('offer-draw', { roomId: game.roomId, playerColor: 'black' });
+  assert.strictEqual((await drawRefused).message, 'You are not a player in this game');
+
+  const room = gameRooms.get(game.roomId);
+  assert.strictEqual(room.gameStatus, 'playing');
+  assert.strictEqual(room.drawOffer, null);
+  await finishGame(game);
+});
@@ -0,0 +1,62 @@
+// test/presence.test.js - Online / idle / in-game tracking across tabs
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Presence = require('../presence');
+
+test('a player is online until their last tab disconnects', () => {
+  const presence = new Presence();
+
+  assert.strictEqual(presence.connect('u_a', 'tab1'), true);
+  assert.strictEqual(presence.connect('u_a', 'tab2'), false);
+  assert.deepStrictEqual(presence.getStatus('u_a'), { status: 'online' });
+
+  assert.strictEqual(presence.disconnect('u_a', 'tab1'), false);
+  assert.strictEqual(presence.isOnline('u_a'), true);
+
+  assert.strictEqual(presence.disconnect('u_a', 'tab2'), true);
+  assert.deepStrictEqual(presence.getStatus('u_a'), { status: 'offline' });
+  assert.deepStrictEqual(presence.getSocketIds('u_a'), []);
+});
+
+test('a player is idle only when every tab is idle', () => {
+  const presence = new Presence();
+  presence.connect('u_a', 'tab1');
+  presence.connect('u_a', 'tab2');
+
+  assert.strictEqual(presence.setIdle('u_a', 'tab1', true), false);
+  assert.strictEqual(presence.getStatus('u_a').status, 'online');
+
+  assert.strictEqual(presence.setIdle('u_a', 'tab2', true), true);
+  assert.strictEqual(presence.getStatus('u_a').status, 'idle');
+
+  assert.strictEqual(presence.setIdle('u_a', 'tab1', false), true);
+  assert.strictEqual(presence.getStatus('u_a').status, 'online');
+});
+
+test('being in a game outranks idle and survives a dropped connection', () => {
+  const presence = new Presence();
+  presence.connect('u_a', 'tab1');
+  presence.setIdle('u_a', 'tab1', true);
+
+  assert.strictEqual(presence.joinGame('u_a', 'room1', 'Bob'), true);
+  assert.deepStrictEqual(presence.getStatus('u_a'), { status: 'in-game', opponent: 'Bob' });
+
+  presence.disconnect('u_a', 'tab1');
+  assert.strictEqual(presence.getStatus('u_a').status, 'offline');
+
+  presence.connect('u_a', 'tab2');
+  assert.deepStrictEqual(presence.getStatus('u_a'), { status: 'in-game', opponent: 'Bob' });
+});
+
+test('leaving an old room does not clear the rematch that replaced it', () => {
+  const presence = new Presence();
+  presence.connect('u_a', 'tab1');
+  presence.joinGame('u_a', 'room1', 'Bob');
+  presence.joinGame('u_a', 'room2', 'Bob');
+
+  assert.strictEqual(presence.leaveGame('u_a', 'room1'), false);
+  assert.strictEqual(presence.getStatus('u_a').status, 'in-game');
+
+  assert.strictEqual(presence.leaveGame('u_a', 'room2'), true);
+  assert.strictEqual(presence.getStatus('u_a').status, 'online');
+});
@@ -0,0 +1,78 @@
+// test/profile.test.js - Profile stats built from database rows
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { identifyOpening } = require('../openings');
+const { summariseResults, getFavouriteOpenings, summariseGame } = require('../profile');
+
+test('names the longest matching opening line', () => {
+  assert.strictEqual(identifyOpening(['e4', 'c5', 'Nf3', 'd6']), 'Sicilian Defence');
+  assert.strictEqual(
+    identifyOpening('e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Be3'.split(' ')),
+    'Sicilian Defence: Najdorf'
+  );
+  assert.strictEqual(identifyOpening(['e4', 'e5', 'Nf3', 'Nc6', 'Bb5', 'a6']), 'Ruy Lopez: Morphy Defence');
+  assert.strictEqual(identifyOpening(['a3']), null);
+  assert.strictEqual(identifyOpening([]), null);
+});
+
+test('adds up results by colour and end reason', () => {
+  const summary = summariseResults([
+    { color: 'white', end_reason: 'checkmate', outcome: 'win', games: '3', average_duration: '100', average_moves: '40' },
+    { color: 'black', end_reason: 'checkmate', outcome: 'loss', games: '1', average_duration: '300', average_moves: '80' },
+    { color: 'black', end_reason: 'agreement', outcome: 'draw', games: '2', average_duration: null, average_moves: '60' }
+  ]);
+
+  assert.strictEqual(summary.games, 6);
+  assert.deepStrictEqual(summary.byColor, {
+    white: { wins: 3, draws: 0, losses: 0 },
+    black: { wins: 0, draws: 2, losses: 1 }
+  });
+  assert.deepStrictEqual(summary.byTermination, [
+    { reason: 'checkmate', wins: 3, draws: 0, losses: 1 },
+    { reason: 'agreement', wins: 0, draws: 2, losses: 0 }
+  ]);
+  // (3*100 + 300) / 4 games with a duration; (3*40 + 80 + 2*60) / 6 plies, halved
+  assert.deepStrictEqual(summary.averageGameLength, { seconds: 150, moves: 27 });
+});
+
+test('favourite openings count results from the player\'s side', () => {
+  const games = [
+    { white_player: 'u_a', black_player: 'u_b', winner: 'white', moves: 'e4 c5 Nf3' },
+    { white_player: 'u_b', black_player: 'u_a', winner: 'white', moves: 'e4 c5 c3 d5' },
+    { white_player: 'u_b', black_player: 'u_a', winner: 'draw', moves: 'd4 d5 c4 e6' },
+    { white_player: 'u_a', black_player: 'u_b', winner: 'white', moves: 'e4 c5', start_fen: '8/8/8/8/8/8/8/K6k w - - 0 1' }
+  ];
+
+  assert.deepStrictEqual(getFavouriteOpenings('u_a', games), [
+    { name: "Queen's Gambit Declined", games: 1, wins: 0, draws: 1, losses: 0 },
+    { name: 'Sicilian Defence', games: 1, wins: 1, draws: 0, losses: 0 },
+    { name: 'Sicilian Defence: Alapin', games: 1, wins: 0, draws: 0, losses: 1 }
+  ]);
+});
+
+test('recent games are described from the player\'s side', () => {
+  const game = summariseGame('u_b', {
+    id: 7,
+    white_player: 'u_a',
+    black_player: 'u_b',
+    white_display_name: 'Alice',
+    black_display_name: 'Bob',
+    winner: 'white',
+    end_reason: 'resignation',
+    time_control: '5+3',
+    category: 'blitz',
+    rated: true,
+    white_rating: 1500,
+    black_rating: 1520,
+    white_rating_change: 9,
+    black_rating_change: -9,
+    moves_count: 30,
+    ended_at: '2025-05-01T00:00:00.000Z'
+  });
+
+  assert.strictEqual(game.color, 'black');
+  assert.deepStrictEqual(game.opponent, { username: 'u_a', displayName: 'Alice' });
+  assert.strictEqual(game.result, 'loss');
+  assert.strictEqual(game.rating, 1520);
+  assert.strictEqual(game.ratingChange, -9);
+});
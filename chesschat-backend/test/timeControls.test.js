@@ -0,0 +1,51 @@
+// test/timeControls.test.js - Time control presets, custom controls and categories
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseTimeControl, getCategory, TIME_CONTROL_PRESETS } = require('../timeControls');
+
+test('presets parse by id, with their category and reconnect grace', () => {
+  assert.deepStrictEqual(parseTimeControl('5+3'), {
+    id: '5+3',
+    initial: 300,
+    increment: 3,
+    delay: 0,
+    category: 'blitz',
+    reconnectGrace: 30
+  });
+  assert.strictEqual(parseTimeControl('3d2').delay, 2);
+  for (const id of Object.keys(TIME_CONTROL_PRESETS)) {
+    assert.strictEqual(parseTimeControl(id).id, id);
+  }
+});
+
+test('no time control means the default', () => {
+  assert.strictEqual(parseTimeControl(undefined).id, '10+0');
+  assert.strictEqual(parseTimeControl('').id, '10+0');
+});
+
+test('unknown presets and bad input are refused', () => {
+  assert.strictEqual(parseTimeControl('7+7'), null);
+  assert.strictEqual(parseTimeControl(300), null);
+  assert.strictEqual(parseTimeControl({ initial: 10 }), null);
+  assert.strictEqual(parseTimeControl({ initial: 60.5 }), null);
+  assert.strictEqual(parseTimeControl({ initial: 4 * 60 * 60 }), null);
+  assert.strictEqual(parseTimeControl({ initial: 60, increment: 61 }), null);
+  assert.strictEqual(parseTimeControl({ initial: 60, delay: -1 }), null);
+  assert.strictEqual(parseTimeControl({ initial: 60, increment: 2, delay: 2 }), null);
+});
+
+test('custom time controls get an id in preset form', () => {
+  assert.strictEqual(parseTimeControl({ initial: 420, increment: 5 }).id, '7+5');
+  assert.strictEqual(parseTimeControl({ initial: 30 }).id, '0.5+0');
+  assert.strictEqual(parseTimeControl({ initial: '90', delay: '3' }).id, '1.5d3');
+});
+
+test('categories follow the estimated game length', () => {
+  assert.strictEqual(getCategory(60, 0), 'bullet');
+  assert.strictEqual(getCategory(120, 1), 'bullet');
+  assert.strictEqual(getCategory(180, 0), 'blitz');
+  assert.strictEqual(getCategory(300, 5), 'rapid');
+  assert.strictEqual(getCategory(900, 10), 'rapid');
+  assert.strictEqual(getCategory(1800, 0), 'classical');
+  assert.strictEqual(parseTimeControl('5d5').category, 'rapid');
+});
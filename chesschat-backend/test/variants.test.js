@@ -0,0 +1,99 @@
+// test/variants.test.js - Three-check, King of the Hill and crazyhouse rules and results
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createVariantGame, isVariant } = require('../variants');
+const { buildPgn } = require('../pgn');
+
+test('knows the variant ids', () => {
+  assert.ok(isVariant('crazyhouse'));
+  assert.ok(isVariant('three-check'));
+  assert.ok(!isVariant('atomic'));
+  assert.ok(!isVariant('toString'));
+});
+
+test('standard games report checkmate and draws', () => {
+  const game = createVariantGame('standard');
+  for (const san of ['f3', 'e5', 'g4']) game.move(san);
+  assert.strictEqual(game.getResult(), null);
+
+  game.move('Qh4#');
+  assert.deepStrictEqual(game.getResult(), { winner: 'black', reason: 'checkmate' });
+
+  const bareKings = createVariantGame('standard', '8/8/8/8/8/k7/2K5/1q6 w - - 0 1');
+  bareKings.move('Kxb1');
+  assert.deepStrictEqual(bareKings.getResult(), { winner: 'draw', reason: 'draw' });
+});
+
+test('three-check counts checks in the FEN and wins on the third', () => {
+  const game = createVariantGame('three-check', '4k3/8/8/8/8/8/8/R3K3 w - - 2+3 0 1');
+  assert.deepStrictEqual(game.checksGiven, { white: 1, black: 0 });
+
+  game.move('Ra8+');
+  assert.strictEqual(game.fen(), 'R3k3/8/8/8/8/8/8/4K3 b - - 1+3 1 1');
+  assert.strictEqual(game.getResult(), null);
+
+  game.move('Kd7');
+  game.move('Ra7+');
+  assert.deepStrictEqual(game.getResult(), { winner: 'white', reason: 'three-checks' });
+
+  game.undo();
+  assert.deepStrictEqual(game.checksGiven, { white: 2, black: 0 });
+  assert.strictEqual(createVariantGame('three-check').fen().split(' ')[4], '3+3');
+});
+
+test('King of the Hill is won by reaching the centre, even with a bare king', () => {
+  const game = createVariantGame('king-of-the-hill', '8/8/8/8/8/2K5/8/k7 w - - 0 1');
+  game.move('Kc4');
+  assert.strictEqual(game.getResult(), null);
+
+  game.move('Ka2');
+  game.move('Kd4');
+  assert.deepStrictEqual(game.getResult(), { winner: 'white', reason: 'king-of-the-hill' });
+});
+
+test('crazyhouse captures fill the pocket and pieces can be dropped back', () => {
+  const game = createVariantGame('crazyhouse');
+  for (const san of ['e4', 'd5', 'exd5', 'Qxd5']) game.move(san);
+  assert.strictEqual(game.fen(), 'rnb1kbnr/ppp1pppp/8/3q4/8/8/PPPP1PPP/RNBQKBNR[Pp] w KQkq - 0 3');
+
+  assert.ok(game.moves().includes('P@e4'));
+  assert.throws(() => game.move('P@e8'));
+  assert.throws(() => game.move('N@f3'));
+  assert.throws(() => game.move({ drop: 'p', to: 'd2' }));
+
+  const drop = game.move({ drop: 'p', to: 'e4' });
+  assert.strictEqual(drop.san, 'P@e4');
+  assert.deepStrictEqual(game.history(), ['e4', 'd5', 'exd5', 'Qxd5', 'P@e4']);
+  assert.strictEqual(game.fen(), 'rnb1kbnr/ppp1pppp/8/3q4/4P3/8/PPPP1PPP/RNBQKBNR[p] b KQkq - 0 3');
+
+  game.undo();
+  assert.ok(game.fen().split(' ')[0].endsWith('[Pp]'));
+});
+
+test('crazyhouse is only mate when no drop can block', () => {
+  const game = createVariantGame('crazyhouse', '6k1/8/8/8/8/8/r5PP/7K[N] b - - 0 1');
+  assert.strictEqual(game.move('Ra1').san, 'Ra1+');
+  assert.strictEqual(game.getResult(), null);
+  assert.ok(game.moves().includes('N@g1'));
+  assert.ok(!game.moves().includes('N@a3'));
+
+  const emptyPocket = createVariantGame('crazyhouse', '6k1/8/8/8/8/8/r5PP/7K[] b - - 0 1');
+  assert.strictEqual(emptyPocket.move('Ra1').san, 'Ra1#');
+  assert.deepStrictEqual(emptyPocket.getResult(), { winner: 'black', reason: 'checkmate' });
+});
+
+test('a captured crazyhouse promotion goes back to the pocket as a pawn', () => {
+  const game = createVariantGame('crazyhouse', 'r3k3/1P6/8/8/8/8/8/4K3[] w - - 0 1');
+  game.move('b8=Q');
+  assert.strictEqual(game.fen().split(' ')[0], 'rQ~2k3/8/8/8/8/8/8/4K3[]');
+
+  game.move('Rxb8');
+  assert.strictEqual(game.fen().split(' ')[0], '1r2k3/8/8/8/8/8/8/4K3[p]');
+});
+
+test('PGN names the variant and leaves out its usual start position', () => {
+  const pgn = buildPgn({ white: 'Alice', black: 'Bob', variant: 'three-check', moves: ['e4'] });
+  assert.match(pgn, /\[Variant "Three-check"\]/);
+  assert.doesNotMatch(pgn, /\[FEN /);
+  assert.match(pgn, /\n\n1\. e4 \*\n$/);
+});
@@ -0,0 +1,111 @@
+// chesschat-backend/timeControls.js - Time control presets and validation
+
+// Preset time controls. initial/increment/delay are in seconds.
+// increment = Fischer bonus added after every move
+// delay     = Bronstein delay: time used on a move is refunded up to this amount
+const TIME_CONTROL_PRESETS = {
+  '1+0': { initial: 60, increment: 0, delay: 0 },
+  '3+0': { initial: 180, increment: 0, delay: 0 },
+  '3+2': { initial: 180, increment: 2, delay: 0 },
+  '5+0': { initial: 300, increment: 0, delay: 0 },
+  '5+3': { initial: 300, increment: 3, delay: 0 },
+  '10+0': { initial: 600, increment: 0, delay: 0 },
+  '15+10': { initial: 900, increment: 10, delay: 0 },
+  '30+0': { initial: 1800, increment: 0, delay: 0 },
+  '3d2': { initial: 180, increment: 0, delay: 2 },
+  '5d5': { initial: 300, increment: 0, delay: 5 }
+};
+
+const DEFAULT_TIME_CONTROL = '10+0';
+
+// How long a disconnected player has to come back before losing, per category (seconds).
+// Their clock keeps running during the grace period.
+const RECONNECT_GRACE = {
+  bullet: 15,
+  blitz: 30,
+  rapid: 60,
+  classical: 120
+};
+
+// Limits for custom time controls (seconds)
+const MAX_INITIAL = 3 * 60 * 60;
+const MAX_BONUS = 60;
+
+// Lichess-style category from the estimated game duration (initial + 40 * bonus)
+function getCategory(initial, bonus) {
+  const estimated = initial + 40 * bonus;
+  if (estimated < 180) return 'bullet';
+  if (estimated < 480) return 'blitz';
+  if (estimated < 1500) return 'rapid';
+  return 'classical';
+}
+
+function formatId(initial, increment, delay) {
+  const minutes = initial % 60 === 0 ? initial / 60 : +(initial / 60).toFixed(2);
+  return delay > 0 ? `${minutes}d${delay}` : `${minutes}+${increment}`;
+}
+
+function buildTimeControl(initial, increment, delay) {
+  const category = getCategory(initial, increment || delay);
+  return {
+    id: formatId(initial, increment, delay),
+    initial,
+    increment,
+    delay,
+    category,
+    reconnectGrace: RECONNECT_GRACE[category]
+  };
+}
+
+// Reverse of formatId for ids stored with saved games ('5+3', '0.5+0', '3d2').
+// Returns { id, initial, increment, delay } or null.
+function parseTimeControlId(id) {
+  const match = /^(\d+(?:\.\d+)?)([+d])(\d+)$/.exec(id || '');
+  if (!match) return null;
+
+  const bonus = parseInt(match[3], 10);
+  return {
+    id,
+    initial: Math.round(parseFloat(match[1]) * 60),
+    increment: match[2] === '+' ? bonus : 0,
+    delay: match[2] === 'd' ? bonus : 0
+  };
+}
+
+// Accepts a preset id ('5+3') or a custom object { initial, increment, delay }.
+// Returns a normalized time control, or null if the input is invalid.
+function parseTimeControl(input) {
+  if (input === undefined || input === null || input === '') {
+    return parseTimeControl(DEFAULT_TIME_CONTROL);
+  }
+
+  if (typeof input === 'string') {
+    const preset = TIME_CONTROL_PRESETS[input];
+    if (!preset) return null;
+    return buildTimeControl(preset.initial, preset.increment, preset.delay);
+  }
+
+  if (typeof input !== 'object') return null;
+
+  const initial = Number(input.initial);
+  const increment = Number(input.increment || 0);
+  const delay = Number(input.delay || 0);
+
+  if (!Number.isInteger(initial) || initial < 15 || initial > MAX_INITIAL) return null;
+  if (!Number.isInteger(increment) || increment < 0 || increment > MAX_BONUS) return null;
+  if (!Number.isInteger(delay) || delay < 0 || delay > MAX_BONUS) return null;
+
+  // Fischer increment and Bronstein delay are mutually exclusive
+  if (increment > 0 && delay > 0) return null;
+
+  return buildTimeControl(initial, increment, delay);
+}
+
+module.exports = {
+  TIME_CONTROL_PRESETS,
+  DEFAULT_TIME_CONTROL,
+  RECONNECT_GRACE,
+  parseTimeControl,
+  parseTimeControlId,
+  getCategory
+};
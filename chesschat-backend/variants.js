@@ -0,0 +1,223 @@
+// chesschat-backend/variants.js - Rule variants and how each one ends a game
+//
+// Every game room plays through a VariantGame, which wraps the board - chess.js, or the
+// Chess960 and Crazyhouse classes that answer the same API - and adds the variant's own
+// rules on top. After each move the server asks getResult() whether the game is over,
+// and each variant reports its own ways of winning before the draws they all share. The
+// web client validates moves with this same file, copied into chesschat-web/src/rules.
+const { Chess, DEFAULT_POSITION } = require('chess.js');
+const { Chess960, randomChess960Position } = require('./chess960');
+const { Crazyhouse } = require('./crazyhouse');
+
+const CHECKS_TO_WIN = 3;
+
+// The four centre squares a king has to reach in King of the Hill
+const HILL_SQUARES = ['d4', 'd5', 'e4', 'e5'];
+
+function colorName(color) {
+  return color === 'w' ? 'white' : 'black';
+}
+
+class VariantGame {
+  constructor(chess) {
+    this.chess = chess;
+  }
+
+  // Throws on an illegal move, like chess.js
+  move(move) {
+    return this.chess.move(move);
+  }
+
+  undo() {
+    return this.chess.undo();
+  }
+
+  moves(options) {
+    return this.chess.moves(options);
+  }
+
+  fen() {
+    return this.chess.fen();
+  }
+
+  history(options) {
+    return this.chess.history(options);
+  }
+
+  turn() {
+    return this.chess.turn();
+  }
+
+  get(square) {
+    return this.chess.get(square);
+  }
+
+  board() {
+    return this.chess.board();
+  }
+
+  // Crazyhouse pockets, which the web client draws beside the board; undefined otherwise
+  get pockets() {
+    return this.chess.pockets;
+  }
+
+  isCheck() {
+    return this.chess.isCheck();
+  }
+
+  isCheckmate() {
+    return this.chess.isCheckmate();
+  }
+
+  isStalemate() {
+    return this.chess.isStalemate();
+  }
+
+  isInsufficientMaterial() {
+    return this.chess.isInsufficientMaterial();
+  }
+
+  isThreefoldRepetition() {
+    return this.chess.isThreefoldRepetition();
+  }
+
+  isDraw() {
+    return this.chess.isDrawByFiftyMoves() || this.isStalemate() || this.isInsufficientMaterial() || this.isThreefoldRepetition();
+  }
+
+  // A win this variant has besides checkmate, for the side that just moved: { winner, reason } or null
+  variantWin() {
+    return null;
+  }
+
+  // { winner, reason } once the last move has ended the game, otherwise null
+  getResult() {
+    const mover = this.turn() === 'w' ? 'black' : 'white';
+
+    if (this.isCheckmate()) return { winner: mover, reason: 'checkmate' };
+
+    const win = this.variantWin(mover);
+    if (win) return win;
+
+    if (this.isStalemate()) return { winner: 'draw', reason: 'stalemate' };
+    if (this.isDraw()) return { winner: 'draw', reason: 'draw' };
+    return null;
+  }
+
+  isGameOver() {
+    return this.getResult() !== null;
+  }
+}
+
+// Three-check: giving a third check wins. FENs carry the checks each side still needs
+// before the halfmove clock, as lichess writes them: '... KQkq - 3+3 0 1'.
+class ThreeCheckGame extends VariantGame {
+  constructor(fen) {
+    const fields = fen.split(' ');
+    const remaining = fields.length === 7 ? fields.splice(4, 1)[0] : `${CHECKS_TO_WIN}+${CHECKS_TO_WIN}`;
+    if (!/^[0-3]\+[0-3]$/.test(remaining)) throw new Error(`Invalid remaining checks: ${remaining}`);
+
+    super(new Chess(fields.join(' ')));
+    const [white, black] = remaining.split('+').map(Number);
+    this.checksGiven = { white: CHECKS_TO_WIN - white, black: CHECKS_TO_WIN - black };
+    this.checkHistory = []; // checksGiven before each move, for undo
+  }
+
+  move(move) {
+    const result = this.chess.move(move);
+    this.checkHistory.push({ ...this.checksGiven });
+    if (this.chess.isCheck()) this.checksGiven[colorName(result.color)]++;
+    return result;
+  }
+
+  undo() {
+    const result = this.chess.undo();
+    if (result) this.checksGiven = this.checkHistory.pop();
+    return result;
+  }
+
+  fen() {
+    const fields = this.chess.fen().split(' ');
+    const { white, black } = this.checksGiven;
+    fields.splice(4, 0, `${CHECKS_TO_WIN - white}+${CHECKS_TO_WIN - black}`);
+    return fields.join(' ');
+  }
+
+  // Any piece can still give checks, so only bare kings are a draw
+  isInsufficientMaterial() {
+    return this.chess.board().flat().filter(Boolean).length === 2;
+  }
+
+  variantWin(mover) {
+    return this.checksGiven[mover] >= CHECKS_TO_WIN ? { winner: mover, reason: 'three-checks' } : null;
+  }
+}
+
+// King of the Hill: a king reaching one of the four centre squares wins
+class KingOfTheHillGame extends VariantGame {
+  constructor(fen) {
+    super(new Chess(fen));
+  }
+
+  // A lone king can still walk to the centre
+  isInsufficientMaterial() {
+    return false;
+  }
+
+  variantWin(mover) {
+    const onHill = HILL_SQUARES.some((square) => {
+      const piece = this.chess.get(square);
+      return piece && piece.type === 'k' && colorName(piece.color) === mover;
+    });
+    return onHill ? { winner: mover, reason: 'king-of-the-hill' } : null;
+  }
+}
+
+// name     = shown to players and used for the PGN Variant tag
+// startFen = the usual start position, or null when every game draws its own
+// create   = game for a start position
+const VARIANTS = {
+  standard: {
+    name: 'Standard',
+    startFen: DEFAULT_POSITION,
+    create: fen => new VariantGame(new Chess(fen))
+  },
+  chess960: {
+    name: 'Chess960',
+    startFen: null,
+    create: fen => new VariantGame(new Chess960(fen || randomChess960Position().fen))
+  },
+  'three-check': {
+    name: 'Three-check',
+    startFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 3+3 0 1',
+    create: fen => new ThreeCheckGame(fen)
+  },
+  'king-of-the-hill': {
+    name: 'King of the Hill',
+    startFen: DEFAULT_POSITION,
+    create: fen => new KingOfTheHillGame(fen)
+  },
+  crazyhouse: {
+    name: 'Crazyhouse',
+    startFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR[] w KQkq - 0 1',
+    create: fen => new VariantGame(new Crazyhouse(fen))
+  }
+};
+
+function isVariant(id) {
+  return Object.prototype.hasOwnProperty.call(VARIANTS, id);
+}
+
+// Game for a variant, from its usual start position unless given one (a rematch or a replay)
+function createVariantGame(id, fen) {
+  const variant = VARIANTS[id];
+  return variant.create(fen || variant.startFen);
+}
+
+module.exports = {
+  CHECKS_TO_WIN,
+  VARIANTS,
+  VariantGame,
+  isVariant,
+  createVariantGame
+};
@@ -0,0 +1,31 @@
+// scripts/copyRules.js - Copies the game rules from chesschat-backend into src/rules
+//
+// The server and the game screens play by the same rules modules. They live in
+// chesschat-backend, and Create React App only builds ES modules under src/, so start,
+// build and test copy them in first, turning their require() and module.exports lines
+// into import and export. src/rules is not committed: edit the backend files.
+const fs = require('fs');
+const path = require('path');
+
+const BACKEND = path.join(__dirname, '..', '..', 'chesschat-backend');
+const RULES = path.join(__dirname, '..', 'src', 'rules');
+const FILES = ['chess960.js', 'crazyhouse.js', 'variants.js'];
+
+// const { a, b } = require('x');  ->  import { a, b } from 'x';
+// module.exports = { a, b };       ->  export { a, b };
+function toModule(source, file) {
+  const converted = source
+    .replace(/^const (\{[^}:]*\}) = require\('([^']+)'\);$/gm, "import $1 from '$2';")
+    .replace(/^module\.exports = (\{[^}:]*\});$/m, 'export $1;');
+
+  if (/\brequire\(|module\.exports/.test(converted)) {
+    throw new Error(`${file} can only use "const { ... } = require('...')" and "module.exports = { ... }"`);
+  }
+  return `// Copied from chesschat-backend/${file} by scripts/copyRules.js - edit that file instead\n${converted}`;
+}
+
+fs.mkdirSync(RULES, { recursive: true });
+for (const file of FILES) {
+  const source = fs.readFileSync(path.join(BACKEND, file), 'utf8');
+  fs.writeFileSync(path.join(RULES, file), toModule(source, file));
+}
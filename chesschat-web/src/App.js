@@ -3,6 +3,11 @@ import React, { useState, useEffect } from 'react';
 import './App.css';
 import GameScreen from './components/GameScreen';
 import Login from './components/Login';
+import Friends from './components/Friends';
+import ChallengeSetup from './components/ChallengeSetup';
+import ChallengeInvitation from './components/ChallengeInvitation';
+import PlayerProfile from './components/PlayerProfile';
+import GameReplay from './components/GameReplay';
 import socketService from './services/socketService';
 import dailyService from './services/dailyService';
 
@@ -13,6 +18,15 @@ function App() {
   const [waitingMessage, setWaitingMessage] = useState('');
   const [currentUser, setCurrentUser] = useState(null);
   const [gameData, setGameData] = useState(null);
+  const [session, setSession] = useState(null); // { userId, displayName } from the server
+  const [showFriends, setShowFriends] = useState(false);
+  const [friendsData, setFriendsData] = useState({ friendCode: null, friends: [], pendingRequests: [] });
+  const [friendNotice, setFriendNotice] = useState(null); // { type: 'info' | 'error', message }
+  const [challengeTarget, setChallengeTarget] = useState(null); // friend being challenged
+  const [outgoingChallenge, setOutgoingChallenge] = useState(null); // our challenge awaiting an answer
+  const [incomingChallenges, setIncomingChallenges] = useState([]);
+  const [profileUsername, setProfileUsername] = useState(null); // player whose profile is open
+  const [replayGameId, setReplayGameId] = useState(null); // saved game open in the replay viewer
 
   useEffect(() => {
     // Connect to server
@@ -25,6 +39,13 @@ function App() {
 
     socketService.on('disconnected', () => {
       setConnectionStatus('disconnected');
+      
+      // Mid-game: stay on the board - the socket reconnects and resumes the game
+      if (socketService.hasResumeToken()) {
+        console.log('📶 Connection lost during game - waiting to resume');
+        return;
+      }
+      
       // Reset to splash screen on disconnect
       setGameState('splash');
       setCurrentUser(null);
@@ -33,6 +54,41 @@ function App() {
       setWaitingMessage('');
     });
 
+    // Persistent identity - the same userId across reloads and visits
+    socketService.on('session', (sessionData) => {
+      setSession(sessionData);
+      // Picks up friend requests that arrived while we were away
+      socketService.getFriends();
+    });
+
+    // Friends - the server pushes a fresh list whenever anything changes
+    socketService.on('friends-list', (data) => {
+      setFriendsData(data);
+    });
+
+    socketService.on('presence-update', (update) => {
+      setFriendsData(prev => ({
+        ...prev,
+        friends: prev.friends.map(friend => (
+          friend.username === update.username
+            ? { ...friend, ...update, opponent: update.opponent }
+            : friend
+        ))
+      }));
+    });
+
+    socketService.on('friend-request', (data) => {
+      setFriendNotice({ type: 'info', message: `${data.displayName} sent you a friend request` });
+    });
+
+    socketService.on('friend-notice', (data) => {
+      setFriendNotice({ type: 'info', message: data.message });
+    });
+
+    socketService.on('friend-error', (data) => {
+      setFriendNotice({ type: 'error', message: data.message });
+    });
+
     socketService.on('connection_error', () => {
       setConnectionStatus('disconnected');
     });
@@ -48,12 +104,74 @@ function App() {
 
     socketService.on('match-found', (matchData) => {
       console.log('🎮 Match found, starting game!');
+      setShowFriends(false);
+      setChallengeTarget(null);
+      setOutgoingChallenge(null);
+      setIncomingChallenges([]);
       setGameState('playing');
       setGameData(matchData);
       setWaitingMessage('');
       setError('');
     });
 
+    // Back in a game after a dropped connection or page reload
+    socketService.on('game-resumed', (resumeData) => {
+      console.log('🔁 Game resumed');
+      setCurrentUser(prev => prev || {
+        displayName: resumeData.you.displayName,
+        username: resumeData.you.username
+      });
+      setGameData(resumeData);
+      setGameState('playing');
+      setWaitingMessage('');
+      setError('');
+    });
+
+    // Watching someone else's game
+    socketService.on('spectate-started', (spectateData) => {
+      console.log('👁 Spectating game');
+      setGameData(spectateData);
+      setGameState('playing');
+      setWaitingMessage('');
+      setError('');
+    });
+
+    socketService.on('resume-failed', () => {
+      setGameState('splash');
+      setGameData(null);
+      setCurrentUser(null);
+      setError('Your previous game is no longer available');
+    });
+
+    // Challenges between friends
+    socketService.on('challenge-received', (challenge) => {
+      setIncomingChallenges(prev => [...prev, challenge]);
+    });
+
+    socketService.on('challenge-sent', (challenge) => {
+      setOutgoingChallenge(challenge);
+    });
+
+    socketService.on('challenge-closed', ({ challengeId, reason, outgoing, displayName }) => {
+      if (!outgoing) {
+        setIncomingChallenges(prev => prev.filter(challenge => challenge.challengeId !== challengeId));
+        return;
+      }
+      
+      if (reason === 'declined') {
+        setFriendNotice({ type: 'error', message: `${displayName} declined your challenge` });
+      } else if (reason === 'expired') {
+        setFriendNotice({ type: 'error', message: `${displayName} didn't answer your challenge` });
+      }
+      setOutgoingChallenge(null);
+      setChallengeTarget(null);
+    });
+
+    socketService.on('challenge-error', (data) => {
+      setChallengeTarget(null);
+      setFriendNotice({ type: 'error', message: data.message });
+    });
+
     // FIXED: Enhanced error handling with better messages
     socketService.on('error', (errorData) => {
       console.log('❌ Server error received:', errorData);
@@ -128,19 +246,76 @@ function App() {
     };
   }, []); // Fixed: empty dependency array to prevent disconnects on state changes
 
-  const handleJoinRoom = (displayName, roomCode) => {
+  // Friends see us as idle while this tab is in the background
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      socketService.setPresence(document.hidden);
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, []);
+
+  const handleJoinRoom = (displayName, roomCode, gameOptions) => {
     setError('');
     setWaitingMessage('');
     
-    // Store user info
+    // Store user info - the username is our server-issued identity
     const user = {
       displayName: displayName,
-      username: displayName.toLowerCase().replace(/\s+/g, '') + '_' + Math.random().toString(36).substr(2, 4)
+      username: socketService.getSession()?.userId
     };
     setCurrentUser(user);
+    setSession(prev => prev && { ...prev, displayName });
     
     // Immediately try to enter the room code with display name
-    socketService.enterMatchCode(roomCode, displayName);
+    socketService.enterMatchCode(roomCode, displayName, gameOptions);
+  };
+
+  const handlePlayComputer = (displayName, options) => {
+    setError('');
+    setWaitingMessage('');
+    setCurrentUser({ displayName, username: socketService.getSession()?.userId });
+    setSession(prev => prev && { ...prev, displayName });
+    socketService.playComputer(displayName, options);
+  };
+
+  const handleSpectate = (displayName, roomCode) => {
+    setError('');
+    setCurrentUser({ displayName, username: socketService.getSession()?.userId });
+    socketService.spectateGame({ code: roomCode }, displayName);
+  };
+
+  // Opening the panel registers us under the name typed in the lobby
+  const handleOpenFriends = (displayName) => {
+    setFriendNotice(null);
+    setShowFriends(true);
+    socketService.getFriends(displayName.length >= 2 ? displayName : null);
+  };
+
+  const handleInviteFriend = (username) => {
+    const friend = friendsData.friends.find(f => f.username === username);
+    setFriendNotice(null);
+    setChallengeTarget(friend || { username });
+  };
+
+  const handleSendChallenge = (options) => {
+    socketService.challengeFriend(challengeTarget.username, options);
+  };
+
+  const handleCancelChallenge = () => {
+    if (outgoingChallenge) {
+      socketService.cancelChallenge(outgoingChallenge.challengeId);
+    }
+    setOutgoingChallenge(null);
+    setChallengeTarget(null);
+  };
+
+  const handleRespondChallenge = (challenge, accept) => {
+    socketService.respondChallenge(challenge.challengeId, accept);
+    setIncomingChallenges(prev => prev.filter(c => c.challengeId !== challenge.challengeId));
   };
 
   // UPDATED: Simplified handleBackToSplash - just for emergency cleanup
@@ -181,12 +356,65 @@ function App() {
   // Render appropriate screen based on game state
   if (gameState === 'splash' || gameState === 'waiting') {
     return (
-      <Login 
-        onJoinRoom={handleJoinRoom}
-        connectionStatus={connectionStatus}
-        error={error}
-        waitingMessage={waitingMessage}
-      />
+      <>
+        <Login 
+          onJoinRoom={handleJoinRoom}
+          onSpectate={handleSpectate}
+          onPlayComputer={handlePlayComputer}
+          onOpenFriends={handleOpenFriends}
+          pendingFriendRequests={friendsData.pendingRequests.length}
+          connectionStatus={connectionStatus}
+          error={error}
+          waitingMessage={waitingMessage}
+          savedDisplayName={session?.displayName}
+          currentUserId={session?.userId}
+          onOpenGame={setReplayGameId}
+        />
+        <Friends
+          friends={friendsData.friends}
+          pendingRequests={friendsData.pendingRequests}
+          friendCode={friendsData.friendCode}
+          notice={friendNotice}
+          onAddFriend={(friendCode) => socketService.addFriend(friendCode)}
+          onAcceptFriend={(from) => socketService.respondFriendRequest(from, true)}
+          onDeclineFriend={(from) => socketService.respondFriendRequest(from, false)}
+          onRemoveFriend={(username) => socketService.removeFriend(username)}
+          onInviteFriend={handleInviteFriend}
+          onViewProfile={setProfileUsername}
+          isVisible={showFriends}
+          onClose={() => setShowFriends(false)}
+        />
+        {challengeTarget && (
+          <ChallengeSetup
+            friend={challengeTarget}
+            pendingChallenge={outgoingChallenge}
+            onSend={handleSendChallenge}
+            onCancel={handleCancelChallenge}
+            onClose={() => setChallengeTarget(null)}
+          />
+        )}
+        {replayGameId && (
+          <GameReplay
+            gameId={replayGameId}
+            currentUserId={session?.userId}
+            onClose={() => setReplayGameId(null)}
+          />
+        )}
+        {profileUsername && (
+          <PlayerProfile
+            username={profileUsername}
+            onClose={() => setProfileUsername(null)}
+          />
+        )}
+        {incomingChallenges.length > 0 && (
+          <ChallengeInvitation
+            key={incomingChallenges[0].challengeId}
+            challenge={incomingChallenges[0]}
+            onAccept={() => handleRespondChallenge(incomingChallenges[0], true)}
+            onDecline={() => handleRespondChallenge(incomingChallenges[0], false)}
+          />
+        )}
+      </>
     );
   }
 
@@ -196,6 +424,7 @@ function App() {
         <GameScreen 
           currentUser={currentUser}
           gameData={gameData}
+          connectionStatus={connectionStatus}
           onBackToSplash={handleBackToSplash}
         />
       </div>
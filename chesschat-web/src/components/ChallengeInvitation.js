@@ -0,0 +1,51 @@
+// src/components/ChallengeInvitation.js - Incoming challenge from a friend
+import React, { useState, useEffect } from 'react';
+import { VARIANT_NAMES } from '../variants';
+
+const COLOR_LABELS = {
+  white: 'You play White',
+  black: 'You play Black',
+  random: 'Colours assigned at random'
+};
+
+// Seconds until expiresAt, ticking down once a second
+export function useSecondsLeft(expiresAt) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  return Math.max(0, Math.ceil((expiresAt - now) / 1000));
+}
+
+export default function ChallengeInvitation({ challenge, onAccept, onDecline }) {
+  const secondsLeft = useSecondsLeft(challenge.expiresAt);
+
+  return (
+    <div className="friends-overlay">
+      <div className="invitation-modal">
+        <h2 className="invitation-title">⚔️ Challenge!</h2>
+        <p className="invitation-text">
+          {challenge.from.displayName} wants to play
+        </p>
+        <p className="invitation-details">
+          {challenge.timeControl.id} · {challenge.timeControl.category} · {challenge.rated ? 'rated' : 'casual'}
+          {challenge.variant !== 'standard' && ` · ${VARIANT_NAMES[challenge.variant]}`}
+          <br />
+          {COLOR_LABELS[challenge.color]}
+        </p>
+        <p className="challenge-countdown">Expires in {secondsLeft}s</p>
+        <div className="invitation-actions">
+          <button onClick={onAccept} className="accept-button">
+            Accept
+          </button>
+          <button onClick={onDecline} className="decline-button">
+            Decline
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
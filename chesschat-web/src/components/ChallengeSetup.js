@@ -0,0 +1,117 @@
+// src/components/ChallengeSetup.js - Pick game settings and challenge a friend
+import React, { useState } from 'react';
+import { TIME_CONTROL_OPTIONS, COLOR_OPTIONS, VARIANT_OPTIONS } from './Login';
+import { useSecondsLeft } from './ChallengeInvitation';
+
+// Shown while the friend has not answered yet
+function PendingChallenge({ challenge, onCancel }) {
+  const secondsLeft = useSecondsLeft(challenge.expiresAt);
+
+  return (
+    <>
+      <p className="invitation-text">
+        Waiting for {challenge.to.displayName} to respond...
+      </p>
+      <p className="challenge-countdown">Expires in {secondsLeft}s</p>
+      <div className="invitation-actions">
+        <button onClick={onCancel} className="decline-button">
+          Cancel Challenge
+        </button>
+      </div>
+    </>
+  );
+}
+
+export default function ChallengeSetup({ friend, pendingChallenge, onSend, onCancel, onClose }) {
+  const [timeControl, setTimeControl] = useState('10+0');
+  const [color, setColor] = useState('random');
+  const [rated, setRated] = useState(true);
+  const [variant, setVariant] = useState('standard');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSend({ timeControl, color, rated, variant });
+  };
+
+  return (
+    <div className="friends-overlay">
+      <div className="invitation-modal">
+        <h2 className="invitation-title">
+          Challenge {friend.displayName || friend.username}
+        </h2>
+
+        {pendingChallenge ? (
+          <PendingChallenge challenge={pendingChallenge} onCancel={onCancel} />
+        ) : (
+          <form onSubmit={handleSubmit} className="challenge-form">
+            <label htmlFor="challengeTimeControl" className="form-label">
+              Time Control
+            </label>
+            <select
+              id="challengeTimeControl"
+              value={timeControl}
+              onChange={(e) => setTimeControl(e.target.value)}
+              className="form-input form-select"
+            >
+              {TIME_CONTROL_OPTIONS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+
+            <label htmlFor="challengeVariant" className="form-label">
+              Variant
+            </label>
+            <select
+              id="challengeVariant"
+              value={variant}
+              onChange={(e) => setVariant(e.target.value)}
+              className="form-input form-select"
+            >
+              {VARIANT_OPTIONS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+
+            <label htmlFor="challengeColor" className="form-label">
+              Your Colour
+            </label>
+            <select
+              id="challengeColor"
+              value={color}
+              onChange={(e) => setColor(e.target.value)}
+              className="form-input form-select"
+            >
+              {COLOR_OPTIONS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+
+            <label className="form-checkbox">
+              <input
+                type="checkbox"
+                checked={rated}
+                onChange={(e) => setRated(e.target.checked)}
+              />
+              Rated game
+            </label>
+
+            <div className="invitation-actions">
+              <button type="submit" className="accept-button">
+                Send Challenge
+              </button>
+              <button type="button" onClick={onClose} className="decline-button">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
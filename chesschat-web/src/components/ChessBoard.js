@@ -1,5 +1,6 @@
 // src/components/ChessBoard.js - Final version with all image pieces
 import React from 'react';
+import { POCKET_PIECES } from '../rules/crazyhouse';
 
 // Chess piece image mapping
 const pieceImages = {
@@ -63,8 +64,129 @@ function ChessPiece({ piece }) {
   );
 }
 
-export default function ChessBoard({ board, selectedSquare, onSquarePress }) {
+// Convert FEN to board array for display
+// Only the piece placement is read, so Chess960 castling fields need no special care,
+// and crazyhouse pockets and promotion marks are left out
+export function fenToBoard(fen) {
+  const placement = fen.split(' ')[0].replace(/\[.*\]$/, '').replace(/~/g, '');
+  return placement.split('/').map((rank) => {
+    const row = [];
+    for (const char of rank) {
+      if (/\d/.test(char)) {
+        for (let i = 0; i < Number(char); i++) row.push(null);
+      } else {
+        row.push(char);
+      }
+    }
+    return row;
+  });
+}
+
+// Crazyhouse pockets from the [...] after the placement, as { white: { q, r, b, n, p }, black },
+// or null for a FEN without pockets
+export function fenToPockets(fen) {
+  const match = fen.split(' ')[0].match(/\[([A-Za-z]*)\]$/);
+  if (!match) return null;
+
+  const pockets = { white: {}, black: {} };
+  POCKET_PIECES.forEach((type) => {
+    pockets.white[type] = 0;
+    pockets.black[type] = 0;
+  });
+  for (const char of match[1]) {
+    const type = char.toLowerCase();
+    pockets[char === type ? 'black' : 'white'][type]++;
+  }
+  return pockets;
+}
+
+// Same board seen from black's side
+export function flipBoard(board) {
+  return board.slice().reverse().map(row => row.slice().reverse());
+}
+
+// Pieces a pawn can promote to, in picker order
+const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+
+// Overlay shown when a pawn reaches the last rank - color is the mover's ('white' | 'black')
+function PromotionPicker({ color, onSelect, onCancel }) {
   return (
+    <div className="promotion-overlay" onClick={onCancel}>
+      <div className="promotion-picker" onClick={(e) => e.stopPropagation()}>
+        {PROMOTION_PIECES.map((type) => {
+          const piece = color === 'white' ? type.toUpperCase() : type;
+          return (
+            <button
+              key={type}
+              className="promotion-option"
+              onClick={() => onSelect(type)}
+            >
+              <ChessPiece piece={piece} />
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// One side's pieces in hand. The player's own pocket is interactive: click a piece and
+// then a square, or drag the piece onto the board.
+function Pocket({ color, pieces, interactive, selectedPiece, onPiecePress }) {
+  return (
+    <div className="pocket">
+      {POCKET_PIECES.map((type) => {
+        const count = pieces[type];
+        const canDrop = interactive && count > 0;
+        return (
+          <button
+            key={type}
+            className={`
+              pocket-piece
+              ${count === 0 ? 'pocket-piece-empty' : ''}
+              ${interactive && selectedPiece === type ? 'selected-pocket-piece' : ''}
+            `}
+            disabled={!canDrop}
+            draggable={canDrop}
+            onDragStart={(e) => e.dataTransfer.setData('text/plain', type)}
+            onClick={() => onPiecePress(type)}
+          >
+            <ChessPiece piece={color === 'white' ? type.toUpperCase() : type} />
+            {count > 1 && <span className="pocket-count">{count}</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+// pockets: crazyhouse only - { top, bottom }, each { color, pieces, interactive }
+export default function ChessBoard({
+  board,
+  selectedSquare,
+  onSquarePress,
+  promotion,
+  onPromotionSelect,
+  onPromotionCancel,
+  pockets,
+  selectedPocketPiece,
+  onPocketPiecePress,
+  onPieceDrop
+}) {
+  // Pocket pieces dragged onto a square
+  const getDropHandlers = (rowIndex, colIndex) => {
+    if (!onPieceDrop) return {};
+    return {
+      onDragOver: (e) => e.preventDefault(),
+      onDrop: (e) => {
+        e.preventDefault();
+        const type = e.dataTransfer.getData('text/plain');
+        if (POCKET_PIECES.includes(type)) onPieceDrop(type, rowIndex, colIndex);
+      }
+    };
+  };
+
+  const grid = (
     <div className="chess-board">
       {board.map((row, rowIndex) =>
         row.map((piece, colIndex) => {
@@ -82,12 +204,30 @@ export default function ChessBoard({ board, selectedSquare, onSquarePress }) {
                 ${isSelected ? 'selected-square' : ''}
               `}
               onClick={() => onSquarePress(rowIndex, colIndex)}
+              {...getDropHandlers(rowIndex, colIndex)}
             >
               <ChessPiece piece={piece} />
             </button>
           );
         })
       )}
+      {promotion && (
+        <PromotionPicker
+          color={promotion.color}
+          onSelect={onPromotionSelect}
+          onCancel={onPromotionCancel}
+        />
+      )}
     </div>
   );
-}
\ No newline at end of file
+
+  if (!pockets) return grid;
+
+  return (
+    <div className="board-with-pockets">
+      <Pocket {...pockets.top} selectedPiece={selectedPocketPiece} onPiecePress={onPocketPiecePress} />
+      {grid}
+      <Pocket {...pockets.bottom} selectedPiece={selectedPocketPiece} onPiecePress={onPocketPiecePress} />
+    </div>
+  );
+}
@@ -1,6 +1,20 @@
 // src/components/Friends.js - Friends management component
 import React, { useState } from 'react';
 
+// Status line under a friend's name - status comes from the server's presence tracking
+function getStatusLabel(friend) {
+  switch (friend.status) {
+    case 'in-game':
+      return `🎮 Playing vs ${friend.opponent}`;
+    case 'idle':
+      return '🌙 Idle';
+    case 'online':
+      return '🟢 Online';
+    default:
+      return '⚫ Offline';
+  }
+}
+
 export default function Friends({ 
   friends = [], 
   pendingRequests = [], 
@@ -8,29 +22,33 @@ export default function Friends({
   onAcceptFriend, 
   onDeclineFriend,
   onInviteFriend,
-  currentUser,
+  onRemoveFriend,
+  onViewProfile,
+  friendCode,
+  notice,
   isVisible,
   onClose 
 }) {
-  const [newFriendUsername, setNewFriendUsername] = useState('');
+  const [newFriendCode, setNewFriendCode] = useState('');
   const [isAddingFriend, setIsAddingFriend] = useState(false);
 
   const handleAddFriend = (e) => {
     e.preventDefault();
     
-    if (newFriendUsername.trim().length < 3) {
-      alert('Username must be at least 3 characters long');
+    const code = newFriendCode.trim().toUpperCase();
+    if (code.length < 4) {
+      alert('Friend code must be at least 4 characters long');
       return;
     }
 
-    if (newFriendUsername.trim() === currentUser?.username) {
+    if (code === friendCode) {
       alert("You can't add yourself as a friend");
       return;
     }
 
     setIsAddingFriend(true);
-    onAddFriend(newFriendUsername.trim());
-    setNewFriendUsername('');
+    onAddFriend(code);
+    setNewFriendCode('');
     setTimeout(() => setIsAddingFriend(false), 1000);
   };
 
@@ -38,6 +56,12 @@ export default function Friends({
     onInviteFriend(friendUsername);
   };
 
+  const handleRemoveFriend = (friend) => {
+    if (window.confirm(`Remove ${friend.displayName || friend.username} from your friends?`)) {
+      onRemoveFriend(friend.username);
+    }
+  };
+
   if (!isVisible) return null;
 
   return (
@@ -49,24 +73,42 @@ export default function Friends({
         </div>
 
         <div className="friends-content">
+          {/* Our own code, to share with people who want to add us */}
+          <div className="friend-code-section">
+            {friendCode ? (
+              <>
+                <span className="friend-code-label">Your friend code</span>
+                <span className="friend-code">{friendCode}</span>
+              </>
+            ) : (
+              <span className="friend-code-label">Enter your name in the lobby to get a friend code</span>
+            )}
+          </div>
+
+          {notice && (
+            <div className={`friends-notice ${notice.type}`}>
+              {notice.message}
+            </div>
+          )}
+
           {/* Add Friend Section */}
           <div className="add-friend-section">
             <h3 className="section-title">Add Friend</h3>
             <form onSubmit={handleAddFriend} className="add-friend-form">
               <input
                 type="text"
-                value={newFriendUsername}
-                onChange={(e) => setNewFriendUsername(e.target.value)}
-                placeholder="Enter username"
+                value={newFriendCode}
+                onChange={(e) => setNewFriendCode(e.target.value)}
+                placeholder="Enter friend code"
                 className="friend-input"
-                minLength={3}
-                maxLength={20}
-                disabled={isAddingFriend}
+                minLength={4}
+                maxLength={12}
+                disabled={isAddingFriend || !friendCode}
               />
               <button
                 type="submit"
                 className="add-friend-button"
-                disabled={isAddingFriend || newFriendUsername.trim().length < 3}
+                disabled={isAddingFriend || !friendCode || newFriendCode.trim().length < 4}
               >
                 {isAddingFriend ? 'Sending...' : 'Add'}
               </button>
@@ -113,7 +155,7 @@ export default function Friends({
             {friends.length === 0 ? (
               <div className="empty-friends">
                 <p className="empty-text">No friends yet</p>
-                <p className="empty-subtext">Add friends by their username to play together!</p>
+                <p className="empty-subtext">Add friends by their friend code to play together!</p>
               </div>
             ) : (
               <div className="friends-list">
@@ -121,21 +163,42 @@ export default function Friends({
                   <div key={friend.username} className="friend-item">
                     <div className="friend-info">
                       <div className="friend-name">
-                        <span className="friend-username">{friend.displayName || friend.username}</span>
-                        <span className={`friend-status ${friend.online ? 'online' : 'offline'}`}>
-                          {friend.online ? '🟢 Online' : '⚫ Offline'}
+                        {onViewProfile ? (
+                          <button
+                            onClick={() => onViewProfile(friend.username)}
+                            className="friend-username profile-link"
+                            title="View profile"
+                          >
+                            {friend.displayName || friend.username}
+                          </button>
+                        ) : (
+                          <span className="friend-username">{friend.displayName || friend.username}</span>
+                        )}
+                        <span className={`friend-status ${friend.status || 'offline'}`}>
+                          {getStatusLabel(friend)}
                         </span>
                       </div>
                     </div>
                     
-                    {friend.online && (
-                      <button
-                        onClick={() => handleInviteFriend(friend.username)}
-                        className="invite-button"
-                      >
-                        Invite to Game
-                      </button>
-                    )}
+                    <div className="friend-actions">
+                      {friend.online && friend.status !== 'in-game' && onInviteFriend && (
+                        <button
+                          onClick={() => handleInviteFriend(friend.username)}
+                          className="invite-button"
+                        >
+                          Invite to Game
+                        </button>
+                      )}
+                      {onRemoveFriend && (
+                        <button
+                          onClick={() => handleRemoveFriend(friend)}
+                          className="remove-friend-button"
+                          title="Remove friend"
+                        >
+                          ×
+                        </button>
+                      )}
+                    </div>
                   </div>
                 ))}
               </div>
@@ -0,0 +1,147 @@
+// src/components/GameAnalysis.js - Engine analysis of a finished game: eval bar, eval graph and move notes
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import socketService from '../services/socketService';
+
+export const ANNOTATION_SYMBOLS = {
+  inaccuracy: '?!',
+  mistake: '?',
+  blunder: '??'
+};
+
+// Lichess-style winning chances, 0..100 for white, so the bar and graph do not
+// swing wildly between +8 and +12
+function whiteWinPercent(evaluation) {
+  const chances = 2 / (1 + Math.exp(-0.00368208 * evaluation.cp)) - 1;
+  return 50 + 50 * chances;
+}
+
+export function formatEval(evaluation) {
+  if (evaluation.mate !== undefined) {
+    return evaluation.mate === 0 ? '#' : `#${evaluation.mate}`;
+  }
+  const pawns = evaluation.cp / 100;
+  return `${pawns > 0 ? '+' : ''}${pawns.toFixed(1)}`;
+}
+
+// Evaluation after ply (-1 for the start position)
+export function getEvalAt(analysis, ply) {
+  return ply < 0 ? analysis.initialEval : analysis.moves[ply].eval;
+}
+
+// Fetches /games/:id/analysis on request. gameId is a live room id or a saved game id.
+export function useGameAnalysis(gameId) {
+  const [analysis, setAnalysis] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const currentId = useRef(gameId);
+
+  useEffect(() => {
+    currentId.current = gameId;
+    setAnalysis(null);
+    setIsLoading(false);
+    setError('');
+  }, [gameId]);
+
+  const requestAnalysis = useCallback(() => {
+    if (!gameId) return;
+    setIsLoading(true);
+    setError('');
+
+    fetch(`${socketService.getServerUrl()}/games/${gameId}/analysis`)
+      .then(async (response) => {
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error || 'Analysis failed');
+        return body;
+      })
+      .then((body) => {
+        if (currentId.current === gameId) setAnalysis(body);
+      })
+      .catch((err) => {
+        if (currentId.current === gameId) setError(err.message);
+      })
+      .finally(() => {
+        if (currentId.current === gameId) setIsLoading(false);
+      });
+  }, [gameId]);
+
+  return { analysis, isLoading, error, requestAnalysis };
+}
+
+// Vertical bar beside the board - white's share grows from the bottom (or the top when flipped)
+export function EvalBar({ evaluation, flipped }) {
+  const whiteShare = whiteWinPercent(evaluation);
+
+  return (
+    <div className={`eval-bar ${flipped ? 'flipped' : ''}`} title={formatEval(evaluation)}>
+      <div className="eval-bar-white" style={{ height: `${whiteShare}%` }} />
+      <span className={`eval-bar-label ${whiteShare >= 50 ? 'white-ahead' : 'black-ahead'}`}>
+        {formatEval(evaluation)}
+      </span>
+    </div>
+  );
+}
+
+// White's winning chances over the game; click to jump to a move
+export function EvalGraph({ analysis, ply, onSelectPly }) {
+  const width = 300;
+  const height = 60;
+  const evals = [analysis.initialEval, ...analysis.moves.map((move) => move.eval)];
+  const step = evals.length > 1 ? width / (evals.length - 1) : width;
+  const x = (index) => index * step;
+  const y = (evaluation) => height - (whiteWinPercent(evaluation) / 100) * height;
+
+  const line = evals.map((evaluation, index) => `${x(index).toFixed(1)},${y(evaluation).toFixed(1)}`).join(' L');
+  const area = `M0,${height} L${line} L${x(evals.length - 1).toFixed(1)},${height} Z`;
+
+  const handleClick = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const index = Math.round(((e.clientX - bounds.left) / bounds.width) * (evals.length - 1));
+    onSelectPly(Math.max(0, Math.min(evals.length - 1, index)) - 1);
+  };
+
+  return (
+    <svg className="eval-graph" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" onClick={handleClick}>
+      <line className="eval-graph-midline" x1="0" y1={height / 2} x2={width} y2={height / 2} />
+      <path className="eval-graph-area" d={area} />
+      <line className="eval-graph-cursor" x1={x(ply + 1)} y1="0" x2={x(ply + 1)} y2={height} />
+      {analysis.moves.map((move) => move.label && move.label !== 'inaccuracy' && (
+        <circle
+          key={move.ply}
+          className={`eval-graph-marker ${move.label}`}
+          cx={x(move.ply + 1)}
+          cy={y(move.eval)}
+          r="3"
+        />
+      ))}
+    </svg>
+  );
+}
+
+// What the engine thinks of the shown move, plus both sides' totals
+export function AnalysisNote({ analysis, ply }) {
+  const move = ply >= 0 ? analysis.moves[ply] : null;
+  const { white, black } = analysis.summary;
+  const countLine = (counts) => `${counts.inaccuracy} ?! · ${counts.mistake} ? · ${counts.blunder} ?? · ${counts.averageLoss} avg loss`;
+
+  return (
+    <div className="analysis-note">
+      <div className="analysis-move">
+        {move ? (
+          <>
+            <strong>{move.san}{ANNOTATION_SYMBOLS[move.label] || ''}</strong>
+            {' '}{formatEval(move.eval)}
+            {move.label && ` · ${move.label}`}
+            {move.bestMove && move.bestMove !== move.san && ` · best was ${move.bestMove}`}
+          </>
+        ) : (
+          <>Start position {formatEval(analysis.initialEval)}</>
+        )}
+      </div>
+      <div className="analysis-summary">
+        <span>⚪ {countLine(white)}</span>
+        <span>⚫ {countLine(black)}</span>
+      </div>
+      <div className="analysis-engine">{analysis.engine}</div>
+    </div>
+  );
+}
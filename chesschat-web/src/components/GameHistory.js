@@ -0,0 +1,161 @@
+// src/components/GameHistory.js - "My games" list of finished games, shown on the splash screen
+import React, { useState, useEffect } from 'react';
+import socketService from '../services/socketService';
+import { TIME_CONTROL_OPTIONS } from './Login';
+
+const RESULT_OPTIONS = [
+  { id: '', label: 'All results' },
+  { id: 'win', label: 'Wins' },
+  { id: 'draw', label: 'Draws' },
+  { id: 'loss', label: 'Losses' }
+];
+
+const RESULT_LABELS = { win: 'Won', draw: 'Drew', loss: 'Lost' };
+
+const PAGE_SIZE = 10;
+
+// Wait for typing to pause before searching by opponent name (ms)
+const SEARCH_DELAY = 300;
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleDateString() : '';
+}
+
+export default function GameHistory({ currentUserId, onOpenGame }) {
+  const [opponentInput, setOpponentInput] = useState('');
+  const [opponent, setOpponent] = useState('');
+  const [result, setResult] = useState('');
+  const [timeControl, setTimeControl] = useState('');
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setOpponent(opponentInput.trim());
+      setPage(1);
+    }, SEARCH_DELAY);
+    return () => clearTimeout(timeout);
+  }, [opponentInput]);
+
+  useEffect(() => {
+    const serverUrl = socketService.getServerUrl();
+    if (!serverUrl || !currentUserId) return;
+
+    const params = new URLSearchParams({ page, pageSize: PAGE_SIZE });
+    if (opponent) params.set('opponent', opponent);
+    if (result) params.set('result', result);
+    if (timeControl) params.set('timeControl', timeControl);
+
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+
+    fetch(`${serverUrl}/users/${encodeURIComponent(currentUserId)}/games?${params}`)
+      .then(async (response) => {
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error || 'Failed to load games');
+        return body;
+      })
+      .then((body) => {
+        if (!cancelled) setData(body);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUserId, opponent, result, timeControl, page]);
+
+  const changeFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  const totalPages = data ? Math.max(1, Math.ceil(data.total / PAGE_SIZE)) : 1;
+
+  return (
+    <div className="leaderboard game-history">
+      <input
+        type="text"
+        value={opponentInput}
+        onChange={(e) => setOpponentInput(e.target.value)}
+        placeholder="Search opponent"
+        className="form-input"
+        maxLength={100}
+      />
+      <div className="leaderboard-filters">
+        <select value={result} onChange={changeFilter(setResult)} className="form-input form-select">
+          {RESULT_OPTIONS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <select value={timeControl} onChange={changeFilter(setTimeControl)} className="form-input form-select">
+          <option value="">All time controls</option>
+          {TIME_CONTROL_OPTIONS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {!error && data && data.games.length === 0 && (
+        <div className="empty-friends">
+          <p className="empty-text">No games found</p>
+          <p className="empty-subtext">Finished games show up here</p>
+        </div>
+      )}
+
+      {!error && data && data.games.length > 0 && (
+        <ul className={`leaderboard-list ${isLoading ? 'loading' : ''}`}>
+          {data.games.map((game) => (
+            <li key={game.id}>
+              <button className="leaderboard-row history-row" onClick={() => onOpenGame(game.id)}>
+                <span className={`profile-result ${game.result}`}>{RESULT_LABELS[game.result]}</span>
+                <span className="leaderboard-name">
+                  {game.color === 'white' ? '⚪' : '⚫'} vs {game.opponent.displayName}
+                </span>
+                <span className="leaderboard-games">
+                  {game.timeControl} · {game.reason} · {formatDate(game.endedAt)}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {data && totalPages > 1 && (
+        <div className="leaderboard-pagination">
+          <button
+            type="button"
+            className="spectate-button"
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1 || isLoading}
+          >
+            ‹ Prev
+          </button>
+          <span className="leaderboard-page">{page} / {totalPages}</span>
+          <button
+            type="button"
+            className="spectate-button"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages || isLoading}
+          >
+            Next ›
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
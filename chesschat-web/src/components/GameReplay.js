@@ -0,0 +1,233 @@
+// src/components/GameReplay.js - Read-only move-by-move replay of a saved game
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import ChessBoard, { fenToBoard, fenToPockets, flipBoard } from './ChessBoard';
+import MoveList from './MoveList';
+import Timer from './Timer';
+import socketService from '../services/socketService';
+import { useGameAnalysis, getEvalAt, EvalBar, EvalGraph, AnalysisNote } from './GameAnalysis';
+import { createGame, VARIANT_NAMES } from '../variants';
+
+// Time between moves while autoplaying (ms)
+const AUTOPLAY_INTERVAL = 1000;
+
+function getResultText(replay) {
+  if (replay.winner === 'draw') return `Draw · ${replay.reason}`;
+  const winner = replay[replay.winner];
+  return winner ? `${winner.displayName} won · ${replay.reason}` : replay.reason;
+}
+
+export default function GameReplay({ gameId, currentUserId, onClose }) {
+  const [replay, setReplay] = useState(null);
+  const [error, setError] = useState('');
+  const [ply, setPly] = useState(-1); // index of the last move shown, -1 for the start position
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isFlipped, setIsFlipped] = useState(false);
+  const { analysis, isLoading: isAnalysing, error: analysisError, requestAnalysis } = useGameAnalysis(gameId);
+
+  useEffect(() => {
+    let cancelled = false;
+    setReplay(null);
+    setError('');
+    setPly(-1);
+    setIsPlaying(false);
+
+    fetch(`${socketService.getServerUrl()}/games/${gameId}`)
+      .then(async (response) => {
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error || 'Failed to load game');
+        return body;
+      })
+      .then((body) => {
+        if (cancelled) return;
+        setReplay(body);
+        setIsFlipped(body.black.username === currentUserId);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [gameId, currentUserId]);
+
+  // Board after every move, index 0 being the start position
+  const positions = useMemo(() => {
+    if (!replay) return [];
+    const chess = createGame(replay.startFen, replay.variant);
+    const fens = [chess.fen()];
+    replay.moves.forEach((san) => {
+      chess.move(san);
+      fens.push(chess.fen());
+    });
+    return fens;
+  }, [replay]);
+
+  const lastPly = replay ? replay.moves.length - 1 : -1;
+
+  const goTo = useCallback((target) => {
+    setPly(Math.max(-1, Math.min(lastPly, target)));
+  }, [lastPly]);
+
+  // Manual navigation stops autoplay
+  const step = useCallback((target) => {
+    setIsPlaying(false);
+    goTo(target);
+  }, [goTo]);
+
+  const togglePlay = useCallback(() => {
+    if (isPlaying) {
+      setIsPlaying(false);
+      return;
+    }
+    // Playing from the end starts over
+    if (ply >= lastPly) setPly(-1);
+    setIsPlaying(true);
+  }, [isPlaying, ply, lastPly]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (ply >= lastPly) {
+      setIsPlaying(false);
+      return;
+    }
+    const timeout = setTimeout(() => setPly(ply + 1), AUTOPLAY_INTERVAL);
+    return () => clearTimeout(timeout);
+  }, [isPlaying, ply, lastPly]);
+
+  useEffect(() => {
+    if (!replay) return;
+
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+
+      if (e.key === 'ArrowLeft') step(ply - 1);
+      else if (e.key === 'ArrowRight') step(ply + 1);
+      else if (e.key === 'Home' || e.key === 'ArrowUp') step(-1);
+      else if (e.key === 'End' || e.key === 'ArrowDown') step(lastPly);
+      else if (e.key === ' ') togglePlay();
+      else if (e.key === 'Escape') onClose();
+      else return;
+
+      e.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [replay, ply, lastPly, step, togglePlay, onClose]);
+
+  // Clock for a side as it stood after the shown move: the time left after that
+  // side's latest move so far, or the starting time if they have not moved yet
+  const getClock = (color) => {
+    if (!replay.clocks || !replay.timeControl) return null;
+
+    const firstMover = replay.startFen.split(' ')[1] === 'b' ? 'black' : 'white';
+    for (let i = ply; i >= 0; i--) {
+      const mover = i % 2 === 0 ? firstMover : (firstMover === 'white' ? 'black' : 'white');
+      if (mover === color) return replay.clocks[i];
+    }
+    return replay.timeControl.initial * 1000;
+  };
+
+  const renderPlayer = (color) => {
+    const player = replay[color];
+    const clock = getClock(color);
+
+    return (
+      <div className="replay-player">
+        <span className="replay-player-name">
+          {color === 'white' ? '⚪' : '⚫'} {player.displayName}
+          {player.rating !== null && <span className="replay-player-rating"> ({player.rating})</span>}
+        </span>
+        {clock !== null && (
+          <Timer time={clock} isActive={false} timeControl={replay.timeControl} />
+        )}
+      </div>
+    );
+  };
+
+  const board = positions.length > 0 ? fenToBoard(positions[ply + 1]) : [];
+
+  // Crazyhouse pockets, the bottom player's below the board
+  const getPockets = () => {
+    const pockets = positions.length > 0 ? fenToPockets(positions[ply + 1]) : null;
+    if (!pockets) return null;
+    const bottom = isFlipped ? 'black' : 'white';
+    const top = bottom === 'white' ? 'black' : 'white';
+    return {
+      top: { color: top, pieces: pockets[top], interactive: false },
+      bottom: { color: bottom, pieces: pockets[bottom], interactive: false }
+    };
+  };
+
+  return (
+    <div className="replay-screen">
+      <div className="replay-panel">
+        <div className="friends-header">
+          <h2 className="friends-title">
+            {replay ? `${replay.white.displayName} vs ${replay.black.displayName}` : 'Game replay'}
+          </h2>
+          <button onClick={onClose} className="close-button">×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {!error && !replay && <p className="empty-text">Loading...</p>}
+
+        {replay && (
+          <div className="replay-content">
+            <div className="replay-summary">
+              {getResultText(replay)}
+              {replay.timeControl && ` · ${replay.timeControl.id}`}
+              {` · ${replay.rated ? 'rated' : 'casual'}`}
+              {replay.variant !== 'standard' && ` · ${VARIANT_NAMES[replay.variant]}`}
+            </div>
+
+            {renderPlayer(isFlipped ? 'white' : 'black')}
+            <div className="chess-board-container replay-board board-with-eval">
+              {analysis && <EvalBar evaluation={getEvalAt(analysis, ply)} flipped={isFlipped} />}
+              <ChessBoard
+                board={isFlipped ? flipBoard(board) : board}
+                selectedSquare={null}
+                onSquarePress={() => {}}
+                pockets={getPockets()}
+              />
+            </div>
+            {renderPlayer(isFlipped ? 'black' : 'white')}
+
+            <div className="replay-controls">
+              <button className="spectate-button" onClick={() => step(-1)} disabled={ply <= -1} title="First move (Home)">⏮</button>
+              <button className="spectate-button" onClick={() => step(ply - 1)} disabled={ply <= -1} title="Previous move (←)">‹</button>
+              <button className="spectate-button" onClick={togglePlay} disabled={lastPly < 0} title="Autoplay (Space)">
+                {isPlaying ? '⏸' : '▶'}
+              </button>
+              <button className="spectate-button" onClick={() => step(ply + 1)} disabled={ply >= lastPly} title="Next move (→)">›</button>
+              <button className="spectate-button" onClick={() => step(lastPly)} disabled={ply >= lastPly} title="Last move (End)">⏭</button>
+              <button className="spectate-button" onClick={() => setIsFlipped(!isFlipped)} title="Flip board">⇅</button>
+              {!analysis && replay.variant === 'standard' && (
+                <button className="spectate-button" onClick={requestAnalysis} disabled={isAnalysing} title="Engine analysis">
+                  {isAnalysing ? 'Analysing...' : '🔍 Analyse'}
+                </button>
+              )}
+            </div>
+
+            <MoveList
+              moves={replay.moves}
+              startFen={replay.startFen}
+              viewIndex={ply}
+              onSelectMove={step}
+              annotations={analysis ? analysis.moves.map((move) => move.label) : null}
+            />
+
+            {analysisError && <div className="error-message">{analysisError}</div>}
+            {analysis && (
+              <div className="analysis-panel">
+                <EvalGraph analysis={analysis} ply={ply} onSelectPly={step} />
+                <AnalysisNote analysis={analysis} ply={ply} />
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,15 @@
 // src/components/GameScreen.js - Fixed video status and improved game end logic
-import React, { useState, useEffect } from 'react';
-import ChessBoard from './ChessBoard';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import ChessBoard, { fenToBoard, flipBoard } from './ChessBoard';
 import Timer from './Timer';
+import MoveList from './MoveList';
 import VideoCall from './VideoCall';
+import PlayerProfile from './PlayerProfile';
+import { useGameAnalysis, getEvalAt, EvalBar, EvalGraph, AnalysisNote } from './GameAnalysis';
 import socketService from '../services/socketService';
 import dailyService from '../services/dailyService';
 import { Chess } from 'chess.js';
+import { createGame, VARIANT_NAMES, CHECKS_TO_WIN } from '../variants';
 
 // Enhanced Audio Manager with better mobile support
 class AudioManager {
@@ -78,6 +82,12 @@ class AudioManager {
     this.playTone(1000, 0.2, 'check');
   }
 
+  // Rising two-note chime; underpromotions get a lower second note so they stand out
+  playPromotionSound(piece) {
+    this.playTone(900, 0.12, 'move');
+    setTimeout(() => this.playTone(piece === 'q' ? 1200 : 700, 0.2, 'move'), 120);
+  }
+
   async ensureAudioReady() {
     await this.initialize();
     if (this.audioContext && this.audioContext.state === 'suspended') {
@@ -93,32 +103,7 @@ class AudioManager {
 
 const audioManager = new AudioManager();
 
-// Convert FEN to board array for display
-function fenToBoard(fen) {
-  const chess = new Chess(fen);
-  const board = [];
-  
-  for (let rank = 0; rank < 8; rank++) {
-    const row = [];
-    for (let file = 0; file < 8; file++) {
-      const square = String.fromCharCode(97 + file) + (8 - rank);
-      const piece = chess.get(square);
-      
-      if (piece) {
-        let pieceChar = piece.type.toUpperCase();
-        if (piece.color === 'b') {
-          pieceChar = piece.type.toLowerCase();
-        }
-        row.push(pieceChar);
-      } else {
-        row.push(null);
-      }
-    }
-    board.push(row);
-  }
-  
-  return board;
-}
+const PIECE_NAMES = { q: 'queen', r: 'rook', b: 'bishop', n: 'knight' };
 
 function positionToSquare(row, col, isFlipped = false) {
   if (isFlipped) {
@@ -128,9 +113,6 @@ function positionToSquare(row, col, isFlipped = false) {
   return String.fromCharCode(97 + col) + (8 - row);
 }
 
-function flipBoard(board) {
-  return board.slice().reverse().map(row => row.slice().reverse());
-}
 
 // Notification Component
 function NotificationBar({ notification, onClose }) {
@@ -150,6 +132,18 @@ function NotificationBar({ notification, onClose }) {
   );
 }
 
+// Countdown for how long a disconnected opponent has to come back
+function ReconnectCountdown({ deadline }) {
+  const [now, setNow] = useState(() => performance.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(performance.now()), 500);
+    return () => clearInterval(interval);
+  }, []);
+
+  return <>{Math.max(0, Math.ceil((deadline - now) / 1000))}s</>;
+}
+
 // Game Status Indicator
 function GameStatusIndicator({ status }) {
   if (!status) return null;
@@ -161,13 +155,18 @@ function GameStatusIndicator({ status }) {
   );
 }
 
-export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
+export default function GameScreen({ currentUser, gameData, connectionStatus, onBackToSplash }) {
   const [board, setBoard] = useState([]);
   const [displayBoard, setDisplayBoard] = useState([]);
   const [selectedSquare, setSelectedSquare] = useState(null);
+  const [pendingPromotion, setPendingPromotion] = useState(null); // { from, to }
+  const [selectedDrop, setSelectedDrop] = useState(null); // crazyhouse pocket piece picked to drop
   const [gameStatus, setGameStatus] = useState('playing');
-  const [whiteTime, setWhiteTime] = useState(10 * 60);
-  const [blackTime, setBlackTime] = useState(10 * 60);
+  // Clock values are milliseconds as of clockSyncedAt (performance.now() when received)
+  const [whiteTime, setWhiteTime] = useState((gameData?.timeControl?.initial ?? 0) * 1000);
+  const [blackTime, setBlackTime] = useState((gameData?.timeControl?.initial ?? 0) * 1000);
+  const [clockSyncedAt, setClockSyncedAt] = useState(null);
+  const [timeControl, setTimeControl] = useState(gameData?.timeControl || null);
   const [gameWinner, setGameWinner] = useState(null);
   const [gameEndReason, setGameEndReason] = useState(null);
   
@@ -178,6 +177,16 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
   const [opponent, setOpponent] = useState(null);
   const [gameChess, setGameChess] = useState(new Chess());
   
+  // Rules the game is played under; socket handlers registered once read it through the ref
+  const variant = gameData?.settings?.variant || 'standard';
+  const variantRef = useRef(variant);
+  variantRef.current = variant;
+  
+  // Move history (SAN) from the server; previewIndex is the ply being looked at, null = live
+  const [moveHistory, setMoveHistory] = useState([]);
+  const [startFen, setStartFen] = useState(null);
+  const [previewIndex, setPreviewIndex] = useState(null);
+  
   // UI state
   const [notification, setNotification] = useState(null);
   const [gameStatusIndicator, setGameStatusIndicator] = useState(null);
@@ -189,6 +198,39 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
   
   // Exit confirmation state
   const [showExitConfirm, setShowExitConfirm] = useState(false);
+  
+  // Pending draw offer: { by: 'white' | 'black' } or null
+  const [drawOffer, setDrawOffer] = useState(null);
+  
+  // Takebacks: room setting plus any pending request { by, plies }
+  const [allowTakebacks, setAllowTakebacks] = useState(gameData?.settings?.allowTakebacks !== false);
+  const [takebackRequest, setTakebackRequest] = useState(null);
+  
+  // Rematch offer { by } after the game, and the session score { games, white, black }
+  const [rematchOffer, setRematchOffer] = useState(null);
+  const [headToHead, setHeadToHead] = useState(null);
+  
+  // Ratings going into the game, and the changes once a rated game is saved
+  const [ratings, setRatings] = useState(null);
+  const [ratingChanges, setRatingChanges] = useState(null);
+  
+  // Spectators watch read-only from white's side
+  const isSpectator = !!gameData?.spectator;
+  const [spectatorCount, setSpectatorCount] = useState(0);
+  
+  // Opponent dropped out: { displayName, deadline } (deadline is a performance.now() value)
+  const [opponentDisconnect, setOpponentDisconnect] = useState(null);
+
+  // Player whose profile is open
+  const [profileUsername, setProfileUsername] = useState(null);
+
+  // Engine analysis, available once the game is over
+  const {
+    analysis,
+    isLoading: isAnalysing,
+    error: analysisError,
+    requestAnalysis
+  } = useGameAnalysis(gameStatus === 'ended' ? roomId : null);
 
   // Initialize game from gameData prop
   useEffect(() => {
@@ -198,13 +240,39 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
       setRoomId(gameData.roomId);
       setPlayerColor(gameData.color);
       setOpponent(gameData.opponent);
+      setTimeControl(gameData.timeControl || null);
+      setAllowTakebacks(gameData.settings?.allowTakebacks !== false);
+      setSelectedSquare(null);
+      setSelectedDrop(null);
+      setDrawOffer(null);
+      setTakebackRequest(null);
+      setRematchOffer(null);
+      setHeadToHead(gameData.gameState.headToHead || null);
+      setRatings(gameData.gameState.ratings || null);
+      setRatingChanges(gameData.gameState.ratingChanges || null);
+      setSpectatorCount(gameData.gameState.spectatorCount || 0);
+      setMoveHistory(gameData.gameState.moves || []);
+      setStartFen(gameData.gameState.startFen || null);
+      setPreviewIndex(null);
       
-      const chess = new Chess(gameData.gameState.fen);
+      // A resumed (or spectated) game may already be over
+      if (gameData.gameState.gameStatus === 'ended' && gameData.result) {
+        setGameStatus('ended');
+        setGameWinner(gameData.result.winner);
+        setGameEndReason(gameData.result.reason);
+      } else {
+        setGameStatus('playing');
+        setGameWinner(null);
+        setGameEndReason(null);
+      }
+      
+      const chess = createGame(gameData.gameState.fen, gameData.settings?.variant);
       setGameChess(chess);
       setBoard(fenToBoard(gameData.gameState.fen));
       setCurrentTurn(gameData.gameState.currentTurn);
       setWhiteTime(gameData.gameState.whiteTime);
       setBlackTime(gameData.gameState.blackTime);
+      setClockSyncedAt(gameData.gameState.receivedAt || performance.now());
       
       // Set up video room
       if (gameData.videoRoom && gameData.videoRoom.url) {
@@ -215,6 +283,10 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
         setVideoRoomUrl(null);
       }
       
+      if (gameData.rematch) {
+        setNotification({ message: `Rematch! You play ${gameData.color} this time`, type: 'success' });
+      }
+      
       audioManager.playMoveSound();
     }
   }, [gameData]);
@@ -247,16 +319,27 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
     };
   }, [userHasInteracted]);
 
-  // Update display board when game board or player color changes
+  // Position after the previewed move, replayed locally from the start position
+  const previewGame = useMemo(() => {
+    if (previewIndex === null) return null;
+    const chess = startFen ? createGame(startFen, variant) : new Chess();
+    moveHistory.slice(0, previewIndex + 1).forEach((san) => chess.move(san));
+    return chess;
+  }, [previewIndex, moveHistory, startFen, variant]);
+
+  const previewBoard = useMemo(() => previewGame && fenToBoard(previewGame.fen()), [previewGame]);
+
+  // Update display board when game board, preview or player color changes
   useEffect(() => {
-    if (board.length > 0) {
+    const source = previewBoard || board;
+    if (source.length > 0) {
       if (playerColor === 'black') {
-        setDisplayBoard(flipBoard(board));
+        setDisplayBoard(flipBoard(source));
       } else {
-        setDisplayBoard(board);
+        setDisplayBoard(source);
       }
     }
-  }, [board, playerColor]);
+  }, [board, previewBoard, playerColor]);
 
   // ENHANCED: Component cleanup with video cleanup only on component unmount
   useEffect(() => {
@@ -289,20 +372,44 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
 
   // Game event handlers
   useEffect(() => {
+    // Apply a server clock snapshot (remaining ms for both sides)
+    const syncClock = (data) => {
+      if (typeof data.whiteTime !== 'number') return;
+      setWhiteTime(data.whiteTime);
+      setBlackTime(data.blackTime);
+      setClockSyncedAt(data.receivedAt || performance.now());
+    };
+
     const handleMoveMade = async (data) => {
       console.log('♟️ Move made');
-      const chess = new Chess(data.fen);
+      const chess = createGame(data.fen, variantRef.current);
       setGameChess(chess);
       setBoard(fenToBoard(data.fen));
       setCurrentTurn(data.currentTurn);
-      setWhiteTime(data.whiteTime);
-      setBlackTime(data.blackTime);
+      syncClock(data);
       setSelectedSquare(null);
+      setSelectedDrop(null);
+      setPendingPromotion(null);
+      if (data.moves) {
+        setMoveHistory(data.moves);
+      }
       
       await audioManager.ensureAudioReady();
-      audioManager.playMoveSound();
+      if (data.promotion) {
+        audioManager.playPromotionSound(data.promotion);
+        if (data.promotion !== 'q') {
+          showNotification(`Underpromotion to ${PIECE_NAMES[data.promotion]}!`, 'info');
+        }
+      } else {
+        audioManager.playMoveSound();
+      }
       
-      if (chess.isCheck()) {
+      // Variant wins get their own banner instead of the check one
+      if (data.reason === 'three-checks') {
+        showGameStatus('THIRD CHECK!', 'checkmate', 3000);
+      } else if (data.reason === 'king-of-the-hill') {
+        showGameStatus('KING OF THE HILL!', 'checkmate', 3000);
+      } else if (chess.isCheck()) {
         if (chess.isCheckmate()) {
           showGameStatus('CHECKMATE!', 'checkmate', 3000);
         } else {
@@ -321,6 +428,7 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
     const handleInvalidMove = (data) => {
       audioManager.playErrorSound();
       setSelectedSquare(null);
+      setSelectedDrop(null);
       
       // Better error message
       if (data.reason && data.reason.includes('not active')) {
@@ -334,6 +442,10 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
       setGameStatus('ended');
       setGameWinner(data.winner);
       setGameEndReason(data.reason);
+      setDrawOffer(null);
+      setTakebackRequest(null);
+      setOpponentDisconnect(null);
+      syncClock(data);
       
       // CRITICAL: DON'T clean up video - let players stay and chat about the game
       console.log('🎥 Game ended - keeping video chat active for post-game discussion');
@@ -347,11 +459,93 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
         showGameStatus('STALEMATE!', 'check', 5000);
       } else if (data.reason === 'draw') {
         showGameStatus('DRAW!', 'check', 5000);
+      } else if (data.reason === 'agreement') {
+        showGameStatus('DRAW AGREED', 'check', 5000);
       } else if (data.reason === 'resignation') {
         showGameStatus('GAME ENDED', 'check', 3000);
       }
     };
 
+    const handleDrawOffered = (data) => {
+      setDrawOffer({ by: data.by });
+    };
+
+    const handleDrawDeclined = (data) => {
+      setDrawOffer(null);
+      if (!data.implicit) {
+        showNotification('Draw offer declined', 'info');
+      }
+    };
+
+    const handleDrawOfferCancelled = () => {
+      setDrawOffer(null);
+    };
+
+    const handleTakebackRequested = (data) => {
+      setTakebackRequest({ by: data.by, plies: data.plies });
+    };
+
+    const handleTakebackDeclined = () => {
+      setTakebackRequest(null);
+      showNotification('Takeback declined', 'info');
+    };
+
+    const handleTakebackCancelled = () => {
+      setTakebackRequest(null);
+    };
+
+    const handleRematchOffered = (data) => {
+      setRematchOffer({ by: data.by });
+    };
+
+    const handleRematchDeclined = () => {
+      setRematchOffer(null);
+      showNotification('Rematch declined', 'info');
+    };
+
+    const handleHeadToHead = (data) => {
+      setHeadToHead(data);
+    };
+
+    const handleRatingUpdate = (data) => {
+      setRatingChanges(data);
+    };
+
+    const handleSpectatorCount = (data) => {
+      setSpectatorCount(data.count);
+    };
+
+    const handleOpponentDisconnected = (data) => {
+      setOpponentDisconnect({
+        displayName: data.displayName,
+        deadline: performance.now() + data.graceMs
+      });
+    };
+
+    const handleOpponentReconnected = () => {
+      setOpponentDisconnect(null);
+      showNotification('Opponent reconnected', 'success');
+    };
+
+    // Full resync from the server (after a takeback)
+    const handleGameSync = (data) => {
+      const chess = createGame(data.fen, variantRef.current);
+      setGameChess(chess);
+      setBoard(fenToBoard(data.fen));
+      setCurrentTurn(data.currentTurn);
+      setSelectedSquare(null);
+      setSelectedDrop(null);
+      setDrawOffer(null);
+      setTakebackRequest(null);
+      setMoveHistory(data.moves || []);
+      setPreviewIndex(null);
+      syncClock(data);
+      
+      if (data.reason === 'takeback') {
+        showNotification('Move taken back', 'success');
+      }
+    };
+
     // NEW: Handle exit game event - this WILL clean up video for both players
     const handleExitGame = async () => {
       console.log('🚪 Both players exiting game - cleaning up video and returning to splash');
@@ -372,8 +566,7 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
     };
 
     const handleTimeUpdate = (data) => {
-      setWhiteTime(data.whiteTime);
-      setBlackTime(data.blackTime);
+      syncClock(data);
     };
 
     const handleError = (data) => {
@@ -393,6 +586,20 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
     socketService.on('game-ended', handleGameEnded);
     socketService.on('exit-game', handleExitGame); // NEW event
     socketService.on('time-update', handleTimeUpdate);
+    socketService.on('draw-offered', handleDrawOffered);
+    socketService.on('draw-declined', handleDrawDeclined);
+    socketService.on('draw-offer-cancelled', handleDrawOfferCancelled);
+    socketService.on('takeback-requested', handleTakebackRequested);
+    socketService.on('takeback-declined', handleTakebackDeclined);
+    socketService.on('takeback-cancelled', handleTakebackCancelled);
+    socketService.on('game-sync', handleGameSync);
+    socketService.on('rematch-offered', handleRematchOffered);
+    socketService.on('rematch-declined', handleRematchDeclined);
+    socketService.on('head-to-head', handleHeadToHead);
+    socketService.on('rating-update', handleRatingUpdate);
+    socketService.on('spectator-count', handleSpectatorCount);
+    socketService.on('opponent-disconnected', handleOpponentDisconnected);
+    socketService.on('opponent-reconnected', handleOpponentReconnected);
     socketService.on('error', handleError);
 
     return () => {
@@ -401,12 +608,34 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
       socketService.off('game-ended', handleGameEnded);
       socketService.off('exit-game', handleExitGame); // NEW event
       socketService.off('time-update', handleTimeUpdate);
+      socketService.off('draw-offered', handleDrawOffered);
+      socketService.off('draw-declined', handleDrawDeclined);
+      socketService.off('draw-offer-cancelled', handleDrawOfferCancelled);
+      socketService.off('takeback-requested', handleTakebackRequested);
+      socketService.off('takeback-declined', handleTakebackDeclined);
+      socketService.off('takeback-cancelled', handleTakebackCancelled);
+      socketService.off('game-sync', handleGameSync);
+      socketService.off('rematch-offered', handleRematchOffered);
+      socketService.off('rematch-declined', handleRematchDeclined);
+      socketService.off('head-to-head', handleHeadToHead);
+      socketService.off('rating-update', handleRatingUpdate);
+      socketService.off('spectator-count', handleSpectatorCount);
+      socketService.off('opponent-disconnected', handleOpponentDisconnected);
+      socketService.off('opponent-reconnected', handleOpponentReconnected);
       socketService.off('error', handleError);
     };
   }, [onBackToSplash]);
 
   // Chess move handling
   const handleSquarePress = async (row, col) => {
+    if (isSpectator) return;
+    
+    // Touching the board while looking at an old position jumps back to the game
+    if (previewIndex !== null) {
+      setPreviewIndex(null);
+      return;
+    }
+    
     if (gameStatus !== 'playing') {
       // Better message when trying to move after game ended
       if (gameStatus === 'ended') {
@@ -422,6 +651,12 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
     
     await audioManager.ensureAudioReady();
     
+    // A pocket piece is waiting for its square
+    if (selectedDrop) {
+      playDrop(selectedDrop, positionToSquare(row, col, playerColor === 'black'));
+      return;
+    }
+    
     if (selectedSquare) {
       const [fromRow, fromCol] = selectedSquare;
       if (fromRow === row && fromCol === col) {
@@ -432,20 +667,28 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
       const fromSquare = positionToSquare(fromRow, fromCol, playerColor === 'black');
       const toSquare = positionToSquare(row, col, playerColor === 'black');
       
-      const testChess = new Chess(gameChess.fen());
+      // Pawn reaching the last rank - let the player pick the piece first
+      const isPromotion = gameChess
+        .moves({ square: fromSquare, verbose: true })
+        .some((m) => m.to === toSquare && m.promotion);
+      if (isPromotion) {
+        setPendingPromotion({ from: fromSquare, to: toSquare });
+        return;
+      }
+      
+      // Chess960 castling is king-takes-rook: select the king, then the rook
+      const testChess = createGame(gameChess.fen(), variant);
       try {
         const move = testChess.move({
           from: fromSquare,
-          to: toSquare,
-          promotion: 'q'
+          to: toSquare
         });
         
         if (move) {
           socketService.makeMove(roomId, {
             from: fromSquare,
-            to: toSquare,
-            promotion: 'q'
-          }, playerColor);
+            to: toSquare
+          });
         } else {
           audioManager.playErrorSound();
           setSelectedSquare(null);
@@ -470,8 +713,62 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
     }
   };
 
+  const handlePromotionSelect = (piece) => {
+    if (!pendingPromotion) return;
+    socketService.makeMove(roomId, {
+      from: pendingPromotion.from,
+      to: pendingPromotion.to,
+      promotion: piece
+    });
+    setPendingPromotion(null);
+  };
+
+  const handlePromotionCancel = () => {
+    setPendingPromotion(null);
+    setSelectedSquare(null);
+  };
+
+  // Crazyhouse drops: check locally like a move, then send { drop, to }
+  const playDrop = (type, square) => {
+    setSelectedDrop(null);
+    try {
+      createGame(gameChess.fen(), variant).move({ drop: type, to: square });
+      socketService.makeMove(roomId, { drop: type, to: square });
+    } catch (error) {
+      audioManager.playErrorSound();
+    }
+  };
+
+  const canDropNow = () => (
+    !isSpectator && previewIndex === null && gameStatus === 'playing' && currentTurn === playerColor
+  );
+
+  const handlePocketPiecePress = (type) => {
+    if (!canDropNow()) {
+      audioManager.playErrorSound();
+      return;
+    }
+    setSelectedSquare(null);
+    setSelectedDrop(selectedDrop === type ? null : type);
+  };
+
+  const handlePieceDrop = (type, row, col) => {
+    if (!canDropNow()) {
+      audioManager.playErrorSound();
+      return;
+    }
+    setSelectedSquare(null);
+    playDrop(type, positionToSquare(row, col, playerColor === 'black'));
+  };
+
   // UPDATED: Handle action button click - different behavior for active vs ended games
   const handleActionButton = () => {
+    if (isSpectator) {
+      socketService.leaveSpectate(roomId);
+      onBackToSplash();
+      return;
+    }
+    
     if (gameStatus === 'playing') {
       // During active game - this is resign
       console.log('🏳️ Player wants to resign during active game');
@@ -492,7 +789,7 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
       if (gameStatus === 'playing') {
         // During active game - resign (ends game but keeps video)
         console.log('📤 Resigning from active game - game will end but video continues');
-        socketService.resign(roomId, playerColor);
+        socketService.resign(roomId);
         
         // Small delay to let server process resignation
         await new Promise(resolve => setTimeout(resolve, 300));
@@ -511,8 +808,95 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
     setShowExitConfirm(false);
   };
 
+  // Draw offer actions
+  const handleOfferDraw = () => {
+    socketService.offerDraw(roomId);
+  };
+
+  const handleAcceptDraw = () => {
+    socketService.acceptDraw(roomId);
+  };
+
+  const handleDeclineDraw = () => {
+    socketService.declineDraw(roomId);
+  };
+
+  const incomingDrawOffer = !isSpectator && drawOffer && drawOffer.by !== playerColor && gameStatus === 'playing';
+  const outgoingDrawOffer = !isSpectator && drawOffer && drawOffer.by === playerColor && gameStatus === 'playing';
+
+  // Takeback actions
+  const handleRequestTakeback = () => {
+    socketService.requestTakeback(roomId);
+  };
+
+  const handleRespondTakeback = (accept) => {
+    socketService.respondTakeback(roomId, accept);
+  };
+
+  const incomingTakeback = !isSpectator && takebackRequest && takebackRequest.by !== playerColor && gameStatus === 'playing';
+  const outgoingTakeback = !isSpectator && takebackRequest && takebackRequest.by === playerColor && gameStatus === 'playing';
+
+  // Rematch actions
+  const handleOfferRematch = () => {
+    socketService.offerRematch(roomId);
+  };
+
+  const handleAcceptRematch = () => {
+    socketService.acceptRematch(roomId);
+  };
+
+  const handleDeclineRematch = () => {
+    socketService.declineRematch(roomId);
+  };
+
+  const incomingRematch = !isSpectator && rematchOffer && rematchOffer.by !== playerColor && gameStatus === 'ended';
+  const outgoingRematch = !isSpectator && rematchOffer && rematchOffer.by === playerColor && gameStatus === 'ended';
+
+  // Session score, e.g. "You 1½ - ½ Bob"
+  const formatPoints = (points) => {
+    const whole = Math.floor(points);
+    const half = points % 1 !== 0 ? '½' : '';
+    return whole === 0 && half ? half : `${whole}${half}`;
+  };
+
+  const getHeadToHeadText = () => {
+    if (isSpectator) {
+      return `${getPlayerName('white')} ${formatPoints(headToHead.white)} - ${formatPoints(headToHead.black)} ${getPlayerName('black')}`;
+    }
+    const opponentColor = playerColor === 'white' ? 'black' : 'white';
+    return `You ${formatPoints(headToHead[playerColor])} - ${formatPoints(headToHead[opponentColor])} ${opponent?.username || 'Opponent'}`;
+  };
+
+  // Move list navigation - clicking the latest move is the same as going live
+  const handleSelectMove = (index) => {
+    setSelectedSquare(null);
+    setPreviewIndex(index === moveHistory.length - 1 ? null : index);
+  };
+
+  const handleBackToLive = () => {
+    setPreviewIndex(null);
+  };
+
+  // Ply on the board: the previewed move, or the latest one
+  const shownPly = previewIndex ?? moveHistory.length - 1;
+  const shownGame = previewGame || gameChess;
+
+  // Crazyhouse pockets for the shown position, ours below the board
+  const getPockets = () => {
+    if (variant !== 'crazyhouse' || !shownGame.pockets) return null;
+    const bottom = playerColor === 'black' ? 'black' : 'white';
+    const top = bottom === 'white' ? 'black' : 'white';
+    return {
+      top: { color: top, pieces: shownGame.pockets[top[0]], interactive: false },
+      bottom: { color: bottom, pieces: shownGame.pockets[bottom[0]], interactive: canDropNow() }
+    };
+  };
+
   // Get display names for players
   const getPlayerName = (color) => {
+    if (isSpectator) {
+      return gameData.players?.[color] || color;
+    }
     if (playerColor === color) {
       return 'You';
     } else {
@@ -520,7 +904,54 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
     }
   };
 
+  // Server user id of the player on a side, or null for ourselves
+  const getPlayerId = (color) => {
+    if (isSpectator) {
+      return gameData.playerIds?.[color] || null;
+    }
+    return playerColor === color ? null : opponent?.userId || null;
+  };
+
+  const renderPlayerName = (color) => {
+    const playerId = getPlayerId(color);
+    if (!playerId) {
+      return <span>{getPlayerName(color)}</span>;
+    }
+    return (
+      <button className="profile-link" onClick={() => setProfileUsername(playerId)} title="View profile">
+        {getPlayerName(color)}
+      </button>
+    );
+  };
+
+  // Name with rating, e.g. "You (1512)" - a "?" marks a provisional rating
+  const formatRating = ({ rating, provisional }) => `${rating}${provisional ? '?' : ''}`;
+
+  const getPlayerLabel = (color) => {
+    const name = getPlayerName(color);
+    return ratings ? `${name} (${formatRating(ratings[color])})` : name;
+  };
+
+  // "You 1512 (+12) · Bob 1488 (-12)"
+  const getRatingSummary = () => {
+    return ['white', 'black'].map((color) => {
+      const { after, change, provisional } = ratingChanges[color];
+      const sign = change > 0 ? '+' : '';
+      return `${getPlayerName(color)} ${formatRating({ rating: after, provisional })} (${sign}${change})`;
+    }).join(' · ');
+  };
+
   const getCurrentPlayerName = () => {
+    if (isSpectator) {
+      if (gameStatus !== 'ended') {
+        return `Watching - ${getPlayerName(currentTurn)}'s turn`;
+      }
+      if (gameWinner === 'draw') {
+        return `Draw! ${gameEndReason || ''}`;
+      }
+      return `${getPlayerName(gameWinner)} won! ${gameEndReason || ''}`;
+    }
+    
     if (gameStatus === 'ended') {
       // Show game result
       if (gameWinner === 'draw') {
@@ -539,6 +970,9 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
 
   // UPDATED: Dynamic button text and behavior
   const getActionButtonText = () => {
+    if (isSpectator) {
+      return 'Leave';
+    }
     if (gameStatus === 'playing') {
       return 'Resign';
     } else {
@@ -555,6 +989,13 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
       <NotificationBar notification={notification} onClose={hideNotification} />
       
       {/* UPDATED: Custom confirmation modal with different messages */}
+      {profileUsername && (
+        <PlayerProfile
+          username={profileUsername}
+          onClose={() => setProfileUsername(null)}
+        />
+      )}
+
       {showExitConfirm && (
         <div className="friends-overlay">
           <div className="invitation-modal">
@@ -591,16 +1032,155 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
         </div>
       )}
       
+      {connectionStatus === 'disconnected' && (
+        <div className="offer-banner connection-banner">
+          <span className="offer-banner-text">
+            Connection lost - reconnecting... your clock is still running
+          </span>
+        </div>
+      )}
+      
+      {opponentDisconnect && gameStatus === 'playing' && (
+        <div className="offer-banner connection-banner">
+          <span className="offer-banner-text">
+            {opponentDisconnect.displayName || 'Opponent'} disconnected - waiting <ReconnectCountdown deadline={opponentDisconnect.deadline} /> for them to return
+          </span>
+        </div>
+      )}
+      
+      {incomingDrawOffer && (
+        <div className="offer-banner">
+          <span className="offer-banner-text">
+            {opponent?.username || 'Opponent'} offers a draw
+          </span>
+          <div className="offer-banner-actions">
+            <button onClick={handleAcceptDraw} className="accept-button">
+              Accept
+            </button>
+            <button onClick={handleDeclineDraw} className="decline-button">
+              Decline
+            </button>
+          </div>
+        </div>
+      )}
+      
+      {incomingRematch && (
+        <div className="offer-banner">
+          <span className="offer-banner-text">
+            {opponent?.username || 'Opponent'} wants a rematch
+          </span>
+          <div className="offer-banner-actions">
+            <button onClick={handleAcceptRematch} className="accept-button">
+              Accept
+            </button>
+            <button onClick={handleDeclineRematch} className="decline-button">
+              Decline
+            </button>
+          </div>
+        </div>
+      )}
+      
+      {incomingTakeback && (
+        <div className="offer-banner">
+          <span className="offer-banner-text">
+            {opponent?.username || 'Opponent'} asks to take back {takebackRequest.plies === 2 ? 'their last move and your reply' : 'their last move'}
+          </span>
+          <div className="offer-banner-actions">
+            <button onClick={() => handleRespondTakeback(true)} className="accept-button">
+              Accept
+            </button>
+            <button onClick={() => handleRespondTakeback(false)} className="decline-button">
+              Decline
+            </button>
+          </div>
+        </div>
+      )}
+      
       <div className="header">
-        <div style={{ minWidth: '100px' }}>
-          {/* Empty space for symmetry */}
+        <div className="header-actions" style={{ minWidth: '100px' }}>
+          {gameStatus === 'playing' && !isSpectator && (
+            <button
+              className="header-button draw-button"
+              onClick={handleOfferDraw}
+              disabled={!!drawOffer}
+            >
+              {outgoingDrawOffer ? 'Draw Offered' : 'Offer Draw'}
+            </button>
+          )}
+          {gameStatus === 'ended' && !isSpectator && (
+            <button
+              className="header-button draw-button"
+              onClick={handleOfferRematch}
+              disabled={outgoingRematch}
+            >
+              {outgoingRematch ? 'Rematch Offered' : 'Rematch'}
+            </button>
+          )}
+          {gameStatus === 'ended' && roomId && (
+            <a
+              className="header-button draw-button"
+              href={`${socketService.getServerUrl()}/games/${roomId}/pgn`}
+              download
+            >
+              Download PGN
+            </a>
+          )}
+          {gameStatus === 'ended' && roomId && !analysis && variant === 'standard' && (
+            <button
+              className="header-button draw-button"
+              onClick={requestAnalysis}
+              disabled={isAnalysing}
+            >
+              {isAnalysing ? 'Analysing...' : 'Analyse'}
+            </button>
+          )}
+          {gameStatus === 'playing' && allowTakebacks && !isSpectator && (
+            <button
+              className="header-button draw-button"
+              onClick={handleRequestTakeback}
+              disabled={!!takebackRequest}
+            >
+              {outgoingTakeback ? 'Takeback Asked' : 'Takeback'}
+            </button>
+          )}
         </div>
 
         <div className="title-container">
           <div className="title">ChessChat</div>
+          <div className="game-players">
+            {renderPlayerName('white')} vs {renderPlayerName('black')}
+          </div>
           <div className="status">
             {getCurrentPlayerName()}
           </div>
+          {timeControl && (
+            <div className="time-control-label">
+              {timeControl.id} · {timeControl.category} · {gameData?.settings?.rated === false ? 'casual' : 'rated'}
+              {variant !== 'standard' && ` · ${VARIANT_NAMES[variant]}`}
+            </div>
+          )}
+          {variant === 'three-check' && shownGame.checksGiven && (
+            <div className="check-counter">
+              ✚ {getPlayerName('white')} {shownGame.checksGiven.white}/{CHECKS_TO_WIN}
+              {' · '}
+              {getPlayerName('black')} {shownGame.checksGiven.black}/{CHECKS_TO_WIN}
+            </div>
+          )}
+          {gameStatus === 'ended' && ratingChanges && (
+            <div className="rating-summary">
+              {getRatingSummary()}
+            </div>
+          )}
+          {headToHead && headToHead.games > 0 && (
+            <div className="head-to-head">
+              {getHeadToHeadText()}
+            </div>
+          )}
+          {spectatorCount > 0 && (
+            <div className="spectator-count">
+              👁 {spectatorCount} watching
+            </div>
+          )}
         </div>
 
         <button 
@@ -617,8 +1197,8 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
           <div className="video-left">
             <VideoCall 
               isOpponent={true}
-              timer={<Timer time={blackTime} isActive={currentTurn === 'black' && gameStatus === 'playing'} />}
-              playerLabel={getPlayerName('black')}
+              timer={<Timer time={blackTime} syncedAt={clockSyncedAt} isActive={currentTurn === 'black' && gameStatus === 'playing'} timeControl={timeControl} />}
+              playerLabel={getPlayerLabel('black')}
               videoRoomUrl={videoRoomUrl}
               userName={currentUser?.username}
             />
@@ -627,8 +1207,8 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
           <div className="video-right">
             <VideoCall 
               isOpponent={false}
-              timer={<Timer time={whiteTime} isActive={currentTurn === 'white' && gameStatus === 'playing'} />}
-              playerLabel={getPlayerName('white')}
+              timer={<Timer time={whiteTime} syncedAt={clockSyncedAt} isActive={currentTurn === 'white' && gameStatus === 'playing'} timeControl={timeControl} />}
+              playerLabel={getPlayerLabel('white')}
               videoRoomUrl={videoRoomUrl}
               userName={currentUser?.username}
             />
@@ -636,12 +1216,39 @@ export default function GameScreen({ currentUser, gameData, onBackToSplash }) {
         </div>
 
         <div className="chess-board-container">
-          <ChessBoard
-            board={displayBoard}
-            selectedSquare={selectedSquare}
-            onSquarePress={handleSquarePress}
-          />
+          <div className="board-with-eval">
+            {analysis && (
+              <EvalBar evaluation={getEvalAt(analysis, shownPly)} flipped={playerColor === 'black'} />
+            )}
+            <ChessBoard
+              board={displayBoard}
+              selectedSquare={selectedSquare}
+              onSquarePress={handleSquarePress}
+              promotion={pendingPromotion ? { color: playerColor } : null}
+              onPromotionSelect={handlePromotionSelect}
+              onPromotionCancel={handlePromotionCancel}
+              pockets={getPockets()}
+              selectedPocketPiece={selectedDrop}
+              onPocketPiecePress={handlePocketPiecePress}
+              onPieceDrop={variant === 'crazyhouse' ? handlePieceDrop : null}
+            />
+          </div>
           <GameStatusIndicator status={gameStatusIndicator} />
+          <MoveList
+            moves={moveHistory}
+            startFen={startFen}
+            viewIndex={previewIndex}
+            onSelectMove={handleSelectMove}
+            onBackToLive={handleBackToLive}
+            annotations={analysis ? analysis.moves.map((move) => move.label) : null}
+          />
+          {analysisError && <div className="error-message">{analysisError}</div>}
+          {analysis && (
+            <div className="analysis-panel">
+              <EvalGraph analysis={analysis} ply={shownPly} onSelectPly={handleSelectMove} />
+              <AnalysisNote analysis={analysis} ply={shownPly} />
+            </div>
+          )}
         </div>
       </div>
     </div>
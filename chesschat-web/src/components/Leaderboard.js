@@ -0,0 +1,144 @@
+// src/components/Leaderboard.js - Top players by rating, shown on the splash screen
+import React, { useState, useEffect } from 'react';
+import socketService from '../services/socketService';
+
+const CATEGORY_OPTIONS = ['bullet', 'blitz', 'rapid', 'classical'];
+
+const PERIOD_OPTIONS = [
+  { id: 'all', label: 'All time' },
+  { id: 'month', label: 'This month' },
+  { id: 'week', label: 'This week' }
+];
+
+const PAGE_SIZE = 10;
+
+function formatRating(player) {
+  return `${player.rating}${player.provisional ? '?' : ''}`;
+}
+
+export default function Leaderboard({ currentUserId }) {
+  const [category, setCategory] = useState('blitz');
+  const [period, setPeriod] = useState('all');
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    const serverUrl = socketService.getServerUrl();
+    if (!serverUrl) return;
+
+    const params = new URLSearchParams({ category, period, page, pageSize: PAGE_SIZE });
+    if (currentUserId) {
+      params.set('player', currentUserId);
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+
+    fetch(`${serverUrl}/leaderboard?${params}`)
+      .then(async (response) => {
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error || 'Failed to load leaderboard');
+        return body;
+      })
+      .then((body) => {
+        if (!cancelled) setData(body);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [category, period, page, currentUserId]);
+
+  const changeFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  const totalPages = data ? Math.max(1, Math.ceil(data.total / PAGE_SIZE)) : 1;
+
+  return (
+    <div className="leaderboard">
+      <div className="leaderboard-filters">
+        <select value={category} onChange={changeFilter(setCategory)} className="form-input form-select">
+          {CATEGORY_OPTIONS.map((option) => (
+            <option key={option} value={option}>
+              {option.charAt(0).toUpperCase() + option.slice(1)}
+            </option>
+          ))}
+        </select>
+        <select value={period} onChange={changeFilter(setPeriod)} className="form-input form-select">
+          {PERIOD_OPTIONS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {!error && data && data.players.length === 0 && (
+        <div className="empty-friends">
+          <p className="empty-text">No rated players yet</p>
+          <p className="empty-subtext">Play rated games to appear here</p>
+        </div>
+      )}
+
+      {!error && data && data.players.length > 0 && (
+        <ol className={`leaderboard-list ${isLoading ? 'loading' : ''}`}>
+          {data.players.map((player) => (
+            <li
+              key={player.username}
+              className={`leaderboard-row ${player.username === currentUserId ? 'you' : ''}`}
+            >
+              <span className="leaderboard-rank">{player.rank}</span>
+              <span className="leaderboard-name">{player.displayName}</span>
+              <span className="leaderboard-games">{player.games} games</span>
+              <span className="leaderboard-rating">{formatRating(player)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {data && data.you && (
+        <div className="leaderboard-row you leaderboard-you">
+          <span className="leaderboard-rank">{data.you.rank}</span>
+          <span className="leaderboard-name">You</span>
+          <span className="leaderboard-games">{data.you.games} games</span>
+          <span className="leaderboard-rating">{formatRating(data.you)}</span>
+        </div>
+      )}
+
+      {data && totalPages > 1 && (
+        <div className="leaderboard-pagination">
+          <button
+            type="button"
+            className="spectate-button"
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1 || isLoading}
+          >
+            ‹ Prev
+          </button>
+          <span className="leaderboard-page">{page} / {totalPages}</span>
+          <button
+            type="button"
+            className="spectate-button"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages || isLoading}
+          >
+            Next ›
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,64 @@
 // src/components/Login.js - Simplified splash screen for immediate room joining
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import Leaderboard from './Leaderboard';
+import GameHistory from './GameHistory';
 
-export default function Login({ onJoinRoom, connectionStatus, error, waitingMessage }) {
-  const [displayName, setDisplayName] = useState('');
+// Time control presets offered to whoever creates a room code or sends a challenge.
+// Ids must match TIME_CONTROL_PRESETS on the server.
+export const TIME_CONTROL_OPTIONS = [
+  { id: '1+0', label: '1+0 · Bullet' },
+  { id: '3+0', label: '3+0 · Blitz' },
+  { id: '3+2', label: '3+2 · Blitz' },
+  { id: '5+0', label: '5+0 · Blitz' },
+  { id: '5+3', label: '5+3 · Blitz' },
+  { id: '10+0', label: '10+0 · Rapid' },
+  { id: '15+10', label: '15+10 · Rapid' },
+  { id: '30+0', label: '30+0 · Classical' },
+  { id: '3d2', label: '3 min · 2s delay' },
+  { id: '5d5', label: '5 min · 5s delay' }
+];
+
+// Ids must match VARIANTS on the server
+export const VARIANT_OPTIONS = [
+  { id: 'standard', label: 'Standard' },
+  { id: 'chess960', label: 'Chess960 (Fischer Random)' },
+  { id: 'three-check', label: 'Three-check' },
+  { id: 'king-of-the-hill', label: 'King of the Hill' },
+  { id: 'crazyhouse', label: 'Crazyhouse' }
+];
+
+export const COLOR_OPTIONS = [
+  { id: 'random', label: 'Random' },
+  { id: 'white', label: 'White' },
+  { id: 'black', label: 'Black' }
+];
+
+// Computer opponent strengths. Ids must match BOT_LEVELS on the server.
+export const BOT_LEVEL_OPTIONS = [
+  { id: 'beginner', label: 'Beginner' },
+  { id: 'casual', label: 'Casual' },
+  { id: 'club', label: 'Club player' },
+  { id: 'strong', label: 'Strong' }
+];
+
+export default function Login({ onJoinRoom, onSpectate, onPlayComputer, onOpenFriends, pendingFriendRequests = 0, connectionStatus, error, waitingMessage, savedDisplayName, currentUserId, onOpenGame }) {
+  const [displayName, setDisplayName] = useState(savedDisplayName || '');
   const [roomCode, setRoomCode] = useState('');
+  const [timeControl, setTimeControl] = useState('10+0');
+  const [allowTakebacks, setAllowTakebacks] = useState(true);
+  const [rated, setRated] = useState(true);
+  const [variant, setVariant] = useState('standard');
+  const [botLevel, setBotLevel] = useState('casual');
+  const [botColor, setBotColor] = useState('random');
   const [isJoining, setIsJoining] = useState(false);
+  const [activeTab, setActiveTab] = useState('play'); // 'play', 'leaderboard' or 'history'
+
+  // Returning players get the name they last played under
+  useEffect(() => {
+    if (savedDisplayName) {
+      setDisplayName((current) => current || savedDisplayName);
+    }
+  }, [savedDisplayName]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -25,7 +79,37 @@ export default function Login({ onJoinRoom, connectionStatus, error, waitingMess
     }
 
     setIsJoining(true);
-    onJoinRoom(displayName.trim(), roomCode.trim());
+    onJoinRoom(displayName.trim(), roomCode.trim(), { timeControl, allowTakebacks, rated, variant });
+  };
+
+  // Watch the live game started from this code instead of joining the queue
+  const handleSpectate = () => {
+    if (displayName.length < 2 || roomCode.length < 3) {
+      alert('Enter your name and the room code of the game to watch');
+      return;
+    }
+
+    if (connectionStatus !== 'connected') {
+      alert('Not connected to server. Please wait and try again.');
+      return;
+    }
+
+    onSpectate(displayName.trim(), roomCode.trim());
+  };
+
+  // No room code needed - the game against the computer starts straight away
+  const handlePlayComputer = () => {
+    if (displayName.length < 2) {
+      alert('Display name must be at least 2 characters long');
+      return;
+    }
+
+    if (connectionStatus !== 'connected') {
+      alert('Not connected to server. Please wait and try again.');
+      return;
+    }
+
+    onPlayComputer(displayName.trim(), { level: botLevel, color: botColor, timeControl, allowTakebacks });
   };
 
   const generateRandomCode = () => {
@@ -68,8 +152,44 @@ export default function Login({ onJoinRoom, connectionStatus, error, waitingMess
           </div>
         )}
 
-        {/* Main form */}
         {!isJoining && (
+          <div className="login-tabs">
+            <button
+              type="button"
+              className={`login-tab ${activeTab === 'play' ? 'active' : ''}`}
+              onClick={() => setActiveTab('play')}
+            >
+              🎮 Play
+            </button>
+            <button
+              type="button"
+              className={`login-tab ${activeTab === 'leaderboard' ? 'active' : ''}`}
+              onClick={() => setActiveTab('leaderboard')}
+            >
+              🏆 Leaderboard
+            </button>
+            {currentUserId && (
+              <button
+                type="button"
+                className={`login-tab ${activeTab === 'history' ? 'active' : ''}`}
+                onClick={() => setActiveTab('history')}
+              >
+                📜 My Games
+              </button>
+            )}
+          </div>
+        )}
+
+        {!isJoining && activeTab === 'leaderboard' && (
+          <Leaderboard currentUserId={currentUserId} />
+        )}
+
+        {!isJoining && activeTab === 'history' && (
+          <GameHistory currentUserId={currentUserId} onOpenGame={onOpenGame} />
+        )}
+
+        {/* Main form */}
+        {!isJoining && activeTab === 'play' && (
           <form onSubmit={handleSubmit} className="login-form">
             <div className="form-group">
               <label htmlFor="displayName" className="form-label">
@@ -126,6 +246,59 @@ export default function Login({ onJoinRoom, connectionStatus, error, waitingMess
               </div>
             </div>
 
+            <div className="form-group">
+              <label htmlFor="timeControl" className="form-label">
+                Time Control
+              </label>
+              <select
+                id="timeControl"
+                value={timeControl}
+                onChange={(e) => setTimeControl(e.target.value)}
+                className="form-input form-select"
+                disabled={isJoining}
+              >
+                {TIME_CONTROL_OPTIONS.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                aria-label="Variant"
+                value={variant}
+                onChange={(e) => setVariant(e.target.value)}
+                className="form-input form-select"
+                disabled={isJoining}
+              >
+                {VARIANT_OPTIONS.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <label className="form-checkbox">
+                <input
+                  type="checkbox"
+                  checked={allowTakebacks}
+                  onChange={(e) => setAllowTakebacks(e.target.checked)}
+                  disabled={isJoining}
+                />
+                Allow takebacks
+              </label>
+              <label className="form-checkbox">
+                <input
+                  type="checkbox"
+                  checked={rated}
+                  onChange={(e) => setRated(e.target.checked)}
+                  disabled={isJoining}
+                />
+                Rated game
+              </label>
+              <div style={{ color: '#9ca3af', fontSize: '12px', textAlign: 'center' }}>
+                Used if you're first to enter the code
+              </div>
+            </div>
+
             {error && (
               <div className="error-message">
                 {error}
@@ -147,6 +320,68 @@ export default function Login({ onJoinRoom, connectionStatus, error, waitingMess
             >
               {isJoining ? 'Joining...' : '🎮 Join Game'}
             </button>
+
+            <button
+              type="button"
+              className="spectate-button"
+              onClick={handleSpectate}
+              disabled={isJoining || connectionStatus !== 'connected' || displayName.length < 2 || roomCode.length < 3}
+            >
+              👁 Watch Game
+            </button>
+
+            <div className="bot-setup">
+              <div className="bot-setup-title">🤖 No one around? Play the computer</div>
+              <div className="bot-setup-options">
+                <select
+                  aria-label="Computer level"
+                  value={botLevel}
+                  onChange={(e) => setBotLevel(e.target.value)}
+                  className="form-input form-select"
+                >
+                  {BOT_LEVEL_OPTIONS.map((option) => (
+                    <option key={option.id} value={option.id}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  aria-label="Your colour"
+                  value={botColor}
+                  onChange={(e) => setBotColor(e.target.value)}
+                  className="form-input form-select"
+                >
+                  {COLOR_OPTIONS.map((option) => (
+                    <option key={option.id} value={option.id}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <button
+                type="button"
+                className="spectate-button"
+                onClick={handlePlayComputer}
+                disabled={connectionStatus !== 'connected' || displayName.length < 2}
+              >
+                🤖 Play the Computer
+              </button>
+              <div style={{ color: '#9ca3af', fontSize: '12px', textAlign: 'center' }}>
+                Standard chess with the time control above · never rated
+              </div>
+            </div>
+
+            <button
+              type="button"
+              className="friends-button lobby-friends-button"
+              onClick={() => onOpenFriends(displayName.trim())}
+              disabled={connectionStatus !== 'connected'}
+            >
+              👥 Friends
+              {pendingFriendRequests > 0 && (
+                <span className="friends-badge">{pendingFriendRequests}</span>
+              )}
+            </button>
           </form>
         )}
 
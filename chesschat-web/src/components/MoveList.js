@@ -0,0 +1,88 @@
+// src/components/MoveList.js - Scoresheet of the moves played so far
+import React, { useEffect, useRef } from 'react';
+import { ANNOTATION_SYMBOLS } from './GameAnalysis';
+
+// Group SAN moves into numbered rows of [white, black]. Each entry keeps its ply index
+// so clicks map back to the move history. A game starting with black to move
+// gets an empty white cell in its first row.
+function toRows(moves, startFen) {
+  // The move number is the last field - three-check FENs have an extra one before it
+  const fields = (startFen || '').split(' ');
+  const sideToMove = fields[1];
+  let number = parseInt(fields[fields.length - 1], 10) || 1;
+  const rows = [];
+  let row = null;
+
+  moves.forEach((san, index) => {
+    const whiteMove = sideToMove === 'b' ? index % 2 === 1 : index % 2 === 0;
+    if (whiteMove || !row) {
+      row = { number, white: null, black: null };
+      rows.push(row);
+    }
+    if (whiteMove) {
+      row.white = { san, index };
+    } else {
+      row.black = { san, index };
+      number++;
+    }
+  });
+
+  return rows;
+}
+
+// viewIndex is the ply being previewed, or null when following the live game.
+// Without onBackToLive (e.g. a replay) there is no live game to go back to.
+// annotations, when given, holds each ply's analysis label ('inaccuracy', 'mistake', 'blunder' or null).
+export default function MoveList({ moves, startFen, viewIndex, onSelectMove, onBackToLive, annotations }) {
+  const listRef = useRef(null);
+  const latestIndex = moves.length - 1;
+  const activeIndex = viewIndex ?? latestIndex;
+
+  // Keep the latest move in view while following the live game
+  useEffect(() => {
+    if (viewIndex === null && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [moves.length, viewIndex]);
+
+  const renderMove = (entry) => {
+    if (!entry) return <span className="move-cell" />;
+
+    const classes = ['move-cell', 'move-button'];
+    if (entry.index === activeIndex) classes.push('active');
+    if (entry.index === latestIndex) classes.push('latest');
+
+    const label = annotations ? annotations[entry.index] : null;
+    if (label) classes.push(label);
+
+    return (
+      <button className={classes.join(' ')} onClick={() => onSelectMove(entry.index)}>
+        {entry.san}
+        {label && <span className="move-annotation">{ANNOTATION_SYMBOLS[label]}</span>}
+      </button>
+    );
+  };
+
+  return (
+    <div className="move-list-panel">
+      <div className="move-list" ref={listRef}>
+        {moves.length === 0 ? (
+          <div className="move-list-empty">No moves yet</div>
+        ) : (
+          toRows(moves, startFen).map((row) => (
+            <div className="move-row" key={row.number}>
+              <span className="move-number">{row.number}.</span>
+              {renderMove(row.white)}
+              {renderMove(row.black)}
+            </div>
+          ))
+        )}
+      </div>
+      {viewIndex !== null && onBackToLive && (
+        <button className="back-to-live-button" onClick={onBackToLive}>
+          Back to live ▶
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+// src/components/PlayerProfile.js - A player's ratings, results and recent games
+import React, { useState, useEffect } from 'react';
+import socketService from '../services/socketService';
+
+const STATUS_LABELS = {
+  'in-game': '🎮 Playing',
+  idle: '🌙 Idle',
+  online: '🟢 Online',
+  offline: '⚫ Offline'
+};
+
+const RESULT_LABELS = { win: 'Won', draw: 'Drew', loss: 'Lost' };
+
+function formatDuration(seconds) {
+  if (seconds === null) return '–';
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function formatRecord({ wins, draws, losses }) {
+  return `${wins} W · ${draws} D · ${losses} L`;
+}
+
+function formatChange(change) {
+  if (change === null || change === undefined) return '';
+  return change > 0 ? `+${change}` : `${change}`;
+}
+
+// Rating after each game as a small line chart
+function RatingChart({ points }) {
+  if (points.length < 2) return null;
+
+  const width = 160;
+  const height = 40;
+  const ratings = points.map((point) => point.rating);
+  const min = Math.min(...ratings);
+  const range = Math.max(...ratings) - min || 1;
+  const path = ratings.map((rating, i) => {
+    const x = (i / (ratings.length - 1)) * width;
+    const y = height - ((rating - min) / range) * height;
+    return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  return (
+    <svg className="rating-chart" viewBox={`0 -2 ${width} ${height + 4}`} preserveAspectRatio="none">
+      <path d={path} />
+    </svg>
+  );
+}
+
+export default function PlayerProfile({ username, onClose }) {
+  const [viewing, setViewing] = useState(username);
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setViewing(username);
+  }, [username]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setProfile(null);
+    setError('');
+
+    fetch(`${socketService.getServerUrl()}/users/${encodeURIComponent(viewing)}`)
+      .then(async (response) => {
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error || 'Failed to load profile');
+        return body;
+      })
+      .then((body) => {
+        if (!cancelled) setProfile(body);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [viewing]);
+
+  return (
+    <div className="friends-overlay profile-overlay" onClick={onClose}>
+      <div className="friends-panel profile-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="friends-header">
+          <h2 className="friends-title">
+            {profile ? profile.displayName : 'Player'}
+            {profile && (
+              <span className="profile-status">
+                {profile.status === 'in-game' && profile.opponent
+                  ? `🎮 Playing vs ${profile.opponent}`
+                  : STATUS_LABELS[profile.status]}
+              </span>
+            )}
+          </h2>
+          <button onClick={onClose} className="close-button">×</button>
+        </div>
+
+        <div className="friends-content">
+          {error && <div className="error-message">{error}</div>}
+          {!error && !profile && <p className="empty-text">Loading...</p>}
+
+          {profile && (
+            <>
+              <div className="profile-section">
+                <h3 className="section-title">Ratings</h3>
+                {Object.keys(profile.ratings).length === 0 ? (
+                  <p className="empty-subtext">No rated games yet</p>
+                ) : (
+                  <div className="profile-ratings">
+                    {Object.entries(profile.ratings).map(([category, rating]) => (
+                      <div key={category} className="profile-rating">
+                        <div className="profile-rating-header">
+                          <span className="profile-rating-category">{category}</span>
+                          <span className="profile-rating-value">
+                            {rating.rating}{rating.provisional ? '?' : ''}
+                          </span>
+                        </div>
+                        <RatingChart points={profile.ratingHistory[category] || []} />
+                        <span className="profile-muted">{rating.games} games</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="profile-section">
+                <h3 className="section-title">Results</h3>
+                <div className="profile-table">
+                  <span>As White</span><span>{formatRecord(profile.byColor.white)}</span>
+                  <span>As Black</span><span>{formatRecord(profile.byColor.black)}</span>
+                  {profile.byTermination.map((row) => (
+                    <React.Fragment key={row.reason}>
+                      <span className="profile-reason">{row.reason}</span>
+                      <span>{formatRecord(row)}</span>
+                    </React.Fragment>
+                  ))}
+                  <span>Average game</span>
+                  <span>
+                    {formatDuration(profile.averageGameLength.seconds)}
+                    {profile.averageGameLength.moves !== null && ` · ${profile.averageGameLength.moves} moves`}
+                  </span>
+                </div>
+              </div>
+
+              {profile.favouriteOpenings.length > 0 && (
+                <div className="profile-section">
+                  <h3 className="section-title">Favourite Openings</h3>
+                  <div className="profile-table">
+                    {profile.favouriteOpenings.map((opening) => (
+                      <React.Fragment key={opening.name}>
+                        <span>{opening.name}</span>
+                        <span>{formatRecord(opening)}</span>
+                      </React.Fragment>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="profile-section">
+                <h3 className="section-title">Recent Games</h3>
+                {profile.recentGames.length === 0 ? (
+                  <p className="empty-subtext">No games yet</p>
+                ) : (
+                  <div className="profile-games">
+                    {profile.recentGames.map((game) => (
+                      <div key={game.id} className="profile-game">
+                        <span className={`profile-result ${game.result}`}>{RESULT_LABELS[game.result]}</span>
+                        <span className="profile-game-opponent">
+                          vs{' '}
+                          {game.opponent.username ? (
+                            <button className="profile-link" onClick={() => setViewing(game.opponent.username)}>
+                              {game.opponent.displayName}
+                            </button>
+                          ) : (
+                            game.opponent.displayName
+                          )}
+                        </span>
+                        <span className="profile-muted">
+                          {game.timeControl} · {game.reason}
+                          {game.rated && game.ratingChange !== null && ` · ${formatChange(game.ratingChange)}`}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,17 +1,52 @@
 // src/components/Timer.js - Web version
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 
-export default function Timer({ time, isActive }) {
-  // Format time display
-  const formatTime = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
+// How often the running clock redraws (ms)
+const TICK_INTERVAL = 100;
+
+// time is the remaining milliseconds at the last server sync (syncedAt, a performance.now() value).
+// The active clock interpolates locally between syncs.
+export default function Timer({ time, isActive, syncedAt, timeControl }) {
+  const [now, setNow] = useState(() => performance.now());
+
+  useEffect(() => {
+    if (!isActive) return;
+
+    setNow(performance.now());
+    const interval = setInterval(() => setNow(performance.now()), TICK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [isActive, time, syncedAt]);
+
+  const remaining = isActive && syncedAt
+    ? Math.max(0, time - (now - syncedAt))
+    : Math.max(0, time);
+
+  // Format time display - tenths of a second once under 10 seconds
+  const formatTime = (ms) => {
+    if (ms < 10000) {
+      const tenths = Math.floor(ms / 100);
+      return `0:${Math.floor(tenths / 10).toString().padStart(2, '0')}.${tenths % 10}`;
+    }
+    const totalSeconds = Math.ceil(ms / 1000);
+    const mins = Math.floor(totalSeconds / 60);
+    const secs = totalSeconds % 60;
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // Show the per-move bonus, e.g. "+3" (Fischer) or "d5" (Bronstein delay)
+  const formatBonus = () => {
+    if (!timeControl) return null;
+    if (timeControl.increment > 0) return `+${timeControl.increment}`;
+    if (timeControl.delay > 0) return `d${timeControl.delay}`;
+    return null;
+  };
+
+  const bonus = formatBonus();
+
   return (
-    <div className={`timer ${isActive ? 'active' : 'inactive'}`}>
-      {formatTime(time)}
+    <div className={`timer ${isActive ? 'active' : 'inactive'} ${remaining < 10000 ? 'low-time' : ''}`}>
+      {formatTime(remaining)}
+      {bonus && <span className="timer-bonus">{bonus}</span>}
     </div>
   );
 }
@@ -1,11 +1,21 @@
 // src/services/socketService.js - Simplified direct room joining
 import io from 'socket.io-client';
 
+// Per-tab storage so a reload can reclaim the seat, without two tabs fighting over one token
+const RESUME_TOKEN_KEY = 'chesschat_resume_token';
+
+// Long-lived player identity, shared by every tab in this browser
+const SESSION_TOKEN_KEY = 'chesschat_session_token';
+
 class SocketService {
   constructor() {
     this.socket = null;
+    this.serverUrl = null;
     this.isConnected = false;
     this.eventHandlers = {};
+    this.resumeToken = sessionStorage.getItem(RESUME_TOKEN_KEY);
+    this.sessionToken = localStorage.getItem(SESSION_TOKEN_KEY);
+    this.session = null; // { userId, displayName } once the server has identified us
   }
 
   connect(serverUrl = null) {
@@ -16,6 +26,7 @@ class SocketService {
         : 'http://localhost:3001';
       
       const finalServerUrl = serverUrl || defaultServerUrl;
+      this.serverUrl = finalServerUrl;
       
       console.log('🔌 Connecting to:', finalServerUrl);
       
@@ -23,12 +34,14 @@ class SocketService {
         transports: ['websocket', 'polling'],
         timeout: 20000,
         reconnection: true,
-        reconnectionAttempts: 5,
+        reconnectionAttempts: 20, // Keep trying for the whole reconnection grace period
         reconnectionDelay: 1000,
         reconnectionDelayMax: 5000,
         forceNew: false,
         withCredentials: true,
-        autoConnect: true
+        autoConnect: true,
+        // Read on every (re)connect so a token issued mid-session is always sent
+        auth: (cb) => cb({ sessionToken: this.sessionToken })
       });
 
       this.setupEventListeners();
@@ -47,6 +60,17 @@ class SocketService {
       console.log('✅ Connected to ChessChat server');
       this.isConnected = true;
       this.notifyHandlers('connected');
+
+      // A tab that reconnects in the background should not show us as active
+      if (document.hidden) {
+        this.setPresence(true);
+      }
+
+      // Reclaim our seat if we dropped out of (or reloaded during) a game
+      if (this.resumeToken) {
+        console.log('🔁 Resuming game with stored token');
+        this.socket.emit('resume-game', { token: this.resumeToken });
+      }
     });
 
     this.socket.on('disconnect', (reason) => {
@@ -69,6 +93,18 @@ class SocketService {
       console.error('❌ Reconnection error:', error);
     });
 
+    // Identity - the server confirms our session token or issues a new one
+    this.socket.on('session', (data) => {
+      console.log('🪪 Session:', data.userId);
+      this.sessionToken = data.sessionToken;
+      localStorage.setItem(SESSION_TOKEN_KEY, data.sessionToken);
+      this.session = {
+        userId: data.userId,
+        displayName: data.displayName
+      };
+      this.notifyHandlers('session', this.session);
+    });
+
     // Room joining events
     this.socket.on('code-entered', (data) => {
       console.log('🔑 Code entered response:', data);
@@ -78,12 +114,16 @@ class SocketService {
     // Game events
     this.socket.on('match-found', (data) => {
       console.log('🎮 Match found:', data);
-      this.notifyHandlers('match-found', data);
+      this.setResumeToken(data.resumeToken);
+      this.notifyHandlers('match-found', {
+        ...data,
+        gameState: this.stampClock(data.gameState)
+      });
     });
 
     this.socket.on('move-made', (data) => {
       console.log('♟️ Move made:', data);
-      this.notifyHandlers('move-made', data);
+      this.notifyHandlers('move-made', this.stampClock(data));
     });
 
     this.socket.on('invalid-move', (data) => {
@@ -93,22 +133,160 @@ class SocketService {
 
     this.socket.on('game-ended', (data) => {
       console.log('🏁 Game ended:', data);
-      this.notifyHandlers('game-ended', data);
+      this.notifyHandlers('game-ended', this.stampClock(data));
     });
 
     // NEW: Exit game event - when either player exits, both are removed
     this.socket.on('exit-game', (data) => {
       console.log('🚪 Exit game event received:', data);
+      this.clearResumeToken();
       this.notifyHandlers('exit-game', data);
     });
 
+    // Reconnection events
+    this.socket.on('game-resumed', (data) => {
+      console.log('🔁 Game resumed:', data);
+      this.setResumeToken(data.resumeToken);
+      this.notifyHandlers('game-resumed', {
+        ...data,
+        gameState: this.stampClock(data.gameState)
+      });
+    });
+
+    this.socket.on('resume-failed', (data) => {
+      console.log('⚠️ Could not resume game:', data);
+      this.clearResumeToken();
+      this.notifyHandlers('resume-failed', data);
+    });
+
+    // Spectator events
+    this.socket.on('spectate-started', (data) => {
+      console.log('👁 Spectating game:', data);
+      this.notifyHandlers('spectate-started', {
+        ...data,
+        gameState: this.stampClock(data.gameState)
+      });
+    });
+
+    this.socket.on('spectator-count', (data) => {
+      this.notifyHandlers('spectator-count', data);
+    });
+
+    this.socket.on('opponent-reconnected', (data) => {
+      console.log('🔁 Opponent reconnected:', data);
+      this.notifyHandlers('opponent-reconnected', data);
+    });
+
+    // Draw offer events
+    this.socket.on('draw-offered', (data) => {
+      console.log('🤝 Draw offered:', data);
+      this.notifyHandlers('draw-offered', data);
+    });
+
+    this.socket.on('draw-declined', (data) => {
+      console.log('🙅 Draw declined:', data);
+      this.notifyHandlers('draw-declined', data);
+    });
+
+    this.socket.on('draw-offer-cancelled', (data) => {
+      console.log('↩️ Draw offer cancelled:', data);
+      this.notifyHandlers('draw-offer-cancelled', data);
+    });
+
+    // Takeback events
+    this.socket.on('takeback-requested', (data) => {
+      console.log('↩️ Takeback requested:', data);
+      this.notifyHandlers('takeback-requested', data);
+    });
+
+    this.socket.on('takeback-declined', (data) => {
+      console.log('🙅 Takeback declined:', data);
+      this.notifyHandlers('takeback-declined', data);
+    });
+
+    this.socket.on('takeback-cancelled', (data) => {
+      console.log('↩️ Takeback cancelled:', data);
+      this.notifyHandlers('takeback-cancelled', data);
+    });
+
+    // Rematch events
+    this.socket.on('rematch-offered', (data) => {
+      console.log('🔄 Rematch offered:', data);
+      this.notifyHandlers('rematch-offered', data);
+    });
+
+    this.socket.on('rematch-declined', (data) => {
+      console.log('🙅 Rematch declined:', data);
+      this.notifyHandlers('rematch-declined', data);
+    });
+
+    this.socket.on('head-to-head', (data) => {
+      this.notifyHandlers('head-to-head', data);
+    });
+
+    // Rating changes, once a finished rated game has been saved
+    this.socket.on('rating-update', (data) => {
+      console.log('📈 Rating update:', data);
+      this.notifyHandlers('rating-update', data);
+    });
+
+    // Full position resync (after a takeback)
+    this.socket.on('game-sync', (data) => {
+      console.log('🔄 Game sync:', data);
+      this.notifyHandlers('game-sync', this.stampClock(data));
+    });
+
     this.socket.on('opponent-disconnected', (data) => {
       console.log('👋 Opponent disconnected:', data);
       this.notifyHandlers('opponent-disconnected', data);
     });
 
     this.socket.on('time-update', (data) => {
-      this.notifyHandlers('time-update', data);
+      this.notifyHandlers('time-update', this.stampClock(data));
+    });
+
+    // Friends events
+    this.socket.on('friends-list', (data) => {
+      this.notifyHandlers('friends-list', data);
+    });
+
+    // A friend came online, went idle, started or finished a game...
+    this.socket.on('presence-update', (data) => {
+      this.notifyHandlers('presence-update', data);
+    });
+
+    this.socket.on('friend-request', (data) => {
+      console.log('📨 Friend request:', data);
+      this.notifyHandlers('friend-request', data);
+    });
+
+    this.socket.on('friend-notice', (data) => {
+      this.notifyHandlers('friend-notice', data);
+    });
+
+    this.socket.on('friend-error', (data) => {
+      console.error('❌ Friends error:', data);
+      this.notifyHandlers('friend-error', data);
+    });
+
+    // Challenge events
+    this.socket.on('challenge-received', (data) => {
+      console.log('⚔️ Challenge received:', data);
+      this.notifyHandlers('challenge-received', this.stampExpiry(data));
+    });
+
+    this.socket.on('challenge-sent', (data) => {
+      this.notifyHandlers('challenge-sent', this.stampExpiry(data));
+    });
+
+    this.socket.on('challenge-closed', (data) => {
+      console.log('⚔️ Challenge closed:', data);
+      this.notifyHandlers('challenge-closed', data);
+    });
+
+    this.socket.on('challenge-error', (data) => {
+      console.error('❌ Challenge error:', data);
+      this.notifyHandlers('challenge-error', data);
     });
 
     this.socket.on('error', (data) => {
@@ -117,6 +295,38 @@ class SocketService {
     });
   }
 
+  // Resume token management
+  setResumeToken(token) {
+    if (!token) return;
+    this.resumeToken = token;
+    sessionStorage.setItem(RESUME_TOKEN_KEY, token);
+  }
+
+  clearResumeToken() {
+    this.resumeToken = null;
+    sessionStorage.removeItem(RESUME_TOKEN_KEY);
+  }
+
+  hasResumeToken() {
+    return !!this.resumeToken;
+  }
+
+  getSession() {
+    return this.session;
+  }
+
+  // Record when a clock snapshot arrived so timers can count down locally from that point.
+  // Uses performance.now() so local wall-clock changes don't affect the countdown.
+  stampClock(data) {
+    if (!data || typeof data.whiteTime !== 'number') return data;
+    return { ...data, receivedAt: performance.now() };
+  }
+
+  // Turn a server-relative expiresIn into a local deadline for countdowns
+  stampExpiry(data) {
+    return { ...data, expiresAt: Date.now() + data.expiresIn };
+  }
+
   // Event handler management
   on(eventName, handler) {
     if (!this.eventHandlers[eventName]) {
@@ -143,35 +353,205 @@ class SocketService {
     }
   }
 
-  // Simplified room joining - combines user creation and room joining
-  enterMatchCode(code, displayName = null) {
+  // Simplified room joining - combines user creation and room joining.
+  // gameOptions ({ timeControl, allowTakebacks }) only apply if we're first to enter the code.
+  enterMatchCode(code, displayName = null, gameOptions = {}) {
     if (this.socket && this.isConnected) {
-      console.log('🔑 Entering match code:', code, 'with name:', displayName);
+      console.log('🔑 Entering match code:', code, 'with name:', displayName, 'options:', gameOptions);
       this.socket.emit('enter-match-code', { 
         code,
-        displayName: displayName || `Player_${Math.random().toString(36).substr(2, 4)}`
+        displayName: displayName || `Player_${Math.random().toString(36).substr(2, 4)}`,
+        ...gameOptions
       });
     } else {
       console.error('❌ Socket not connected - cannot enter match code');
     }
   }
 
+  // Start a game against the computer at once - options: { level, timeControl, color, allowTakebacks }
+  playComputer(displayName, options = {}) {
+    if (this.socket && this.isConnected) {
+      console.log('🤖 Playing the computer:', options);
+      this.socket.emit('play-computer', {
+        displayName,
+        ...options
+      });
+    } else {
+      console.error('❌ Socket not connected - cannot play the computer');
+    }
+  }
+
   // Chess game methods
-  makeMove(roomId, move, playerColor) {
+  makeMove(roomId, move) {
     if (this.socket && this.isConnected) {
       this.socket.emit('make-move', {
         roomId,
-        move,
-        playerColor
+        move
       });
     }
   }
 
-  resign(roomId, playerColor) {
+  resign(roomId) {
     if (this.socket && this.isConnected) {
       this.socket.emit('resign', {
+        roomId
+      });
+    }
+  }
+
+  // Draw offer methods
+  offerDraw(roomId) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('offer-draw', {
+        roomId
+      });
+    }
+  }
+
+  acceptDraw(roomId) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('accept-draw', {
+        roomId
+      });
+    }
+  }
+
+  declineDraw(roomId) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('decline-draw', {
+        roomId
+      });
+    }
+  }
+
+  // Spectator methods - target is { roomId } or { code }
+  spectateGame(target, displayName) {
+    if (this.socket && this.isConnected) {
+      console.log('👁 Requesting to spectate:', target);
+      this.socket.emit('spectate-game', {
+        ...target,
+        displayName
+      });
+    } else {
+      console.error('❌ Socket not connected - cannot spectate');
+    }
+  }
+
+  leaveSpectate(roomId) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('leave-spectate', { roomId });
+    }
+  }
+
+  // Takeback methods
+  requestTakeback(roomId) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('request-takeback', {
+        roomId
+      });
+    }
+  }
+
+  respondTakeback(roomId, accept) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('respond-takeback', {
         roomId,
-        playerColor
+        accept
+      });
+    }
+  }
+
+  // Rematch methods
+  offerRematch(roomId) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('offer-rematch', {
+        roomId
+      });
+    }
+  }
+
+  acceptRematch(roomId) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('accept-rematch', {
+        roomId
+      });
+    }
+  }
+
+  declineRematch(roomId) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('decline-rematch', {
+        roomId
+      });
+    }
+  }
+
+  // Presence - idle while this tab is in the background
+  setPresence(idle) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('set-presence', {
+        idle
+      });
+    }
+  }
+
+  // Friends methods
+  getFriends(displayName = null) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('get-friends', {
+        displayName
+      });
+    }
+  }
+
+  addFriend(friendCode) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('add-friend', {
+        friendCode
+      });
+    }
+  }
+
+  respondFriendRequest(from, accept) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('respond-friend-request', {
+        from,
+        accept
+      });
+    }
+  }
+
+  removeFriend(username) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('remove-friend', {
+        username
+      });
+    }
+  }
+
+  // Challenge methods - options are { timeControl, color, rated }
+  challengeFriend(username, options) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('challenge-friend', {
+        username,
+        ...options
+      });
+    }
+  }
+
+  respondChallenge(challengeId, accept) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('respond-challenge', {
+        challengeId,
+        accept
+      });
+    }
+  }
+
+  cancelChallenge(challengeId) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('cancel-challenge', {
+        challengeId
       });
     }
   }
@@ -180,6 +560,7 @@ class SocketService {
   exitGame(roomId) {
     if (this.socket && this.isConnected) {
       console.log('🚪 Sending exit game request for room:', roomId);
+      this.clearResumeToken();
       this.socket.emit('exit-game', {
         roomId
       });
@@ -208,6 +589,11 @@ class SocketService {
     return this.socket && this.isConnected;
   }
 
+  // Base URL of the backend, for plain HTTP endpoints (PGN downloads etc.)
+  getServerUrl() {
+    return this.serverUrl;
+  }
+
   // Connection status
   getConnectionStatus() {
     if (!this.socket) return 'disconnected';
@@ -0,0 +1,17 @@
+// src/variants.js - Local rules engine for each variant
+//
+// The server decides when a game ends; the game screens only need to validate moves and
+// show positions. Both play through the backend's VariantGame, copied into src/rules.
+import { CHECKS_TO_WIN, VARIANTS, isVariant, createVariantGame } from './rules/variants';
+
+export { CHECKS_TO_WIN };
+
+// Short names shown next to a game's time control, by variant id
+export const VARIANT_NAMES = Object.fromEntries(
+  Object.entries(VARIANTS).map(([id, variant]) => [id, variant.name])
+);
+
+// Rules engine for a game's variant, positioned at fen
+export function createGame(fen, variant = 'standard') {
+  return createVariantGame(isVariant(variant) ? variant : 'standard', fen);
+}